@@ -0,0 +1,190 @@
+// src/AnalogControl.js
+import React, { useCallback, useEffect, useRef, useState } from "react";
+
+const EMIT_EVERY_MS = 50;    // throttle while dragging (latest value wins)
+const STICK_REPEAT_MS = 140; // re-send a held stick, like arrow holds do
+const DEFAULT_DEADZONE = 0.15; // stick travel (0..1) that still means "centered"
+
+/**
+ * Throttled emitter: at most one call per `ms`, always delivering the latest
+ * value (trailing call), so a fast drag never floods the write queue.
+ */
+function useThrottled(fn, ms) {
+  const fnRef = useRef(fn);
+  fnRef.current = fn;
+  const state = useRef({ last: 0, timer: null, pending: undefined });
+
+  const cancel = useCallback(() => {
+    clearTimeout(state.current.timer);
+    state.current.timer = null;
+    state.current.pending = undefined;
+  }, []);
+
+  const call = useCallback((value) => {
+    const s = state.current;
+    const now = Date.now();
+    s.pending = value;
+    if (s.timer) return;
+    const wait = Math.max(0, s.last + ms - now);
+    const run = () => {
+      s.timer = null;
+      s.last = Date.now();
+      const v = s.pending;
+      s.pending = undefined;
+      fnRef.current(v);
+    };
+    if (wait === 0) run();
+    else s.timer = setTimeout(run, wait);
+  }, [ms]);
+
+  useEffect(() => cancel, [cancel]);
+  return [call, cancel];
+}
+
+/** Position (0..1 on each axis) of a pointer event inside `el`. */
+function relPos(el, e) {
+  const r = el.getBoundingClientRect();
+  const x = r.width ? (e.clientX - r.left) / r.width : 0.5;
+  const y = r.height ? (e.clientY - r.top) / r.height : 0.5;
+  return { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)) };
+}
+
+/**
+ * Slider streaming a 0..1 setpoint.
+ *  - axis "x": 0 = left, 1 = right;  axis "y": 0 = bottom, 1 = top
+ *  - `onChange(level)` is throttled while dragging
+ *  - on release: `onRelease()`; the parent decides hold vs. return to neutral
+ */
+export function AnalogSlider({ axis = "x", value, label, disabled, onChange, onRelease }) {
+  const ref = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [emit, cancel] = useThrottled(onChange, EMIT_EVERY_MS);
+
+  const levelFor = (e) => {
+    const p = relPos(ref.current, e);
+    return axis === "x" ? p.x : 1 - p.y;
+  };
+
+  const onPointerDown = (e) => {
+    if (disabled) return;
+    e.stopPropagation();
+    ref.current.setPointerCapture?.(e.pointerId);
+    setDragging(true);
+    emit(levelFor(e));
+  };
+  const onPointerMove = (e) => {
+    if (dragging) emit(levelFor(e));
+  };
+  const onPointerUp = (e) => {
+    if (!dragging) return;
+    setDragging(false);
+    cancel();
+    onChange(levelFor(e)); // final position always lands
+    onRelease?.();
+  };
+
+  const pct = `${Math.round((value ?? 0.5) * 100)}%`;
+  const thumb = axis === "x" ? { left: pct } : { bottom: pct };
+
+  return (
+    <div className={`rex-analog rex-analog--slider rex-analog--${axis}`} onClick={(e) => e.stopPropagation()}>
+      <div
+        ref={ref}
+        role="slider"
+        aria-label={label}
+        aria-valuemin={0}
+        aria-valuemax={1}
+        aria-valuenow={Number((value ?? 0.5).toFixed(2))}
+        className={["rex-analog__track", disabled ? "rex-analog__track--off" : ""].join(" ")}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        <div className="rex-analog__thumb" style={thumb} />
+      </div>
+      <div className="rex-analog__label">{label} {(value ?? 0.5).toFixed(2)}</div>
+    </div>
+  );
+}
+
+/**
+ * Virtual joystick. `onChange({ x, y })` with x, y in -1..1 (y < 0 = forward),
+ * repeated every STICK_REPEAT_MS while held; `onRelease()` when let go.
+ * Deflections inside `deadzone` come through as { x: 0, y: 0 }.
+ * Bumping `haltSignal` (E‑STOP) abandons the drag without calling onRelease.
+ */
+export function AnalogStick({ label, disabled, deadzone = DEFAULT_DEADZONE, haltSignal, onChange, onRelease }) {
+  const ref = useRef(null);
+  const [knob, setKnob] = useState(null); // { x, y } while dragging
+  const knobRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  const [emit, cancel] = useThrottled(onChange, EMIT_EVERY_MS);
+  const held = knob !== null;
+
+  const vecFor = (e) => {
+    const p = relPos(ref.current, e);
+    let x = p.x * 2 - 1;
+    let y = p.y * 2 - 1;
+    const m = Math.hypot(x, y);
+    if (m < deadzone) return { x: 0, y: 0 };
+    if (m > 1) { x /= m; y /= m; }
+    return { x, y };
+  };
+  const setVec = (v) => { knobRef.current = v; setKnob(v); };
+
+  useEffect(() => {
+    if (!held) return;
+    const id = setInterval(() => knobRef.current && onChangeRef.current(knobRef.current), STICK_REPEAT_MS);
+    return () => clearInterval(id);
+  }, [held]);
+
+  useEffect(() => {
+    if (!haltSignal) return;
+    cancel();
+    setVec(null);
+  }, [haltSignal, cancel]);
+
+  const onPointerDown = (e) => {
+    if (disabled) return;
+    e.stopPropagation();
+    ref.current.setPointerCapture?.(e.pointerId);
+    const v = vecFor(e);
+    setVec(v);
+    emit(v);
+  };
+  const onPointerMove = (e) => {
+    if (!knobRef.current) return;
+    const v = vecFor(e);
+    setVec(v);
+    emit(v);
+  };
+  const onPointerUp = () => {
+    if (!knobRef.current) return;
+    cancel();
+    setVec(null);
+    onRelease?.();
+  };
+
+  const k = knob || { x: 0, y: 0 };
+  return (
+    <div className="rex-analog rex-analog--stick" onClick={(e) => e.stopPropagation()}>
+      <div
+        ref={ref}
+        aria-label={label}
+        className={["rex-analog__pad", disabled ? "rex-analog__track--off" : ""].join(" ")}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        <div
+          className="rex-analog__knob"
+          style={{ left: `${(k.x + 1) * 50}%`, top: `${(k.y + 1) * 50}%` }}
+        />
+      </div>
+      <div className="rex-analog__label">{label}</div>
+    </div>
+  );
+}
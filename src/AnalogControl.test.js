@@ -0,0 +1,87 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { AnalogSlider, AnalogStick } from './AnalogControl';
+
+/** jsdom has no PointerEvent or layout: pointer events carry client coords over a 100×100 box. */
+function pointer(el, type, x, y) {
+  el.getBoundingClientRect = () => ({ left: 0, top: 0, width: 100, height: 100 });
+  fireEvent(el, new MouseEvent(type, { bubbles: true, clientX: x, clientY: y }));
+}
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('the slider emits at most every 50 ms, latest value wins, and the release lands', () => {
+  const onChange = jest.fn();
+  const onRelease = jest.fn();
+  render(<AnalogSlider axis="x" label="Tail" value={0.5} onChange={onChange} onRelease={onRelease} />);
+  const track = screen.getByRole('slider', { name: 'Tail' });
+
+  pointer(track, 'pointerdown', 20, 50);
+  expect(onChange.mock.calls).toEqual([[0.2]]);
+  pointer(track, 'pointermove', 30, 50);
+  pointer(track, 'pointermove', 40, 50);
+  expect(onChange).toHaveBeenCalledTimes(1);
+  act(() => jest.advanceTimersByTime(50));
+  expect(onChange.mock.calls).toEqual([[0.2], [0.4]]);
+
+  pointer(track, 'pointermove', 60, 50);
+  pointer(track, 'pointerup', 70, 50);
+  act(() => jest.advanceTimersByTime(100));
+  expect(onChange.mock.calls).toEqual([[0.2], [0.4], [0.7]]); // the pending 0.6 was dropped
+  expect(onRelease).toHaveBeenCalledTimes(1);
+});
+
+test('a vertical slider reads bottom as 0', () => {
+  const onChange = jest.fn();
+  render(<AnalogSlider axis="y" label="Spine" onChange={onChange} />);
+  pointer(screen.getByRole('slider', { name: 'Spine' }), 'pointerdown', 50, 75);
+  expect(onChange).toHaveBeenCalledWith(0.25);
+});
+
+test('the stick reports centered inside the dead zone and the deflection outside it', () => {
+  const onChange = jest.fn();
+  render(<AnalogStick label="Walk / turn" onChange={onChange} />);
+  const pad = screen.getByLabelText('Walk / turn');
+
+  pointer(pad, 'pointerdown', 55, 45); // 0.14 from center
+  expect(onChange).toHaveBeenLastCalledWith({ x: 0, y: 0 });
+  act(() => jest.advanceTimersByTime(50));
+  pointer(pad, 'pointermove', 50, 0);
+  expect(onChange).toHaveBeenLastCalledWith({ x: 0, y: -1 });
+  pointer(pad, 'pointerup', 50, 0);
+});
+
+test('a held stick repeats every 140 ms and re-centers on release', () => {
+  const onChange = jest.fn();
+  const onRelease = jest.fn();
+  render(<AnalogStick label="Walk / turn" onChange={onChange} onRelease={onRelease} />);
+  const pad = screen.getByLabelText('Walk / turn');
+
+  pointer(pad, 'pointerdown', 100, 50);
+  expect(onChange).toHaveBeenCalledTimes(1);
+  act(() => jest.advanceTimersByTime(280));
+  expect(onChange).toHaveBeenCalledTimes(3);
+  expect(onChange).toHaveBeenLastCalledWith({ x: 1, y: 0 });
+
+  pointer(pad, 'pointerup', 100, 50);
+  expect(onRelease).toHaveBeenCalledTimes(1);
+  pointer(pad, 'pointermove', 0, 50); // a released stick follows nothing
+  act(() => jest.advanceTimersByTime(1000));
+  expect(onChange).toHaveBeenCalledTimes(3);
+});
+
+test('E-STOP abandons a held stick without a release, and a disabled stick ignores input', () => {
+  const onChange = jest.fn();
+  const onRelease = jest.fn();
+  const { rerender } = render(<AnalogStick label="Walk / turn" haltSignal={0} onChange={onChange} onRelease={onRelease} />);
+  pointer(screen.getByLabelText('Walk / turn'), 'pointerdown', 50, 0);
+  rerender(<AnalogStick label="Walk / turn" haltSignal={1} onChange={onChange} onRelease={onRelease} />);
+  act(() => jest.advanceTimersByTime(1000));
+  pointer(screen.getByLabelText('Walk / turn'), 'pointerup', 50, 0);
+  expect(onChange).toHaveBeenCalledTimes(1);
+  expect(onRelease).not.toHaveBeenCalled();
+
+  rerender(<AnalogStick label="Walk / turn" disabled haltSignal={1} onChange={onChange} onRelease={onRelease} />);
+  pointer(screen.getByLabelText('Walk / turn'), 'pointerdown', 50, 0);
+  expect(onChange).toHaveBeenCalledTimes(1);
+});
@@ -1,150 +1,494 @@
 // src/App.js
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
 import ControllerPanel from "./ControllerPanel";
+import ChoreographyEditor from "./ChoreographyEditor";
+import PosePresets from "./PosePresets";
+import CalibrationPanel from "./CalibrationPanel";
+import TelemetryDashboard from "./TelemetryDashboard";
+import DeviceLog from "./DeviceLog";
+import SessionControls from "./SessionControls";
+import DeviceManager from "./DeviceManager";
+import KnownDevices from "./KnownDevices";
 
-// Use the centralized BLE client used by the controller
-import {
-  connect as bleConnect,
-  disconnect as bleDisconnect,
-  onMessage as bleOnMessage,
-  onDisconnect as bleOnDisconnect,
-  isConnected as bleIsConnected,
-} from "./modules/ble/bleClient";
+// Centralized link clients; all expose the same
+// connect/disconnect/onMessage/onDisconnect/onStateChange/isConnected/getDeviceName surface.
+import * as BLE from "./modules/ble/bleClient";
+import * as Serial from "./modules/serial/serialClient";
+import * as WS from "./modules/ws/wsClient";
+import * as Sim from "./modules/sim/simClient";
+import { createBleTransport } from "./modules/transport/bleTransport";
+import { createSerialTransport } from "./modules/transport/serialTransport";
+import { createWsTransport } from "./modules/transport/wsTransport";
+import { createSimTransport } from "./modules/transport/simTransport";
+import { createPoseTracker } from "./modules/pose/poseModel";
+import { createSmoother } from "./modules/motion/smoother";
+import { uncalibratePose } from "./modules/calibration/calibration";
+import { createTelemetryStore } from "./modules/telemetry/telemetry";
+import { createDeviceLog } from "./modules/log/deviceLog";
+import { intersectFirmwareCaps, setFirmwareCaps } from "./modules/commands/capabilities";
+import { createFleet, createRobot } from "./modules/fleet/fleet";
+import { createGroupTransport } from "./modules/fleet/groupTransport";
+import { createKnownDevices, knownDeviceLabel } from "./modules/ble/knownDevices";
+
+const LINKS = {
+  ble: {
+    label: "BLE",
+    client: BLE,
+    createTransport: createBleTransport,
+    supported: () => "bluetooth" in navigator,
+    unsupported: "Web Bluetooth not supported. Use Chrome/Edge on localhost or HTTPS.",
+    connectOptions: () => ({ namePrefix: "Robo_Rex" }),
+  },
+  serial: {
+    label: "USB Serial",
+    client: Serial,
+    createTransport: createSerialTransport,
+    supported: () => "serial" in navigator,
+    unsupported: "Web Serial not supported. Use Chrome/Edge on localhost or HTTPS.",
+    connectOptions: ({ baudRate }) => ({ baudRate }),
+  },
+  ws: {
+    label: "Wi‑Fi (WebSocket)",
+    client: WS,
+    createTransport: createWsTransport,
+    supported: () => "WebSocket" in window,
+    unsupported: "WebSocket not supported in this browser.",
+    connectOptions: ({ wsUrl }) => ({ url: wsUrl }),
+  },
+  sim: {
+    label: "Simulator",
+    client: Sim,
+    createTransport: createSimTransport,
+    supported: () => true,
+    unsupported: "",
+    connectOptions: () => ({}),
+  },
+};
+
+// Robots the device manager can add next to the main link: each gets its own connection instance.
+const EXTRA_ROBOTS = {
+  ble: {
+    label: "BLE",
+    createClient: BLE.createBleConnection,
+    createTransport: createBleTransport,
+    connectOptions: () => ({ namePrefix: "Robo_Rex" }),
+  },
+  sim: {
+    label: "Simulator",
+    createClient: Sim.createSimConnection,
+    createTransport: createSimTransport,
+    connectOptions: (id) => ({ name: `Robo_Rex_Sim_${id.split("-")[1]}` }),
+  },
+};
+
+const MAIN_ID = "main";
+
+/** Robot ids as one string ("main,ble-2"): a hook dependency that only changes with the members. */
+const idsOf = (infos) => infos.map((r) => r.id).join(",");
+
+/** One transport over the robots listed in `ids` (see idsOf). */
+function groupOf(fleet, ids) {
+  return createGroupTransport(ids.split(",").map((id) => fleet.get(id)?.transport).filter(Boolean));
+}
+
+const BAUD_RATES = [9600, 57600, 115200, 230400, 460800, 921600];
+
+// Badge text + colors for each link connection status
+function badgeFor({ status, attempt, maxAttempts }) {
+  switch (status) {
+    case "connected":
+      return { label: "Connected", bg: "#c6f6d5", border: "#38a169", color: "#22543d" };
+    case "connecting":
+      return { label: "Connecting…", bg: "#fefcbf", border: "#d69e2e", color: "#744210" };
+    case "reconnecting":
+      return {
+        label: `Reconnecting (attempt ${attempt}/${maxAttempts})`,
+        bg: "#fefcbf", border: "#d69e2e", color: "#744210",
+      };
+    case "failed":
+      return { label: "Reconnect failed", bg: "#fed7d7", border: "#e53e3e", color: "#742a2a" };
+    default:
+      return { label: "Disconnected", bg: "#fed7d7", border: "#e53e3e", color: "#742a2a" };
+  }
+}
 
 /**
- * App: shows BLE connect/disconnect + device log
+ * App: shows link (BLE / USB Serial / Wi‑Fi / Simulator) connect/disconnect + device log
  * The 4‑pane Controller is ALWAYS visible; when not connected,
  * its arrows are disabled (ControllerPanel receives `connected`).
+ *
+ * Several robots: the header link is the "main" robot; the device manager adds
+ * more (BLE / simulator connection instances, modules/fleet). The controller
+ * and presets drive the command target (focused robot, a group, or all);
+ * E‑STOP and choreography always go to every robot. Logs, telemetry and
+ * calibration follow the focused robot.
  */
 export default function App() {
-  const [connected, setConnected] = useState(false);
+  const [linkKind, setLinkKind] = useState("ble");
+  const [baudRate, setBaudRate] = useState(115200);
+  const [wsUrl, setWsUrl] = useState("ws://localhost:8765");
   const [connecting, setConnecting] = useState(false);
-  const [log, setLog] = useState([]);
+  const [haltSignal, setHaltSignal] = useState(0); // bumped on every E‑STOP
+  const [focusId, setFocusId] = useState(MAIN_ID);
+  const [target, setTarget] = useState({ mode: "focused", group: [] }); // mode: focused | group | all
 
-  const unsubMsgRef = useRef(null);
-  const unsubDiscRef = useRef(null);
+  const link = LINKS[linkKind];
+  const fleet = useMemo(() => createFleet(), []);
+  // The main robot is rebuilt when the link kind changes; its history carries over.
+  const mainStores = useMemo(
+    () => ({ log: createDeviceLog(), pose: createPoseTracker(), telemetry: createTelemetryStore() }),
+    []
+  );
+  const main = useMemo(
+    () => createRobot({
+      id: MAIN_ID,
+      kind: linkKind,
+      label: LINKS[linkKind].label,
+      client: LINKS[linkKind].client,
+      createTransport: LINKS[linkKind].createTransport,
+      ...mainStores,
+    }),
+    [linkKind, mainStores]
+  );
+  useEffect(() => fleet.add(main), [fleet, main]);
+  const { robots } = useSyncExternalStore(fleet.subscribe, fleet.getSnapshot);
+
+  const infoOf = (robot) => robots.find((r) => r.id === robot.id) || robot.getInfo();
+  const linkState = infoOf(main);
+  const connected = linkState.status === "connected";
+  // While reconnecting we still hold the device; offer Disconnect to cancel.
+  const linked = connected || linkState.status === "reconnecting";
+  const badge = badgeFor(linkState);
+
+  const focused = fleet.get(focusId) || main;
+  const focusedInfo = useMemo(() => robots.find((r) => r.id === focused.id) || focused.getInfo(), [robots, focused]);
+  const online = useMemo(() => robots.filter((r) => r.status === "connected"), [robots]);
+
+  // ---------- command target ----------
+  const targetInfos = useMemo(
+    () => (
+      target.mode === "all" ? online
+      : target.mode === "group" ? online.filter((r) => target.group.includes(r.id))
+      : [focusedInfo]
+    ),
+    [target, online, focusedInfo]
+  );
+  // Group transports follow the member ids, not every fleet snapshot.
+  const targetIds = idsOf(targetInfos);
+  const transport = useMemo(
+    () => (target.mode === "focused" ? focused.transport : groupOf(fleet, targetIds)),
+    [target.mode, targetIds, focused, fleet]
+  );
+  const firmware = useMemo(
+    () => (target.mode === "focused" ? focusedInfo.firmware : intersectFirmwareCaps(targetInfos.map((r) => r.firmware))),
+    [target.mode, targetInfos, focusedInfo.firmware]
+  );
+  const controlConnected = target.mode === "focused" ? focusedInfo.status === "connected" : targetInfos.length > 0;
+  // Broadcasts (choreography) go to every connected robot.
+  const onlineIds = idsOf(online);
+  const broadcast = useMemo(
+    () => (onlineIds ? groupOf(fleet, onlineIds) : focused.transport),
+    [onlineIds, focused, fleet]
+  );
+  const broadcastFirmware = useMemo(() => intersectFirmwareCaps(online.map((r) => r.firmware)), [online]);
+  useEffect(() => {
+    if (transport.members) setFirmwareCaps(transport, firmware);
+  }, [transport, firmware]);
+  useEffect(() => {
+    if (broadcast.members) setFirmwareCaps(broadcast, broadcastFirmware);
+  }, [broadcast, broadcastFirmware]);
 
-  const pushLog = (line) =>
-    setLog((l) => [
-      ...l.slice(-200),
-      `[${new Date().toLocaleTimeString()}] ${line}`,
-    ]);
+  // Eased setpoint streams (presets, slider release) start from the focused
+  // robot's commanded pose, mapped back to logical levels (the wire carries calibrated ones).
+  const smoother = useMemo(
+    () => createSmoother(transport, {
+      getPose: () => uncalibratePose(focused.transport, focused.pose.getSnapshot().commanded),
+    }),
+    [transport, focused]
+  );
+
+  const linkRef = useRef(link);
+  linkRef.current = link;
+  const unsubDiscRef = useRef(null);
 
-  async function connectBLE() {
-    if (connecting || bleIsConnected()) return;
+  // `extra` connect options, e.g. { device } to reopen a remembered BLE robot without the chooser
+  async function connectLink(extra = {}) {
+    if (connecting || link.client.isConnected()) return;
     try {
       setConnecting(true);
-      if (!("bluetooth" in navigator)) {
-        alert("Web Bluetooth not supported. Use Chrome/Edge on localhost or HTTPS.");
+      if (!link.supported()) {
+        alert(link.unsupported);
         return;
       }
 
-      await bleConnect({ namePrefix: "Robo_Rex" });
-      setConnected(true);
-      pushLog("BLE: connected");
+      await link.client.connect({ ...link.connectOptions({ baudRate, wsUrl }), ...extra });
 
-      // Subscribe to incoming messages
-      unsubMsgRef.current?.();
-      unsubMsgRef.current = bleOnMessage((text) => {
-        if (text) pushLog(`ESP32 ▶ ${text}`);
-      });
-
-      // Update UI when device disconnects
+      // Link loss is logged here; the badge follows client state
       unsubDiscRef.current?.();
-      unsubDiscRef.current = bleOnDisconnect(() => {
-        setConnected(false);
-        pushLog("BLE: disconnected");
+      unsubDiscRef.current = link.client.onDisconnect(() => {
+        main.log.system(`${link.label}: link lost`, "warning");
       });
     } catch (err) {
-      pushLog(`Connect error: ${err?.message || String(err)}`);
+      main.log.system(`Connect error: ${err?.message || String(err)}`, "error");
     } finally {
       setConnecting(false);
     }
   }
 
-  async function disconnectBLE() {
+  async function disconnectLink() {
     try {
-      await bleDisconnect();
+      await link.client.disconnect();
     } catch (e) {
       // ignore
     } finally {
-      setConnected(false);
-      pushLog("BLE: disconnected");
-      // Clean up subscriptions
-      try { unsubMsgRef.current?.(); } catch {}
+      // Clean up the subscription
       try { unsubDiscRef.current?.(); } catch {}
-      unsubMsgRef.current = null;
       unsubDiscRef.current = null;
     }
   }
 
-  // On refresh/close, try to disconnect cleanly
+  // ---------- device manager ----------
+  const robotSeq = useRef(1);
+
+  function addRobot(kind, label) {
+    const n = ++robotSeq.current;
+    const extra = EXTRA_ROBOTS[kind];
+    const robot = createRobot({
+      id: `${kind}-${n}`,
+      kind,
+      label: label || `${extra.label} ${n}`,
+      client: extra.createClient(),
+      createTransport: extra.createTransport,
+    });
+    fleet.add(robot);
+    return robot;
+  }
+
+  async function connectRobot(id, extra = {}) {
+    if (id === MAIN_ID) return connectLink(extra);
+    const robot = fleet.get(id);
+    try {
+      await robot.client.connect({ ...EXTRA_ROBOTS[robot.kind].connectOptions(id), ...extra });
+    } catch (err) {
+      robot.log.system(`Connect error: ${err?.message || String(err)}`, "error");
+    }
+  }
+
+  function disconnectRobot(id) {
+    if (id === MAIN_ID) return disconnectLink();
+    fleet.get(id)?.client.disconnect().catch(() => {});
+  }
+
+  function removeRobot(id) {
+    disconnectRobot(id);
+    fleet.remove(id);
+    if (focusId === id) setFocusId(MAIN_ID);
+    setTarget((t) => ({ ...t, group: t.group.filter((g) => g !== id) }));
+  }
+
+  // ---------- remembered BLE robots ----------
+  const known = useMemo(() => createKnownDevices(), []);
+  const linkedIds = useRef(new Set());
   useEffect(() => {
-    const handler = () => { try { bleDisconnect(); } catch {} };
-    window.addEventListener("beforeunload", handler);
-    return () => window.removeEventListener("beforeunload", handler);
-  }, []);
+    const ids = new Set();
+    for (const r of robots) {
+      if (r.status !== "connected" || !r.deviceId) continue;
+      ids.add(r.deviceId);
+      if (!linkedIds.current.has(r.deviceId)) known.remember({ id: r.deviceId, name: r.deviceName });
+    }
+    // Dropping the link counts as the last sighting.
+    for (const id of linkedIds.current) {
+      if (!ids.has(id)) known.seen(id);
+    }
+    linkedIds.current = ids;
+  }, [robots, known]);
+
+  // One click, no chooser: the main link when it's an idle BLE link, otherwise a new BLE robot.
+  function reconnectKnown(device) {
+    if (linkKind === "ble" && !linked && !connecting) return connectLink({ device });
+    const remembered = known.get(device.id);
+    return connectRobot(addRobot("ble", remembered && knownDeviceLabel(remembered)).id, { device });
+  }
+
+  // Extra robots' links close with the app; the main link is handled on unload.
+  useEffect(() => () => {
+    for (const robot of fleet.list()) {
+      if (robot.id !== MAIN_ID) robot.client.disconnect().catch(() => {});
+    }
+  }, [fleet]);
+
+  // E‑STOP: stop-all on every robot's priority path + cancel any local hold.
+  function emergencyStop(reason) {
+    fleet.emergencyStop(reason);
+    smoother.cancel();
+    setHaltSignal((n) => n + 1);
+  }
+  const estopRef = useRef(emergencyStop);
+  estopRef.current = emergencyStop;
 
-  // If something else connected earlier (HMR), reflect it
+  // Space / Escape anywhere = E‑STOP (Space is left alone while typing in a field)
   useEffect(() => {
-    setConnected(bleIsConnected());
+    const onKeyDown = (e) => {
+      if (e.repeat) return;
+      const typing = e.target?.closest?.("input, textarea, select, [contenteditable='true']");
+      if (e.key === "Escape" || (e.key === " " && !typing)) {
+        e.preventDefault();
+        estopRef.current(e.key === "Escape" ? "Esc" : "Space");
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
   }, []);
 
+  // A hidden tab can't see mouseup/touchend; stop rather than keep walking.
+  useEffect(() => {
+    const onVisibility = () => {
+      if (document.hidden && fleet.list().some((r) => r.client.isConnected())) estopRef.current("tab hidden");
+    };
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => document.removeEventListener("visibilitychange", onVisibility);
+  }, [fleet]);
+
+  // On refresh/close, stop every robot (through its tapped transport, so the
+  // log and pose see it), then try to disconnect cleanly
+  useEffect(() => {
+    const handler = () => {
+      fleet.emergencyStop("page unload").finally(() => {
+        for (const { client } of fleet.list()) {
+          Promise.resolve().then(() => client.disconnect()).catch(() => {});
+        }
+      });
+    };
+    window.addEventListener("beforeunload", handler);
+    return () => window.removeEventListener("beforeunload", handler);
+  }, [fleet]);
+
   return (
     <div style={{ padding: 16, fontFamily: "system-ui, sans-serif" }}>
       <header style={{ display: "flex", gap: 12, alignItems: "center" }}>
-        <h1 style={{ margin: 0 }}>Robo Rex Controller (BLE)</h1>
-        {!connected ? (
-          <button onClick={connectBLE} disabled={connecting}>
-            {connecting ? "Connecting…" : "Connect BLE"}
+        <h1 style={{ margin: 0 }}>Robo Rex Controller</h1>
+        <select
+          aria-label="Transport"
+          value={linkKind}
+          disabled={linked || connecting}
+          onChange={(e) => setLinkKind(e.target.value)}
+        >
+          {Object.entries(LINKS).map(([kind, l]) => (
+            <option key={kind} value={kind}>{l.label}</option>
+          ))}
+        </select>
+        {linkKind === "serial" && (
+          <select
+            aria-label="Baud rate"
+            value={baudRate}
+            disabled={linked || connecting}
+            onChange={(e) => setBaudRate(Number(e.target.value))}
+          >
+            {BAUD_RATES.map((b) => (
+              <option key={b} value={b}>{b} baud</option>
+            ))}
+          </select>
+        )}
+        {linkKind === "ws" && (
+          <input
+            aria-label="Bridge URL"
+            value={wsUrl}
+            disabled={linked || connecting}
+            onChange={(e) => setWsUrl(e.target.value)}
+            style={{ width: 220 }}
+          />
+        )}
+        {!linked ? (
+          <button onClick={() => connectLink()} disabled={connecting}>
+            {connecting ? "Connecting…" : `Connect ${link.label}`}
           </button>
         ) : (
-          <button onClick={disconnectBLE}>Disconnect</button>
+          <button onClick={disconnectLink}>
+            {connected ? "Disconnect" : "Cancel reconnect"}
+          </button>
         )}
-        <span
+        {linkKind === "ble" && <SessionControls connected={connected} log={main.log} />}
+        <button
+          type="button"
+          onClick={() => emergencyStop("button")}
+          title="Emergency stop (Space / Esc)"
           style={{
             marginLeft: "auto",
+            padding: "8px 18px",
+            borderRadius: 8,
+            border: "2px solid #9b2c2c",
+            background: "#e53e3e",
+            color: "#fff",
+            fontWeight: 800,
+            letterSpacing: 1,
+            cursor: "pointer",
+          }}
+        >
+          E‑STOP
+        </button>
+        <span
+          style={{
             padding: "2px 8px",
             borderRadius: 6,
-            background: connected ? "#c6f6d5" : "#fed7d7",
+            background: badge.bg,
             border: "1px solid",
-            borderColor: connected ? "#38a169" : "#e53e3e",
-            color: connected ? "#22543d" : "#742a2a",
+            borderColor: badge.border,
+            color: badge.color,
             fontSize: 12,
           }}
         >
-          {connected ? "Connected" : "Disconnected"}
+          {badge.label}
         </span>
       </header>
 
       <hr style={{ margin: "12px 0" }} />
 
+      <DeviceManager
+        robots={robots}
+        focusId={focused.id}
+        onFocus={setFocusId}
+        target={target}
+        onTargetChange={setTarget}
+        onAdd={addRobot}
+        onConnect={connectRobot}
+        onDisconnect={disconnectRobot}
+        onRemove={removeRobot}
+        fixedIds={[MAIN_ID]}
+      />
+
+      <KnownDevices known={known} robots={robots} onConnect={reconnectKnown} />
+
       {/* Controller is ALWAYS visible; it self-disables controls when disconnected */}
-      <ControllerPanel connected={connected} />
+      <ControllerPanel
+        connected={controlConnected}
+        transport={transport}
+        firmware={firmware}
+        pose={focused.pose}
+        smoother={smoother}
+        haltSignal={haltSignal}
+        onEmergencyStop={(source) => emergencyStop(source)}
+        log={focused.log}
+      />
 
-      <section style={{ marginTop: 16 }}>
-        <h3 style={{ marginBottom: 8 }}>Device Log</h3>
-        <div
-          style={{
-            background: "#0b1020",
-            color: "#c9d1d9",
-            fontFamily:
-              "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Courier New', monospace",
-            fontSize: 12,
-            padding: 12,
-            borderRadius: 8,
-            height: 180,
-            overflow: "auto",
-            border: "1px solid #22283a",
-          }}
-        >
-          {log.length === 0 ? (
-            <div style={{ opacity: 0.6 }}>No output yet…</div>
-          ) : (
-            log.map((l, i) => <div key={i}>{l}</div>)
-          )}
-        </div>
-      </section>
+      <PosePresets
+        connected={controlConnected}
+        transport={transport}
+        pose={focused.pose}
+        smoother={smoother}
+        haltSignal={haltSignal}
+      />
+
+      <CalibrationPanel
+        connected={focusedInfo.status === "connected"}
+        transport={focused.transport}
+        deviceName={focusedInfo.deviceName}
+      />
+
+      <ChoreographyEditor connected={online.length > 0} transport={broadcast} haltSignal={haltSignal} />
+
+      <TelemetryDashboard store={focused.telemetry} connected={focusedInfo.status === "connected"} />
+
+      <DeviceLog log={focused.log} title={robots.length > 1 ? `Device Log — ${focused.label}` : undefined} />
     </div>
   );
 }
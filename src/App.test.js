@@ -1,8 +1,182 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
+import * as Sim from './modules/sim/simClient';
+import * as BLE from './modules/ble/bleClient';
 
-test('renders learn react link', () => {
+afterEach(async () => {
+  await act(() => Sim.disconnect());
+});
+
+async function connectSimulator() {
+  fireEvent.change(screen.getByLabelText('Transport'), { target: { value: 'sim' } });
+  fireEvent.click(screen.getByText('Connect Simulator'));
+  await screen.findByText('Connected');
+}
+
+test('starts disconnected with the controller in preview mode', async () => {
+  render(<App />);
+  expect(await screen.findByText('Disconnected')).toBeInTheDocument(); // lets the known-device lookup settle
+  expect(screen.getByText('Preview only (not connected)')).toBeInTheDocument();
+});
+
+test('drives the simulated Rex from the controller arrows', async () => {
+  render(<App />);
+  await connectSimulator();
+
+  // Default selection is Tail / Spine → Tail; ◀ sets the tail level to 1.0
+  fireEvent.mouseDown(screen.getByLabelText('◀'));
+  await waitFor(() => expect(Sim.getPose().tail).toBe(1));
+
+  fireEvent.mouseUp(window);
+  await waitFor(() => expect(Sim.getPose().tail).toBe(0.5));
+});
+
+test('E-STOP halts a walking simulator', async () => {
+  render(<App />);
+  await connectSimulator();
+
+  fireEvent.click(screen.getByText('Legs / Pelvis')); // select the panel; Legs is its default part
+  fireEvent.mouseDown(screen.getByLabelText('▲'));
+  await waitFor(() => expect(Sim.getPose().walking.state).toBe('forward'));
+
+  fireEvent.keyDown(window, { key: 'Escape' });
+  await waitFor(() => expect(Sim.getPose().walking.state).toBe('idle'));
+  expect(screen.getByText(/E‑STOP \(Esc\)/)).toBeInTheDocument();
+});
+
+test('arrow keys hold and release like the edge buttons', async () => {
+  render(<App />);
+  await connectSimulator();
+
+  fireEvent.keyDown(window, { key: 'ArrowLeft' });
+  await waitFor(() => expect(Sim.getPose().tail).toBe(1));
+
+  fireEvent.keyUp(window, { key: 'ArrowLeft' });
+  await waitFor(() => expect(Sim.getPose().tail).toBe(0.5));
+});
+
+test('disables controls the firmware does not route', async () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Transport'), { target: { value: 'sim' } });
+  // An older build: legs and pelvis only.
+  await act(() => Sim.connect({
+    commands: ['rex_hello', 'rex_walk_forward', 'rex_walk_backward', 'rex_turn_left', 'rex_turn_right', 'rex_stop', 'rex_pelvis_set'],
+  }));
+  await screen.findByText(/Firmware sim-1: 7 commands/);
+
+  expect(screen.getByRole('button', { name: /^Tail \/ Spine/ })).toHaveAttribute('aria-disabled', 'true');
+  expect(screen.getByRole('button', { name: /^Head \/ Neck/ })).toHaveAttribute('aria-disabled', 'true');
+  fireEvent.click(screen.getByText('Legs / Pelvis'));
+  expect(screen.getByLabelText('▲')).toBeEnabled();
+});
+
+test('charts simulator telemetry and pauses on the buffered history', async () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Transport'), { target: { value: 'sim' } });
+  await act(() => Sim.connect({ telemetryMs: 20 }));
+
+  expect(await screen.findByRole('img', { name: 'Battery chart' })).toBeInTheDocument();
+  fireEvent.click(screen.getByText('⏸ Pause'));
+  expect(screen.getByText(/^Paused at/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('▶ Live'));
+  expect(screen.getByText(/^Live ·/)).toBeInTheDocument();
+});
+
+test('logs controller TX packets and filters them by search', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await connectSimulator();
+
+  fireEvent.mouseDown(screen.getByLabelText('◀'));
+  const log = screen.getByRole('log', { name: 'Device log entries' });
+  await waitFor(() => expect(log).toHaveTextContent('"cmd":"rex_tail_set","level":1'));
+  fireEvent.mouseUp(window);
+  await waitFor(() => expect(Sim.getPose().tail).toBe(0.5));
+
+  fireEvent.change(screen.getByLabelText('Search log'), { target: { value: 'no such packet' } });
+  expect(log).toHaveTextContent('No entries match the filters.');
+});
+
+test('adds a second simulated robot and drives both when targeting all', async () => {
+  render(<App />);
+  await connectSimulator();
+
+  fireEvent.click(screen.getByText('+ Simulator'));
+  fireEvent.click(screen.getByLabelText('Connect Simulator 2'));
+  await waitFor(() => expect(screen.getAllByText('connected')).toHaveLength(2));
+
+  fireEvent.change(screen.getByLabelText('Command target'), { target: { value: 'all' } });
+  fireEvent.mouseDown(screen.getByLabelText('◀'));
+  await waitFor(() => expect(Sim.getPose().tail).toBe(1));
+
+  // The second robot's log shows its own TX once it has focus.
+  fireEvent.click(screen.getByLabelText('Focus Simulator 2'));
+  const log = screen.getByRole('log', { name: 'Device log entries' });
+  await waitFor(() => expect(log).toHaveTextContent('"cmd":"rex_tail_set","level":1'));
+  expect(screen.getByText('Device Log — Simulator 2')).toBeInTheDocument();
+
+  fireEvent.mouseUp(window);
+  await waitFor(() => expect(Sim.getPose().tail).toBe(0.5));
+  fireEvent.click(screen.getByLabelText('Remove Simulator 2'));
+  await waitFor(() => expect(screen.queryByText('Simulator 2')).not.toBeInTheDocument());
+});
+
+test('reconnects a remembered robot in range without the chooser', async () => {
+  const characteristic = {
+    startNotifications: jest.fn(() => Promise.resolve()),
+    addEventListener: jest.fn(),
+    removeEventListener: jest.fn(),
+    writeValueWithoutResponse: jest.fn(() => Promise.resolve()),
+  };
+  const server = {
+    connected: true,
+    getPrimaryService: () => Promise.resolve({ getCharacteristic: () => Promise.resolve(characteristic) }),
+    disconnect: jest.fn(),
+  };
+  const device = new EventTarget();
+  Object.assign(device, {
+    id: 'rex-1',
+    name: 'Robo_Rex',
+    gatt: { connect: jest.fn(() => Promise.resolve(server)) },
+    watchAdvertisements: jest.fn(() => Promise.resolve()),
+  });
+  const requestDevice = jest.fn();
+  navigator.bluetooth = { getDevices: () => Promise.resolve([device]), requestDevice };
+  localStorage.setItem(
+    'rex.knownDevices.v1',
+    JSON.stringify([{ id: 'rex-1', name: 'Robo_Rex', nickname: 'Chompy', lastSeen: 0 }])
+  );
+
+  try {
+    render(<App />);
+    const reconnect = screen.getByLabelText('Reconnect Chompy');
+    await waitFor(() => expect(reconnect).toBeEnabled());
+    act(() => {
+      device.dispatchEvent(Object.assign(new Event('advertisementreceived'), { rssi: -58 }));
+    });
+    expect(screen.getByText('in range · -58 dBm')).toBeInTheDocument();
+
+    fireEvent.click(reconnect);
+    await screen.findByText('Connected');
+    expect(requestDevice).not.toHaveBeenCalled();
+    expect(device.gatt.connect).toHaveBeenCalled();
+    expect(screen.getByText('last seen just now')).toBeInTheDocument();
+    await waitFor(() => expect(reconnect).toHaveTextContent('Linked'));
+  } finally {
+    await act(() => BLE.disconnect());
+    delete navigator.bluetooth;
+    localStorage.clear();
+  }
+});
+
+test('closing the page E-STOPs through the logged transport, then disconnects', async () => {
+  render(<App />);
+  await connectSimulator();
+
+  act(() => {
+    window.dispatchEvent(new Event('beforeunload'));
+  });
+  const log = screen.getByRole('log', { name: 'Device log entries' });
+  await waitFor(() => expect(log).toHaveTextContent('E‑STOP (page unload)'));
+  expect(log).toHaveTextContent('"cmd":"rex_stop_all"');
+  await screen.findByText('Disconnected');
 });
@@ -0,0 +1,206 @@
+// src/CalibrationPanel.js
+import React, { useEffect, useRef, useState } from "react";
+import "./CalibrationPanel.css";
+import { setPartLevel } from "./modules/commands/levels";
+import {
+  CAL_PARTS,
+  DEFAULT_PART_CAL,
+  deleteProfile,
+  listProfiles,
+  loadProfile,
+  normalizePartCal,
+  parseProfile,
+  saveProfile,
+  serializeProfile,
+  setCalibration,
+} from "./modules/calibration/calibration";
+import { downloadText } from "./modules/files/download";
+
+const FIELDS = [
+  { name: "min", label: "Min", min: 0, max: 1 },
+  { name: "center", label: "Center", min: 0, max: 1 },
+  { name: "max", label: "Max", min: 0, max: 1 },
+  { name: "trim", label: "Trim", min: -0.5, max: 0.5 },
+];
+const TESTS = [
+  { label: "0", level: 0 },
+  { label: "½", level: 0.5 },
+  { label: "1", level: 1 },
+];
+
+/**
+ * Per-robot calibration (modules/calibration/calibration.js): range, center,
+ * trim and direction for each posable part, saved under the device name.
+ * Edits to the connected robot's profile apply immediately; the test buttons
+ * send logical 0 / ½ / 1 through the calibrated setters.
+ */
+export default function CalibrationPanel({ transport, connected = false, deviceName = null }) {
+  const [target, setTarget] = useState(deviceName || "");
+  const [profile, setProfile] = useState(() => loadProfile(deviceName || ""));
+  const [saved, setSaved] = useState(listProfiles);
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+
+  // Follow the robot that just connected.
+  useEffect(() => {
+    if (!deviceName) return;
+    setTarget(deviceName);
+    setProfile(loadProfile(deviceName));
+  }, [deviceName]);
+
+  const live = Boolean(target) && target === deviceName;
+
+  function commit(next) {
+    setProfile(next);
+    if (!target) return;
+    saveProfile(target, next);
+    setSaved(listProfiles());
+    if (live) setCalibration(transport, next);
+  }
+
+  function editPart(key, patch) {
+    const cal = normalizePartCal({ ...(profile.parts[key] || DEFAULT_PART_CAL), ...patch });
+    commit({ ...profile, parts: { ...profile.parts, [key]: cal } });
+  }
+
+  function resetPart(key) {
+    const parts = { ...profile.parts };
+    delete parts[key];
+    commit({ ...profile, parts });
+  }
+
+  function selectTarget(name) {
+    setTarget(name);
+    setProfile(loadProfile(name));
+    setError("");
+  }
+
+  function removeProfile() {
+    deleteProfile(target);
+    setSaved(listProfiles());
+    setProfile(loadProfile(target));
+    if (live) setCalibration(transport, null);
+  }
+
+  function test(key, level) {
+    setPartLevel(transport, key, level).catch((err) => setError(err.message));
+  }
+
+  function exportProfile() {
+    downloadText(
+      serializeProfile({ ...profile, deviceName: target }),
+      "application/json",
+      `calibration-${target.replace(/[^\w-]+/g, "_") || "robot"}.json`
+    );
+  }
+
+  async function importProfile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      // The imported values apply to the selected robot, whatever name the file carries.
+      commit({ ...parseProfile(await file.text()), deviceName: target });
+      setError("");
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  }
+
+  const names = [...new Set([...(deviceName ? [deviceName] : []), ...saved])];
+
+  return (
+    <details className="rex-calib">
+      <summary>
+        <strong>Calibration</strong>
+        <span className="rex-calib__hint">
+          {deviceName ? ` ${deviceName}` : " no robot connected"}
+          {live && (Object.keys(profile.parts).length ? " · calibrated" : " · defaults")}
+        </span>
+      </summary>
+
+      <div className="rex-calib__bar">
+        <label>
+          Robot{" "}
+          <select aria-label="Calibration profile" value={target} onChange={(e) => selectTarget(e.target.value)}>
+            {!target && <option value="">—</option>}
+            {names.map((n) => (
+              <option key={n} value={n}>{n}{n === deviceName ? " (connected)" : ""}</option>
+            ))}
+          </select>
+        </label>
+        <button type="button" disabled={!target} onClick={exportProfile}>Export</button>
+        <button type="button" disabled={!target} onClick={() => fileRef.current?.click()}>Import…</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={importProfile} />
+        <button type="button" disabled={!saved.includes(target)} onClick={removeProfile}>Delete profile</button>
+      </div>
+
+      {!target ? (
+        <div className="rex-calib__hint">Connect a robot (or pick a saved profile) to calibrate it.</div>
+      ) : (
+        <table className="rex-calib__table">
+          <thead>
+            <tr>
+              <th>Part</th>
+              {FIELDS.map((f) => <th key={f.name}>{f.label}</th>)}
+              <th>Invert</th>
+              <th>Test</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {CAL_PARTS.map(({ key, label }) => {
+              const cal = profile.parts[key] || DEFAULT_PART_CAL;
+              return (
+                <tr key={key}>
+                  <td>{label}</td>
+                  {FIELDS.map((f) => (
+                    <td key={f.name}>
+                      <input
+                        type="number"
+                        aria-label={`${label} ${f.label.toLowerCase()}`}
+                        min={f.min}
+                        max={f.max}
+                        step={0.01}
+                        value={cal[f.name]}
+                        onChange={(e) => e.target.value !== "" && editPart(key, { [f.name]: Number(e.target.value) })}
+                      />
+                    </td>
+                  ))}
+                  <td>
+                    <input
+                      type="checkbox"
+                      aria-label={`${label} invert`}
+                      checked={cal.invert}
+                      onChange={(e) => editPart(key, { invert: e.target.checked })}
+                    />
+                  </td>
+                  <td>
+                    {TESTS.map((t) => (
+                      <button
+                        key={t.label}
+                        type="button"
+                        className="rex-calib__test"
+                        disabled={!connected || !live}
+                        title={`Send logical ${t.level}`}
+                        onClick={() => test(key, t.level)}
+                      >
+                        {t.label}
+                      </button>
+                    ))}
+                  </td>
+                  <td>
+                    {profile.parts[key] && (
+                      <button type="button" className="rex-calib__reset" onClick={() => resetPart(key)}>Reset</button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      {error && <div className="rex-calib__error">{error}</div>}
+    </details>
+  );
+}
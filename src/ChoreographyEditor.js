@@ -0,0 +1,210 @@
+// src/ChoreographyEditor.js
+import React, { useEffect, useRef, useState } from "react";
+import "./ChoreographyEditor.css";
+import {
+  ACTIONS,
+  DEMO_SEQUENCE,
+  actionById,
+  createPlayer,
+  defaultArgs,
+  loadDraft,
+  parseSequence,
+  saveDraft,
+  sequenceDuration,
+  serializeSequence,
+} from "./modules/choreo/choreography";
+import { downloadText } from "./modules/files/download";
+
+const EMPTY = { name: "Untitled", keyframes: [] };
+
+/**
+ * Timeline editor + player for scripted sequences (modules/choreo/choreography.js).
+ *  - Keyframes: time, action, action params; edits are kept as a local draft
+ *  - Import / export as .json files
+ *  - Play / pause / resume / abort through the current transport; an App E‑STOP
+ *    (haltSignal) aborts playback
+ */
+export default function ChoreographyEditor({ transport, connected = false, haltSignal = 0 }) {
+  const [seq, setSeq] = useState(loadDraft);
+  const [playState, setPlayState] = useState("idle");
+  const [position, setPosition] = useState(0);
+  const [firedAt, setFiredAt] = useState(null); // `at` of the last keyframe fired
+  const [error, setError] = useState("");
+  const playerRef = useRef(null);
+  const fileRef = useRef(null);
+
+  const running = playState === "playing" || playState === "paused";
+  const duration = Math.max(sequenceDuration(seq), 1);
+
+  useEffect(() => saveDraft(seq), [seq]);
+
+  // E‑STOP (or unmount / link switch) ends playback
+  useEffect(() => {
+    if (haltSignal) playerRef.current?.abort();
+  }, [haltSignal]);
+  useEffect(() => () => playerRef.current?.abort(), [transport]);
+
+  // -------- editing --------
+  const updateKeyframe = (i, patch) =>
+    setSeq((s) => ({ ...s, keyframes: s.keyframes.map((k, j) => (j === i ? { ...k, ...patch } : k)) }));
+
+  const changeAction = (i, action) => updateKeyframe(i, { action, args: defaultArgs(action) });
+
+  const addKeyframe = () =>
+    setSeq((s) => ({
+      ...s,
+      keyframes: [...s.keyframes, { at: sequenceDuration(s) + (s.keyframes.length ? 1000 : 0), action: "stop", args: {} }],
+    }));
+
+  const removeKeyframe = (i) => setSeq((s) => ({ ...s, keyframes: s.keyframes.filter((_, j) => j !== i) }));
+
+  // -------- files --------
+  function exportFile() {
+    downloadText(serializeSequence(seq), "application/json", `${seq.name.replace(/[^\w-]+/g, "_") || "choreography"}.json`);
+  }
+
+  async function importFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setSeq(parseSequence(await file.text()));
+      setError("");
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  }
+
+  // -------- playback --------
+  function play() {
+    let clean;
+    try {
+      clean = parseSequence(seq);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setError("");
+    setFiredAt(null);
+    const player = createPlayer(transport, clean, {
+      onStateChange: setPlayState,
+      onProgress: (pos) => setPosition(pos),
+      onKeyframe: (k) => setFiredAt(k.at),
+    });
+    playerRef.current = player;
+    player.play();
+  }
+
+  return (
+    <section className="rex-choreo">
+      <div className="rex-choreo__bar">
+        <strong>Choreography</strong>
+        <input
+          aria-label="Sequence name"
+          className="rex-choreo__name"
+          value={seq.name}
+          disabled={running}
+          onChange={(e) => setSeq((s) => ({ ...s, name: e.target.value }))}
+        />
+        <button type="button" disabled={running} onClick={() => setSeq(EMPTY)}>New</button>
+        <button type="button" disabled={running} onClick={() => setSeq(DEMO_SEQUENCE)}>Demo</button>
+        <button type="button" disabled={running} onClick={() => fileRef.current?.click()}>Import…</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={importFile} />
+        <button type="button" onClick={exportFile}>Export</button>
+
+        <span className="rex-choreo__spacer" />
+        {!running ? (
+          <button
+            type="button"
+            disabled={!connected || !seq.keyframes.length}
+            title={connected ? "" : "Connect to play"}
+            onClick={play}
+          >
+            ▶ Play
+          </button>
+        ) : playState === "playing" ? (
+          <button type="button" onClick={() => playerRef.current?.pause()}>⏸ Pause</button>
+        ) : (
+          <button type="button" onClick={() => playerRef.current?.resume()}>▶ Resume</button>
+        )}
+        <button type="button" disabled={!running} onClick={() => playerRef.current?.abort()}>■ Abort</button>
+        <span className="rex-choreo__time">
+          {(position / 1000).toFixed(1)} / {(sequenceDuration(seq) / 1000).toFixed(1)} s
+          {playState === "done" || playState === "aborted" ? ` · ${playState}` : ""}
+        </span>
+      </div>
+
+      {/* Timeline strip: keyframe markers + playhead */}
+      <div className="rex-choreo__timeline">
+        {seq.keyframes.map((k, i) => (
+          <span
+            key={i}
+            className={["rex-choreo__marker", firedAt === k.at && running ? "rex-choreo__marker--fired" : ""].join(" ")}
+            style={{ left: `${(k.at / duration) * 100}%` }}
+            title={`${(k.at / 1000).toFixed(1)} s · ${actionById(k.action)?.label || k.action}`}
+          />
+        ))}
+        {running && <span className="rex-choreo__playhead" style={{ left: `${(position / duration) * 100}%` }} />}
+      </div>
+
+      <table className="rex-choreo__table">
+        <thead>
+          <tr><th>Time (s)</th><th>Action</th><th>Parameters</th><th /></tr>
+        </thead>
+        <tbody>
+          {seq.keyframes.map((k, i) => {
+            const action = actionById(k.action);
+            return (
+              <tr key={i}>
+                <td>
+                  <input
+                    type="number"
+                    aria-label={`Keyframe ${i + 1} time`}
+                    min={0}
+                    step={0.1}
+                    value={k.at / 1000}
+                    disabled={running}
+                    onChange={(e) => updateKeyframe(i, { at: Math.max(0, Math.round(Number(e.target.value) * 1000)) })}
+                  />
+                </td>
+                <td>
+                  <select
+                    aria-label={`Keyframe ${i + 1} action`}
+                    value={k.action}
+                    disabled={running}
+                    onChange={(e) => changeAction(i, e.target.value)}
+                  >
+                    {ACTIONS.map((a) => <option key={a.id} value={a.id}>{a.label}</option>)}
+                  </select>
+                </td>
+                <td>
+                  {action?.params.map((p) => (
+                    <label key={p.name} className="rex-choreo__param">
+                      {p.name}
+                      <input
+                        type="number"
+                        min={p.min}
+                        max={p.max}
+                        step={p.step}
+                        value={k.args?.[p.name] ?? p.default}
+                        disabled={running}
+                        onChange={(e) => updateKeyframe(i, { args: { ...k.args, [p.name]: Number(e.target.value) } })}
+                      />
+                    </label>
+                  ))}
+                </td>
+                <td>
+                  <button type="button" aria-label={`Remove keyframe ${i + 1}`} disabled={running} onClick={() => removeKeyframe(i)}>
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <button type="button" disabled={running} onClick={addKeyframe}>+ Keyframe</button>
+      {error && <div className="rex-choreo__error">{error}</div>}
+    </section>
+  );
+}
@@ -1,8 +1,21 @@
 // src/ControllerPanel.js
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import "./ControllerPanel.css";
-// Flexible import: use whatever bleClient you already have
-import * as BLE from "./modules/ble/bleClient";
+import { sendJson } from "./modules/transport/transport";
+import { createHeartbeat } from "./modules/transport/heartbeat";
+import { mouthDown, mouthUp } from "./modules/Mouth_Function";
+import { stop as legsStop, turnLeft, turnRight, walkBackward, walkForward } from "./modules/Leg_Function";
+import { AnalogSlider, AnalogStick } from "./AnalogControl";
+import { LivePose } from "./RexSkeleton";
+import MacroPanel from "./MacroPanel";
+import { createRecorder } from "./modules/macro/recorder";
+import { calibratePacket } from "./modules/calibration/calibration";
+import { DIRECTIONS, POSABLE_PARTS, arrowPacket, levelCommand } from "./modules/commands/registry";
+import { setPartLevel } from "./modules/commands/levels";
+import { DEFAULT_FIRMWARE_CAPS, supportsCommand } from "./modules/commands/capabilities";
+import { actionForKey, loadBindings, saveBindings } from "./modules/input/bindings";
+import { anyPressed, stickDirection, watchGamepad } from "./modules/input/gamepad";
+import InputBindings from "./InputBindings";
 
 /**
  * Four‑panel T‑Rex Controller (always visible)
@@ -14,9 +27,27 @@ import * as BLE from "./modules/ble/bleClient";
  *
  * - Edge arrows on screen bounds (◀ ▶ ▲ ▼)
  * - Select a panel & sub‑part; only valid directions are enabled
- * - Hold arrows: logs exact ESP `cmd` string + sends over BLE (if connected)
+ * - Hold arrows: sends the ESP `cmd` packet over `transport` (if connected);
+ *   while previewing, packets go to the device `log` (modules/log) instead
+ * - While a hold is active a dead-man heartbeat runs; bumping `haltSignal`
+ *   (App's E‑STOP) cancels the hold without sending anything further
+ * - Keyboard (arrows/WASD hold, 1–4 panels, Tab cycles part) and gamepad
+ *   (left stick legs, right stick neck/tail, buttons mouth + E‑STOP);
+ *   bindings are editable and saved per browser (modules/input/bindings.js)
+ * - Per-panel Analog mode: a virtual stick (legs / full body: speed + turn
+ *   rate) or slider (0..1 setpoint) streams through the body-part modules;
+ *   sliders can hold their position on release instead of gliding back to
+ *   neutral (eased by the `smoother`, modules/motion/smoother.js)
+ * - Live skeleton of the commanded pose, with the telemetry pose on top when
+ *   the firmware reports one (`pose` tracker from modules/pose/poseModel.js)
+ * - Macros: record every start/hold/stop packet with its timing, replay it
+ *   (speed, loop); recordings live in IndexedDB (modules/macro/*)
+ * - `firmware` (the hello handshake, modules/commands/capabilities.js) gates
+ *   panels, parts, arrows and analog controls by the commands it routes
  */
 
+const DIRS = ["up", "down", "left", "right"];
+
 const PANELS = [
   { id: "legsPelvis", title: "Legs / Pelvis", pos: "tl", subs: ["legs", "pelvis"] },
   { id: "headNeck",   title: "Head / Neck",   pos: "tr", subs: ["head", "neck"] },
@@ -24,108 +55,54 @@ const PANELS = [
   { id: "fullBody",   title: "Full Body",     pos: "br", subs: ["full"] },
 ];
 
-/** Which directions are allowed for each sub‑part */
-const allowedBySub = {
-  legsPelvis: {
-    legs:   { up: true,  down: true,  left: true,  right: true  },
-    pelvis: { up: true,  down: true,  left: false, right: false },
-  },
-  headNeck: {
-    head: { up: true,  down: true,  left: false, right: false },
-    neck: { up: false, down: false, left: true,  right: true  },
-  },
-  tailSpine: {
-    tail:  { up: false, down: false, left: true,  right: true  },
-    spine: { up: true,  down: true,  left: false, right: false },
-  },
-  fullBody: {
-    full: { up: true, down: true, left: true, right: true },
-  },
+/** Registry part whose arrow commands each sub-part drives (Full Body walks the legs). */
+const SUB_PART = { full: "legs" };
+const partOf = (sub) => SUB_PART[sub] || sub;
+
+const STICK_CMDS = ["rex_walk_forward", "rex_walk_backward", "rex_turn_left", "rex_turn_right", "rex_stop"];
+
+/** A slider sets posable part `part` (see POSABLE_PARTS); `neutral` is where it rests. */
+const slider = (axis, part, neutral) =>
+  ({ kind: "slider", axis, part, neutral, label: POSABLE_PARTS.find((p) => p.key === part).label });
+
+/** Analog mode per sub-part: stick (legs) or slider (0..1 setpoint of a posable part). */
+const ANALOG = {
+  legs:   { kind: "stick", label: "Walk / turn" },
+  full:   { kind: "stick", label: "Walk / turn" },
+  pelvis: slider("y", "pelvis", 0.5),
+  spine:  slider("y", "spine", 0.5),
+  tail:   slider("x", "tail", 0.5),
+  neck:   slider("x", "neckYaw", 0.5),
+  // Firmware has no proportional head pitch; the Head tab's slider drives the jaw.
+  head:   slider("y", "mouth", 0),
 };
+const RELEASE_GLIDE_MS = 400; // slider → neutral on release, eased by the smoother
 
 // ---------------- ESP command mapping ----------------
 //
-// Build the packet the ESP expects (CommandRouter.cpp).
-// We also console.log a concise string for debugging.
+// Build the packet the ESP expects (CommandRouter.cpp). Which directions a
+// sub-part has, what a hold sends and what goes out on release all come from
+// the command registry (`arrows` / `release` in modules/commands/registry.js).
 //
 function buildEspPacket(panelId, sub, dir, phase) {
-  // Legs
-  if (panelId === "legsPelvis" && sub === "legs") {
-    const dirToCmd = {
-      up: "rex_walk_forward",
-      down: "rex_walk_backward",
-      left: "rex_turn_left",
-      right: "rex_turn_right",
-    };
-    const cmd = dirToCmd[dir];
-    if (!cmd) return null;
-    return phase === "stop" ? { cmd: "rex_stop" } : { cmd };
-  }
-
-  // Pelvis (level setpoints)
-  if (panelId === "legsPelvis" && sub === "pelvis") {
-    let level = 0.5; // neutral
-    if (phase !== "stop") {
-      if (dir === "up") level = 0.6;
-      else if (dir === "down") level = 0.4;
-      else return null;
-    }
-    return { cmd: "rex_pelvis_set", level };
-  }
-
-  // Spine
-  if (panelId === "tailSpine" && sub === "spine") {
-    const dirToCmd = { up: "rex_spine_up", down: "rex_spine_down" };
-    const cmd = dirToCmd[dir];
-    if (!cmd) return null;
-    return { cmd }; // stop = just stop sending
-  }
-
-  // Tail (level setpoints)
-  if (panelId === "tailSpine" && sub === "tail") {
-    // left -> 1.0, right -> 0.0; stop -> 0.5 neutral
-    let level = 0.5;
-    if (phase !== "stop") {
-      if (dir === "left") level = 1.0;
-      else if (dir === "right") level = 0.0;
-      else return null;
-    }
-    return { cmd: "rex_tail_set", level };
-  }
-
-  // Neck (requires router entries rex_neck_left/right)
-  if (panelId === "headNeck" && sub === "neck") {
-    const dirToCmd = { left: "rex_neck_left", right: "rex_neck_right" };
-    const cmd = dirToCmd[dir];
-    if (!cmd) return null;
-    return { cmd };
-  }
-
-  // Head (requires router entries rex_head_up/down, or map to nod)
-  if (panelId === "headNeck" && sub === "head") {
-    const dirToCmd = { up: "rex_head_up", down: "rex_head_down" };
-    const cmd = dirToCmd[dir];
-    if (!cmd) return null;
-    return { cmd };
-  }
-
-  // Full body
-  if (panelId === "fullBody" && sub === "full") {
-    const dirToCmd = {
-      up: "rex_walk_forward",
-      down: "rex_walk_backward",
-      left: "rex_turn_left",
-      right: "rex_turn_right",
-    };
-    const cmd = dirToCmd[dir];
-    if (!cmd) return null;
-    return phase === "stop" ? { cmd: "rex_stop" } : { cmd };
-  }
-
-  return null;
+  const panel = PANELS.find((p) => p.id === panelId);
+  if (!panel?.subs.includes(sub)) return null;
+  return arrowPacket(partOf(sub), dir, phase);
 }
 
-export default function ControllerPanel({ connected = false }) {
+/** Commands an analog control sends: the stick walks and turns, a slider sets its part's level. */
+const analogCommands = (a) => (a.kind === "stick" ? STICK_CMDS : [levelCommand(a.part)]);
+
+export default function ControllerPanel({
+  connected = false,
+  transport,
+  firmware = DEFAULT_FIRMWARE_CAPS,
+  pose,
+  smoother,
+  haltSignal = 0,
+  onEmergencyStop,
+  log,
+}) {
   const [selection, setSelection] = useState("tailSpine"); // active panel
   const [subSelection, setSubSelection] = useState({
     legsPelvis: "legs",
@@ -135,25 +112,33 @@ export default function ControllerPanel({ connected = false }) {
   });
 
   const [activeDir, setActiveDir] = useState(null); // 'left'|'right'|'up'|'down'|null
-  const timerRef = useRef(null);
-
-  // Transport plumbing (be tolerant of whatever bleClient exposes)
-  const sendOverBLE = useCallback(async (obj) => {
+  // One hold per input source ("pointer" | "keyboard" | "padLeft" | "padRight"),
+  // so a gamepad can walk and turn the neck at the same time.
+  const holdsRef = useRef(new Map()); // source -> { panelId, sub, dir, timer }
+  const [bindings, setBindings] = useState(loadBindings);
+  const [analogPanels, setAnalogPanels] = useState({}); // panelId -> true when in Analog mode
+  const [holdOnRelease, setHoldOnRelease] = useState(false);
+  const [levels, setLevels] = useState(() =>
+    Object.fromEntries(Object.entries(ANALOG).filter(([, a]) => a.kind === "slider").map(([sub, a]) => [sub, a.neutral]))
+  );
+  const analogActiveRef = useRef(false); // stick engaged (keeps the heartbeat alive)
+  const [showBindings, setShowBindings] = useState(false);
+  const [showPose, setShowPose] = useState(true);
+  const [showMacros, setShowMacros] = useState(false);
+  const [recording, setRecording] = useState(false);
+  const recorder = useMemo(() => createRecorder(), []);
+
+  // Every packet goes through the shared Transport (BLE, serial, ...);
+  // raw level packets get the robot's calibration like the modules' *_set calls.
+  const sendPacket = useCallback(async (obj) => {
     try {
-      if (typeof BLE.sendJson === "function")       return BLE.sendJson(obj);
-      if (typeof BLE.sendString === "function")     return BLE.sendString(JSON.stringify(obj));
-      if (typeof BLE.sendCommand === "function") {
-        // If your sendCommand(target, direction, phase) exists, we still prefer JSON here:
-        return BLE.sendString(JSON.stringify(obj));
-      }
-      if (typeof window !== "undefined" && typeof window.bluetoothSend === "function") {
-        return window.bluetoothSend(obj); // App.js shim
-      }
-      console.warn("BLE transport not found — logging only:", obj);
+      await sendJson(transport, calibratePacket(transport, obj));
     } catch (err) {
-      console.warn("BLE send error:", err);
+      console.warn("Transport send error:", err);
     }
-  }, []);
+  }, [transport]);
+
+  const heartbeat = useMemo(() => createHeartbeat(transport), [transport]);
 
   // GIFs (swap with your real assets in /public/gifs/*)
   const gifs = useMemo(
@@ -186,55 +171,178 @@ export default function ControllerPanel({ connected = false }) {
   const isAnimating = Boolean(activeDir);
   const currentSub = subSelection[selection];
   const isAllowed = useCallback(
-    (panelId, sub, dir) => Boolean(allowedBySub[panelId]?.[sub]?.[dir]),
-    []
+    (panelId, sub, dir) => {
+      const pkt = buildEspPacket(panelId, sub, dir, "start");
+      return pkt !== null && supportsCommand(firmware, pkt.cmd);
+    },
+    [firmware]
+  );
+  const analogAvailable = useCallback(
+    (sub) => Boolean(ANALOG[sub]) && analogCommands(ANALOG[sub]).every((cmd) => supportsCommand(firmware, cmd)),
+    [firmware]
+  );
+  // A part is usable if the firmware routes at least one arrow or its analog control.
+  const subAvailable = useCallback(
+    (panelId, sub) => DIRECTIONS.some((d) => isAllowed(panelId, sub, d)) || analogAvailable(sub),
+    [isAllowed, analogAvailable]
   );
+  const panelAvailable = useCallback(
+    (panelId) => PANELS.find((p) => p.id === panelId).subs.some((sub) => subAvailable(panelId, sub)),
+    [subAvailable]
+  );
+  const analogOn = Boolean(analogPanels[selection]) && analogAvailable(currentSub);
+
+  // A hello reply can take away the selected part: fall back to one the firmware has.
+  useEffect(() => {
+    setSubSelection((sel) => {
+      let next = sel;
+      for (const p of PANELS) {
+        if (subAvailable(p.id, sel[p.id])) continue;
+        const alt = p.subs.find((sub) => subAvailable(p.id, sub));
+        if (alt) next = { ...next, [p.id]: alt };
+      }
+      return next;
+    });
+  }, [subAvailable]);
 
   // -------- Hold-to-repeat pipeline (builds ESP packet + logs + sends) --------
+  // Every start/hold/stop packet passes here, so this is also where macros record.
+  // Sent packets reach the log through the transport; previews are logged here.
+  const logPkt = useCallback((phase, pkt) => {
+    if (!connected) log?.tx(pkt, { source: "controller", phase, preview: true });
+    recorder.record(phase, pkt);
+  }, [recorder, connected, log]);
+
+  /** Start recording, or stop and return the finished macro. */
+  const toggleRecording = useCallback(() => {
+    if (!recorder.isRecording()) {
+      recorder.start();
+      setRecording(true);
+      return null;
+    }
+    setRecording(false);
+    return recorder.stop();
+  }, [recorder]);
+
+  const syncActiveDir = useCallback(() => {
+    const holds = [...holdsRef.current.values()];
+    setActiveDir(holds.length ? holds[holds.length - 1].dir : null);
+    if (!holds.length && !analogActiveRef.current) heartbeat.stop();
+  }, [heartbeat]);
+
+  /** End the hold owned by `source`; `sendStop` = false drops it silently. */
+  const stopHold = useCallback((source = "pointer", sendStop = true) => {
+    const hold = holdsRef.current.get(source);
+    if (!hold) return;
+    clearInterval(hold.timer);
+    holdsRef.current.delete(source);
+    if (sendStop) {
+      const stopPkt = buildEspPacket(hold.panelId, hold.sub, hold.dir, "stop");
+      if (stopPkt) {
+        logPkt("stop", stopPkt);
+        if (connected) sendPacket(stopPkt);
+      }
+    }
+    syncActiveDir();
+  }, [connected, sendPacket, syncActiveDir, logPkt]);
+
+  /** Start holding `dir` on `target` (defaults to the selected panel/part). */
   const startHold = useCallback(
-    (dir) => {
-      const sub = currentSub;
-      if (!isAllowed(selection, sub, dir)) return;
+    (dir, source = "pointer", target = null) => {
+      const panelId = target?.panelId ?? selection;
+      const sub = target?.sub ?? currentSub;
+      if (!isAllowed(panelId, sub, dir)) return;
 
-      const pkt = buildEspPacket(selection, sub, dir, "start");
-      if (!pkt) return;
+      const prev = holdsRef.current.get(source);
+      if (prev && prev.panelId === panelId && prev.sub === sub && prev.dir === dir) return;
+      if (prev) stopHold(source);
 
-      setActiveDir(dir);
+      const pkt = buildEspPacket(panelId, sub, dir, "start");
+      if (!pkt) return;
 
-      // Log concise string and full JSON
-      console.log(`[CMD start] ${pkt.cmd}${pkt.level !== undefined ? ` level=${pkt.level.toFixed(2)}` : ""}`);
-      console.log("[ESP JSON]", pkt);
+      logPkt("start", pkt);
 
-      if (connected) sendOverBLE(pkt);
+      if (connected) {
+        sendPacket(pkt);
+        heartbeat.start();
+      }
 
-      timerRef.current = setInterval(() => {
-        const holdPkt = buildEspPacket(selection, sub, dir, "hold") || pkt;
-        console.log(`[CMD hold] ${holdPkt.cmd}${holdPkt.level !== undefined ? ` level=${holdPkt.level.toFixed(2)}` : ""}`);
-        if (connected) sendOverBLE(holdPkt);
+      const timer = setInterval(() => {
+        const holdPkt = buildEspPacket(panelId, sub, dir, "hold") || pkt;
+        logPkt("hold", holdPkt);
+        if (connected) sendPacket(holdPkt);
       }, repeatIntervalMs);
+
+      holdsRef.current.set(source, { panelId, sub, dir, timer });
+      setActiveDir(dir);
     },
-    [selection, currentSub, isAllowed, connected, sendOverBLE]
+    [selection, currentSub, isAllowed, connected, sendPacket, heartbeat, stopHold, logPkt]
   );
 
-  const stopHold = useCallback(() => {
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-      timerRef.current = null;
+  // E‑STOP from the App: the stop-all already went out on the priority path,
+  // so just drop every hold locally (no stop packet that could queue behind it).
+  useEffect(() => {
+    if (!haltSignal) return;
+    analogActiveRef.current = false;
+    for (const source of [...holdsRef.current.keys()]) stopHold(source, false);
+    syncActiveDir();
+  }, [haltSignal, stopHold, syncActiveDir]);
+
+  // -------- Analog mode: stick → walk/turn with speed, sliders → *_set(level) --------
+  const warnSend = (err) => console.warn("Transport send error:", err);
+
+  const setLevel = useCallback((sub, level) => {
+    const a = ANALOG[sub];
+    setLevels((l) => ({ ...l, [sub]: level }));
+    smoother?.cancel(a.part); // the operator's hand wins over a running glide
+    if (connected) setPartLevel(transport, a.part, level).catch(warnSend);
+    else log?.tx({ cmd: levelCommand(a.part), level }, { source: "controller", phase: "analog", preview: true });
+  }, [connected, transport, smoother, log]);
+
+  const releaseSlider = useCallback((sub) => {
+    if (holdOnRelease) return;
+    const a = ANALOG[sub];
+    if (!smoother || !connected) return setLevel(sub, a.neutral);
+    setLevels((l) => ({ ...l, [sub]: a.neutral }));
+    smoother.moveTo(a.part, a.neutral, { durationMs: RELEASE_GLIDE_MS });
+  }, [holdOnRelease, setLevel, smoother, connected]);
+
+  const driveStick = useCallback(({ x, y }) => {
+    if (x === 0 && y === 0) { // inside the stick's dead zone
+      if (analogActiveRef.current && connected) legsStop(transport).catch(warnSend);
+      analogActiveRef.current = false;
+      syncActiveDir();
+      return;
     }
-    if (activeDir) {
-      const sub = currentSub;
-      const stopPkt = buildEspPacket(selection, sub, activeDir, "stop");
-      if (stopPkt) {
-        console.log(`[CMD stop] ${stopPkt.cmd}${stopPkt.level !== undefined ? ` level=${stopPkt.level.toFixed(2)}` : ""}`);
-        if (connected) sendOverBLE(stopPkt);
-      }
+    analogActiveRef.current = true;
+    let send, dir;
+    if (Math.abs(y) >= Math.abs(x)) {
+      dir = y < 0 ? "up" : "down";
+      send = () => (y < 0 ? walkForward(transport, -y) : walkBackward(transport, y));
+    } else {
+      dir = x < 0 ? "left" : "right";
+      send = () => (x < 0 ? turnLeft(transport, -x) : turnRight(transport, x));
+    }
+    setActiveDir(dir);
+    if (connected) {
+      heartbeat.start();
+      send().catch(warnSend);
     }
-    setActiveDir(null);
-  }, [activeDir, selection, currentSub, connected, sendOverBLE]);
+  }, [connected, transport, heartbeat, syncActiveDir]);
+
+  const releaseStick = useCallback(() => {
+    // Walking never "holds position": letting go of the stick always stops.
+    if (connected) legsStop(transport).catch(warnSend);
+    analogActiveRef.current = false;
+    syncActiveDir();
+  }, [connected, transport, syncActiveDir]);
+
+  useEffect(() => () => heartbeat.stop(), [heartbeat]);
 
   // Cancel on release/unmount
   useEffect(() => {
-    const cancel = () => stopHold();
+    const holds = holdsRef.current;
+    const cancel = () => stopHold("pointer");
     window.addEventListener("mouseup", cancel);
     window.addEventListener("touchend", cancel);
     window.addEventListener("touchcancel", cancel);
@@ -242,10 +350,100 @@ export default function ControllerPanel({ connected = false }) {
       window.removeEventListener("mouseup", cancel);
       window.removeEventListener("touchend", cancel);
       window.removeEventListener("touchcancel", cancel);
-      if (timerRef.current) clearInterval(timerRef.current);
+      for (const h of holds.values()) clearInterval(h.timer);
     };
   }, [stopHold]);
 
+  // -------- Keyboard: bound keys hold while down, release on keyup --------
+  const heldKeyRef = useRef(null);
+  useEffect(() => {
+    const typing = (e) => e.target?.closest?.("input, textarea, select, [contenteditable='true']");
+
+    const onKeyDown = (e) => {
+      if (showBindings || typing(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+      const action = actionForKey(bindings, e.key);
+      if (!action) return;
+      e.preventDefault();
+      if (e.repeat) return;
+
+      if (DIRS.includes(action)) {
+        heldKeyRef.current = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        startHold(action, "keyboard");
+      } else if (action.startsWith("panel")) {
+        const panel = PANELS[Number(action.slice(5)) - 1];
+        if (panel && panelAvailable(panel.id)) setSelection(panel.id);
+      } else if (action === "cycleSub") {
+        const subs = (PANELS.find((p) => p.id === selection)?.subs || []).filter(
+          (sub) => sub === currentSub || subAvailable(selection, sub)
+        );
+        if (subs.length > 1) {
+          const next = subs[(subs.indexOf(currentSub) + 1) % subs.length];
+          setSubSelection((sel) => ({ ...sel, [selection]: next }));
+        }
+      }
+    };
+    const onKeyUp = (e) => {
+      const k = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      if (k === heldKeyRef.current) {
+        heldKeyRef.current = null;
+        stopHold("keyboard");
+      }
+    };
+    const onBlur = () => stopHold("keyboard"); // keyup never arrives once focus is gone
+
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", onBlur);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", onBlur);
+    };
+  }, [bindings, showBindings, selection, currentSub, startHold, stopHold, panelAvailable, subAvailable]);
+
+  // -------- Gamepad: sticks hold, buttons fire on press --------
+  const padRef = useRef({ buttons: {} });
+  padRef.current.ctx = { bindings, selection, startHold, stopHold, transport, connected, onEmergencyStop };
+  useEffect(() => {
+    return watchGamepad((pad) => {
+      const { bindings: b, selection: sel, startHold: start, stopHold: stop, transport: t, connected: live, onEmergencyStop: estop } = padRef.current.ctx;
+      if (!pad) {
+        // Pad gone: nothing will ever release its sticks, so do it now.
+        stop("padLeft");
+        stop("padRight");
+        padRef.current.buttons = {};
+        return;
+      }
+      const g = b.gamepad;
+
+      const legs = sel === "fullBody" ? { panelId: "fullBody", sub: "full" } : { panelId: "legsPelvis", sub: "legs" };
+      const leftDir = stickDirection(pad, g.leftStick, g.deadzone);
+      if (leftDir) start(leftDir, "padLeft", legs); else stop("padLeft");
+
+      const toTail = anyPressed(pad, g.tailModifier);
+      const right = toTail ? { panelId: "tailSpine", sub: "tail" } : { panelId: "headNeck", sub: "neck" };
+      const rightDir = stickDirection(pad, g.rightStick, g.deadzone);
+      if (rightDir === "left" || rightDir === "right") start(rightDir, "padRight", right); else stop("padRight");
+
+      // Button press edges
+      const prev = padRef.current.buttons;
+      const edge = (action) => {
+        const down = anyPressed(pad, g[action]);
+        const fired = down && !prev[action];
+        prev[action] = down;
+        return fired;
+      };
+      if (edge("estop")) estop?.("gamepad");
+      if (edge("mouthOpen") && live) mouthUp(t).catch(() => {});
+      if (edge("mouthClose") && live) mouthDown(t).catch(() => {});
+    });
+  }, []);
+
+  const updateBindings = useCallback((next) => {
+    setBindings(next);
+    saveBindings(next);
+  }, []);
+
   // ---------- Layout helpers ----------
   const posStyle = (pos) => {
     switch (pos) {
@@ -268,6 +466,8 @@ export default function ControllerPanel({ connected = false }) {
               key={opt}
               type="button"
               className={["rex-tabs__btn", active ? "rex-tabs__btn--active" : ""].join(" ")}
+              disabled={!subAvailable(panelId, opt)}
+              title={subAvailable(panelId, opt) ? "" : "Not supported by this firmware"}
               onClick={(e) => {
                 e.stopPropagation();
                 setSubSelection((s) => ({ ...s, [panelId]: opt }));
@@ -311,23 +511,29 @@ export default function ControllerPanel({ connected = false }) {
     const g = gifs[id]?.[sub] || gifs[id];
     const src = selected && isAnimating ? g.active : g.idle;
 
-    const onActivate = () => setSelection(id);
+    const available = panelAvailable(id);
+
+    const onActivate = () => available && setSelection(id);
+    // Space is reserved for E‑STOP (App), so only Enter selects.
     const onKey = (e) => {
-      if (e.key === "Enter" || e.key === " ") {
+      if (e.key === "Enter") {
         e.preventDefault();
-        setSelection(id);
+        onActivate();
       }
     };
 
-    const allowedMap = allowedBySub[id]?.[sub] ?? { up: false, down: false, left: false, right: false };
+    const allowedMap = Object.fromEntries(DIRECTIONS.map((d) => [d, isAllowed(id, sub, d)]));
+    const canAnalog = analogAvailable(sub);
 
     return (
       <div
         role="button"
-        tabIndex={0}
+        tabIndex={available ? 0 : -1}
         aria-pressed={selected}
-        className={["rex-panel", selected ? "rex-panel--selected" : ""].join(" ")}
+        aria-disabled={!available}
+        className={["rex-panel", selected ? "rex-panel--selected" : "", available ? "" : "rex-panel--disabled"].join(" ")}
         style={posStyle(pos)}
+        title={available ? "" : "Not supported by this firmware"}
         onClick={onActivate}
         onKeyDown={onKey}
       >
@@ -349,6 +555,21 @@ export default function ControllerPanel({ connected = false }) {
           ))}
         </div>
 
+        {/* Arrows ⇄ Analog */}
+        <button
+          type="button"
+          className={["rex-modeBtn", analogPanels[id] && canAnalog ? "rex-modeBtn--on" : ""].join(" ")}
+          disabled={!canAnalog}
+          title={canAnalog ? "" : "No proportional control on this firmware"}
+          onClick={(e) => {
+            e.stopPropagation();
+            setSelection(id);
+            setAnalogPanels((m) => ({ ...m, [id]: !m[id] }));
+          }}
+        >
+          {analogPanels[id] && canAnalog ? "Analog" : "Arrows"}
+        </button>
+
         {/* Image area */}
         <div className="rex-panel__imgWrap">
           <img
@@ -379,6 +600,82 @@ export default function ControllerPanel({ connected = false }) {
         </div>
       </div>
 
+      {/* Analog dock for the selected panel (outside Panel so drags survive re-renders) */}
+      {analogOn && (
+        <div className="rex-analogDock">
+          {ANALOG[currentSub].kind === "stick" ? (
+            <AnalogStick
+              label={ANALOG[currentSub].label}
+              haltSignal={haltSignal}
+              onChange={driveStick}
+              onRelease={releaseStick}
+            />
+          ) : (
+            <>
+              <AnalogSlider
+                key={currentSub}
+                axis={ANALOG[currentSub].axis}
+                label={ANALOG[currentSub].label}
+                value={levels[currentSub]}
+                onChange={(v) => setLevel(currentSub, v)}
+                onRelease={() => releaseSlider(currentSub)}
+              />
+              <label className="rex-analogDock__opt">
+                <input
+                  type="checkbox"
+                  checked={holdOnRelease}
+                  onChange={(e) => setHoldOnRelease(e.target.checked)}
+                />
+                Hold on release
+              </label>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Live pose (commanded + reported) */}
+      {pose && showPose && (
+        <div className="rex-poseCard">
+          <LivePose tracker={pose} />
+        </div>
+      )}
+      {pose && (
+        <button type="button" className="rex-toolBtn rex-toolBtn--pose" onClick={() => setShowPose((v) => !v)}>
+          🦖 Pose
+        </button>
+      )}
+
+      {/* Macro record / replay */}
+      <button
+        type="button"
+        className={["rex-toolBtn", "rex-toolBtn--macros", recording ? "rex-toolBtn--rec" : ""].join(" ")}
+        onClick={() => setShowMacros((v) => !v)}
+      >
+        {recording ? "⏺ REC" : "⏺ Macros"}
+      </button>
+      {showMacros && (
+        <MacroPanel
+          transport={transport}
+          connected={connected}
+          recording={recording}
+          onToggleRecord={toggleRecording}
+          haltSignal={haltSignal}
+          onClose={() => setShowMacros(false)}
+        />
+      )}
+
+      {/* Keyboard / gamepad bindings */}
+      <button type="button" className="rex-toolBtn" onClick={() => setShowBindings((v) => !v)}>
+        ⌨ Bindings
+      </button>
+      {showBindings && (
+        <InputBindings
+          bindings={bindings}
+          onChange={updateBindings}
+          onClose={() => setShowBindings(false)}
+        />
+      )}
+
       {/* Footer status */}
       <div className="rex-status">
         <span>Selected: <strong>{titleFor(selection)}</strong></span>
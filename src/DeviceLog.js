@@ -0,0 +1,163 @@
+// src/DeviceLog.js
+import React, { useLayoutEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import "./DeviceLog.css";
+import { COMMANDS, PARTS, commandsForPart } from "./modules/commands/registry";
+import { DIRS, entryMatcher, filterSince, toCsv, toJsonl } from "./modules/log/deviceLog";
+import { downloadText } from "./modules/files/download";
+
+const ROW_H = 18; // px; rows are fixed-height so the list can be virtualized
+const VIEW_H = 240;
+const OVERSCAN = 10;
+const DIR_LABELS = { tx: "TX", rx: "RX", system: "SYS" };
+
+const pad = (n, w = 2) => String(n).padStart(w, "0");
+function fmtTime(at) {
+  const d = new Date(at);
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+}
+
+/**
+ * The device log (modules/log/deviceLog.js): TX / RX / system entries with
+ * direction, severity, part, command and text search filters. Only the rows
+ * in view are rendered. Scrolling up stops following new entries; "Follow"
+ * jumps back to the tail. Export writes the filtered entries.
+ */
+export default function DeviceLog({ log, title = "Device Log" }) {
+  const snap = useSyncExternalStore(log.subscribe, log.getSnapshot);
+  const [dirs, setDirs] = useState(DIRS);
+  const [minSeverity, setMinSeverity] = useState("info");
+  const [part, setPart] = useState("");
+  const [cmd, setCmd] = useState("");
+  const [query, setQuery] = useState("");
+  const [heartbeats, setHeartbeats] = useState(false);
+  const [follow, setFollow] = useState(true);
+  const [scrollTop, setScrollTop] = useState(0);
+  const listRef = useRef(null);
+  const viewRef = useRef(null);
+
+  // Appends only test the new entries; a filter change re-filters the buffer once.
+  const { entries } = snap;
+  const match = useMemo(
+    () => entryMatcher({ dirs, minSeverity, part, cmd, query, heartbeats }),
+    [dirs, minSeverity, part, cmd, query, heartbeats]
+  );
+  const shown = useMemo(() => {
+    viewRef.current = filterSince(viewRef.current, entries, match);
+    return viewRef.current.entries;
+  }, [entries, match]);
+
+  const total = shown.length * ROW_H;
+  const top = follow ? Math.max(0, total - VIEW_H) : scrollTop;
+  const first = Math.max(0, Math.floor(top / ROW_H) - OVERSCAN);
+  const last = Math.min(shown.length, Math.ceil((top + VIEW_H) / ROW_H) + OVERSCAN);
+
+  useLayoutEffect(() => {
+    if (follow && listRef.current) listRef.current.scrollTop = total;
+  }, [follow, total]);
+
+  function onScroll(e) {
+    const el = e.currentTarget;
+    setScrollTop(el.scrollTop);
+    const atBottom = el.scrollTop + el.clientHeight >= el.scrollHeight - ROW_H;
+    if (follow && !atBottom) setFollow(false);
+  }
+
+  const toggleDir = (d) => setDirs((ds) => (ds.includes(d) ? ds.filter((x) => x !== d) : [...ds, d]));
+  const cmdChoices = part ? commandsForPart(part) : Object.keys(COMMANDS);
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+
+  return (
+    <section className="rex-log">
+      <div className="rex-log__bar">
+        <strong>{title}</strong>
+        <input
+          type="search"
+          aria-label="Search log"
+          placeholder="Search…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        {DIRS.map((d) => (
+          <label key={d}>
+            <input type="checkbox" checked={dirs.includes(d)} onChange={() => toggleDir(d)} /> {DIR_LABELS[d]}
+          </label>
+        ))}
+        <select aria-label="Severity" value={minSeverity} onChange={(e) => setMinSeverity(e.target.value)}>
+          <option value="info">All severities</option>
+          <option value="warning">Warnings and errors</option>
+          <option value="error">Errors only</option>
+        </select>
+        <select
+          aria-label="Part"
+          value={part}
+          onChange={(e) => { setPart(e.target.value); setCmd(""); }}
+        >
+          <option value="">All parts</option>
+          {PARTS.map((p) => <option key={p} value={p}>{p}</option>)}
+        </select>
+        <select aria-label="Command" value={cmd} onChange={(e) => setCmd(e.target.value)}>
+          <option value="">All commands</option>
+          {cmdChoices.map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <label>
+          <input type="checkbox" checked={heartbeats} onChange={(e) => setHeartbeats(e.target.checked)} /> Heartbeats
+        </label>
+      </div>
+
+      <div
+        ref={listRef}
+        className="rex-log__list"
+        style={{ height: VIEW_H }}
+        onScroll={onScroll}
+        role="log"
+        aria-label="Device log entries"
+      >
+        {shown.length === 0 ? (
+          <div className="rex-log__empty">{entries.length ? "No entries match the filters." : "No output yet…"}</div>
+        ) : (
+          <div style={{ height: total, position: "relative" }}>
+            {shown.slice(first, last).map((e, i) => (
+              <div
+                key={e.id}
+                className={`rex-log__row rex-log__row--${e.dir} rex-log__row--${e.severity}`}
+                style={{ top: (first + i) * ROW_H, height: ROW_H }}
+                title={e.payload ? JSON.stringify(e.payload, null, 2) : e.text}
+              >
+                <span className="rex-log__time">{fmtTime(e.at)}</span>
+                <span className="rex-log__dir">{DIR_LABELS[e.dir]}</span>
+                {e.meta?.preview && <span className="rex-log__tag">preview</span>}
+                <span className="rex-log__text">{e.text}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="rex-log__bar">
+        <span className="rex-log__hint">
+          {shown.length} of {entries.length} entries{snap.dropped ? ` (${snap.dropped} older dropped)` : ""}
+        </span>
+        <button type="button" onClick={() => setFollow((f) => !f)}>
+          {follow ? "⏸ Pause scroll" : "⤓ Follow"}
+        </button>
+        <button
+          type="button"
+          disabled={!shown.length}
+          onClick={() => downloadText(toJsonl(shown), "application/x-ndjson", `rex-log-${stamp}.jsonl`)}
+        >
+          Export JSONL
+        </button>
+        <button
+          type="button"
+          disabled={!shown.length}
+          onClick={() => downloadText(toCsv(shown), "text/csv", `rex-log-${stamp}.csv`)}
+        >
+          Export CSV
+        </button>
+        <button type="button" disabled={!entries.length} onClick={() => log.clear()}>
+          Clear
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,136 @@
+// src/DeviceManager.js
+import React from "react";
+import "./DeviceManager.css";
+
+const STATUS_LABELS = {
+  idle: "disconnected",
+  connecting: "connecting…",
+  connected: "connected",
+  reconnecting: "reconnecting…",
+  failed: "reconnect failed",
+};
+const TARGETS = [
+  ["focused", "Focused robot"],
+  ["group", "Selected group"],
+  ["all", "All robots"],
+];
+
+/**
+ * The robots in the fleet (modules/fleet/fleet.js), one row each with its own
+ * status and firmware. The focused robot's log, telemetry and calibration are
+ * shown below; the controller drives the `target`:
+ *  - "focused": the focused robot only
+ *  - "group":   the connected robots ticked in the Group column
+ *  - "all":     every connected robot
+ * Robots in `fixedIds` (the header link) can't be removed here.
+ */
+export default function DeviceManager({
+  robots,
+  focusId,
+  onFocus,
+  target,
+  onTargetChange,
+  onAdd,
+  onConnect,
+  onDisconnect,
+  onRemove,
+  fixedIds = [],
+}) {
+  const grouping = target.mode === "group";
+  const toggleGroup = (id, on) =>
+    onTargetChange({
+      ...target,
+      group: on ? [...target.group, id] : target.group.filter((g) => g !== id),
+    });
+
+  return (
+    <section className="rex-fleet">
+      <div className="rex-fleet__bar">
+        <strong>Robots</strong>
+        <label>
+          Command target{" "}
+          <select
+            aria-label="Command target"
+            value={target.mode}
+            onChange={(e) => onTargetChange({ ...target, mode: e.target.value })}
+          >
+            {TARGETS.map(([mode, label]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <span className="rex-fleet__spacer" />
+        <button type="button" onClick={() => onAdd("ble")}>+ BLE robot</button>
+        <button type="button" onClick={() => onAdd("sim")}>+ Simulator</button>
+      </div>
+
+      <table className="rex-fleet__table">
+        <thead>
+          <tr>
+            <th>Focus</th>
+            <th>Group</th>
+            <th>Robot</th>
+            <th>Status</th>
+            <th>Firmware</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {robots.map((r) => {
+            const linked = r.status === "connected" || r.status === "reconnecting" || r.status === "connecting";
+            return (
+              <tr key={r.id} className={r.id === focusId ? "rex-fleet__row--focused" : undefined}>
+                <td>
+                  <input
+                    type="radio"
+                    name="rex-fleet-focus"
+                    aria-label={`Focus ${r.label}`}
+                    checked={r.id === focusId}
+                    onChange={() => onFocus(r.id)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="checkbox"
+                    aria-label={`Group ${r.label}`}
+                    disabled={!grouping}
+                    checked={target.group.includes(r.id)}
+                    onChange={(e) => toggleGroup(r.id, e.target.checked)}
+                  />
+                </td>
+                <td>
+                  {r.label}
+                  {r.deviceName && <span className="rex-fleet__muted"> · {r.deviceName}</span>}
+                </td>
+                <td>
+                  <span className={`rex-fleet__status rex-fleet__status--${r.status}`}>
+                    {r.status === "reconnecting"
+                      ? `reconnecting (${r.attempt}/${r.maxAttempts})`
+                      : STATUS_LABELS[r.status] || r.status}
+                  </span>
+                </td>
+                <td className="rex-fleet__muted">
+                  {r.status !== "connected" ? "—" : r.firmware.source === "device" ? r.firmware.version || "(no version)" : "defaults"}
+                </td>
+                <td className="rex-fleet__actions">
+                  {linked ? (
+                    <button type="button" onClick={() => onDisconnect(r.id)}>Disconnect</button>
+                  ) : (
+                    <button type="button" onClick={() => onConnect(r.id)} aria-label={`Connect ${r.label}`}>
+                      Connect
+                    </button>
+                  )}
+                  {!fixedIds.includes(r.id) && (
+                    <button type="button" onClick={() => onRemove(r.id)} aria-label={`Remove ${r.label}`}>
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </section>
+  );
+}
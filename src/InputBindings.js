@@ -0,0 +1,99 @@
+// src/InputBindings.js
+import React, { useEffect, useState } from "react";
+import {
+  KEY_ACTIONS,
+  PAD_ACTIONS,
+  RESERVED_KEYS,
+  bindButton,
+  bindKey,
+  keyLabel,
+  resetBindings,
+} from "./modules/input/bindings";
+
+/**
+ * Overlay for rebinding ControllerPanel keys and gamepad buttons.
+ * Click "Rebind", then press the new key (or gamepad button).
+ * Changes go straight to `onChange` (ControllerPanel persists them).
+ */
+export default function InputBindings({ bindings, onChange, onClose }) {
+  const [capture, setCapture] = useState(null); // { kind: "key" | "pad", action }
+
+  // Capture the next non-reserved key
+  useEffect(() => {
+    if (capture?.kind !== "key") return;
+    const onKeyDown = (e) => {
+      if (RESERVED_KEYS.has(e.key)) return; // E‑STOP keys stay put and still reach App
+      e.preventDefault();
+      e.stopPropagation();
+      onChange(bindKey(bindings, capture.action, e.key));
+      setCapture(null);
+    };
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [capture, bindings, onChange]);
+
+  // Capture the next gamepad button press
+  useEffect(() => {
+    if (capture?.kind !== "pad" || typeof navigator.getGamepads !== "function") return;
+    let raf;
+    const poll = () => {
+      const pad = [...navigator.getGamepads()].find(Boolean);
+      const idx = pad ? pad.buttons.findIndex((b) => b.pressed) : -1;
+      if (idx >= 0) {
+        onChange(bindButton(bindings, capture.action, idx));
+        setCapture(null);
+        return;
+      }
+      raf = requestAnimationFrame(poll);
+    };
+    raf = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(raf);
+  }, [capture, bindings, onChange]);
+
+  const rebindBtn = (kind, action) => (
+    <button
+      type="button"
+      className="rex-bindings__btn"
+      onClick={() => setCapture({ kind, action })}
+    >
+      {capture?.kind === kind && capture.action === action ? "Press…" : "Rebind"}
+    </button>
+  );
+
+  return (
+    <div className="rex-bindings" role="dialog" aria-label="Input bindings">
+      <div className="rex-bindings__head">
+        <strong>Input bindings</strong>
+        <span className="rex-bindings__hint">Space / Esc are always E‑STOP</span>
+      </div>
+
+      <table className="rex-bindings__table">
+        <tbody>
+          {KEY_ACTIONS.map(({ id, label }) => (
+            <tr key={id}>
+              <td>{label}</td>
+              <td>{(bindings.keyboard[id] || []).map(keyLabel).join(" / ") || "–"}</td>
+              <td>{rebindBtn("key", id)}</td>
+            </tr>
+          ))}
+          {PAD_ACTIONS.map(({ id, label }) => (
+            <tr key={id}>
+              <td>🎮 {label}</td>
+              <td>{(bindings.gamepad[id] || []).map((b) => `B${b}`).join(" / ") || "–"}</td>
+              <td>{rebindBtn("pad", id)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="rex-bindings__foot">
+        <button type="button" className="rex-bindings__btn" onClick={() => onChange(resetBindings())}>
+          Reset defaults
+        </button>
+        <button type="button" className="rex-bindings__btn" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+// src/KnownDevices.js
+import React, { useEffect, useRef, useState, useSyncExternalStore } from "react";
+import "./KnownDevices.css";
+import { listProfiles } from "./modules/calibration/calibration";
+import {
+  canListPermittedDevices,
+  getPermittedDevices,
+  knownDeviceLabel,
+  watchAdvertisements,
+} from "./modules/ble/knownDevices";
+
+const IN_RANGE_MS = 15_000; // no advertisement for this long = out of range
+const NAME_PREFIX = "Robo_Rex";
+
+function fmtSeen(at, now) {
+  if (at == null) return "never";
+  const s = Math.round((now - at) / 1000);
+  if (s < 60) return "just now";
+  if (s < 3600) return `${Math.round(s / 60)} min ago`;
+  if (s < 86_400) return `${Math.round(s / 3600)} h ago`;
+  return new Date(at).toLocaleDateString();
+}
+
+function NicknameInput({ device, onRename }) {
+  const [draft, setDraft] = useState(device.nickname);
+  useEffect(() => setDraft(device.nickname), [device.nickname]);
+  const commit = () => {
+    if (draft.trim() !== device.nickname) onRename(device.id, draft);
+  };
+  return (
+    <input
+      aria-label={`Nickname for ${device.name || device.id}`}
+      placeholder="Nickname"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+    />
+  );
+}
+
+/**
+ * Remembered BLE robots (modules/ble/knownDevices.js) with nickname, last
+ * seen and whether a calibration profile is saved for them. Where the browser
+ * has navigator.bluetooth.getDevices(), devices the site already has
+ * permission for reconnect in one click (`onConnect(device)`, no chooser), and
+ * watchAdvertisements() marks the ones currently in range.
+ */
+export default function KnownDevices({ known, robots = [], onConnect }) {
+  const { devices } = useSyncExternalStore(known.subscribe, known.getSnapshot);
+  const [permitted, setPermitted] = useState(() => new Map()); // id -> BluetoothDevice
+  const [adverts, setAdverts] = useState({}); // id -> { rssi, at }
+  const [now, setNow] = useState(Date.now);
+
+  // Permitted Rex devices from earlier sessions are remembered too (once, so
+  // forgetting one sticks where the browser can't revoke the permission).
+  const imported = useRef(false);
+  const knownIds = devices.map((d) => d.id).join(",");
+  useEffect(() => {
+    let alive = true;
+    getPermittedDevices().then((list) => {
+      if (!alive) return;
+      const rex = list.filter((d) => d.name?.startsWith(NAME_PREFIX));
+      if (!imported.current) {
+        imported.current = true;
+        for (const d of rex) {
+          if (!known.get(d.id)) known.remember(d, null);
+        }
+      }
+      setPermitted(new Map(rex.map((d) => [d.id, d])));
+    });
+    return () => { alive = false; };
+  }, [known, knownIds]);
+
+  useEffect(() => {
+    if (permitted.size === 0) return undefined;
+    return watchAdvertisements([...permitted.values()], (d, advert) => {
+      setAdverts((a) => ({ ...a, [d.id]: advert }));
+      known.seen(d.id, advert.at);
+    });
+  }, [permitted, known]);
+
+  // Re-evaluate "in range" and "last seen" as time passes.
+  useEffect(() => {
+    if (devices.length === 0) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(timer);
+  }, [devices.length]);
+
+  if (devices.length === 0) return null;
+
+  const profiles = new Set(listProfiles());
+  const linked = new Set(robots.filter((r) => r.status !== "idle" && r.status !== "failed").map((r) => r.deviceId));
+
+  return (
+    <section className="rex-known">
+      <div className="rex-known__bar">
+        <strong>Remembered robots</strong>
+        {!canListPermittedDevices() && (
+          <span className="rex-known__hint">
+            This browser can't reopen a device without the chooser (no navigator.bluetooth.getDevices); use Connect BLE.
+          </span>
+        )}
+      </div>
+      <ul className="rex-known__list">
+        {devices.map((d) => {
+          const device = permitted.get(d.id);
+          const advert = adverts[d.id];
+          const inRange = advert && now - advert.at < IN_RANGE_MS;
+          const busy = linked.has(d.id);
+          return (
+            <li key={d.id} className="rex-known__item">
+              <span className="rex-known__name">{knownDeviceLabel(d)}</span>
+              {d.nickname && <span className="rex-known__muted">{d.name}</span>}
+              <NicknameInput device={d} onRename={known.rename} />
+              <span className="rex-known__muted">last seen {fmtSeen(d.lastSeen, now)}</span>
+              {inRange ? (
+                <span className="rex-known__tag rex-known__tag--in">
+                  in range{advert.rssi != null ? ` · ${advert.rssi} dBm` : ""}
+                </span>
+              ) : device?.watchAdvertisements ? (
+                <span className="rex-known__tag">out of range</span>
+              ) : null}
+              {profiles.has(d.name) && <span className="rex-known__tag">calibrated</span>}
+              <span className="rex-known__spacer" />
+              <button
+                type="button"
+                disabled={!device || busy}
+                title={device ? undefined : "Not permitted in this browser session; connect once with the chooser"}
+                onClick={() => onConnect(device)}
+                aria-label={`Reconnect ${knownDeviceLabel(d)}`}
+              >
+                {busy ? "Linked" : "Reconnect"}
+              </button>
+              <button
+                type="button"
+                disabled={busy}
+                aria-label={`Forget ${knownDeviceLabel(d)}`}
+                onClick={() => {
+                  device?.forget?.().catch(() => {}); // revoke the permission too, where supported
+                  known.forget(d.id);
+                }}
+              >
+                Forget
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
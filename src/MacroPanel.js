@@ -0,0 +1,166 @@
+// src/MacroPanel.js
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { createReplayer, parseMacro, serializeMacro } from "./modules/macro/recorder";
+import { deleteMacro, listMacros, renameMacro, saveMacro } from "./modules/macro/macroStore";
+import { downloadText } from "./modules/files/download";
+
+const SPEEDS = [0.5, 1, 1.5, 2];
+
+const fmtDuration = (ms) => `${(ms / 1000).toFixed(1)} s`;
+
+/**
+ * Overlay for ControllerPanel macros: record, list / rename / delete (IndexedDB),
+ * replay at a speed multiplier or looped, import / export as JSON.
+ * Closing the overlay or an E‑STOP (haltSignal) stops a running replay.
+ */
+export default function MacroPanel({ transport, connected, recording, onToggleRecord, haltSignal = 0, onClose }) {
+  const [macros, setMacros] = useState([]);
+  const [speed, setSpeed] = useState(1);
+  const [loop, setLoop] = useState(false);
+  const [playing, setPlaying] = useState(null); // id of the macro being replayed
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState("");
+  const replayerRef = useRef(null);
+  const fileRef = useRef(null);
+
+  const refresh = useCallback(() => {
+    listMacros().then(setMacros, (err) => setError(err.message));
+  }, []);
+
+  useEffect(refresh, [refresh]);
+
+  useEffect(() => {
+    if (haltSignal) replayerRef.current?.stop();
+  }, [haltSignal]);
+  useEffect(() => () => replayerRef.current?.stop(), []);
+
+  const run = (promise) => promise.then(refresh, (err) => setError(err.message));
+
+  function toggleRecord() {
+    const macro = onToggleRecord();
+    if (macro) run(saveMacro(macro));
+  }
+
+  function replay(macro) {
+    replayerRef.current?.stop();
+    setError("");
+    const replayer = createReplayer(transport, macro, {
+      speed,
+      loop,
+      onProgress: (pos, total) => setProgress(total ? pos / total : 1),
+    });
+    replayerRef.current = replayer;
+    setPlaying(macro.id);
+    setProgress(0);
+    replayer.play().then(() => {
+      if (replayerRef.current === replayer) {
+        replayerRef.current = null;
+        setPlaying(null);
+      }
+    });
+  }
+
+  function exportMacro(macro) {
+    downloadText(serializeMacro(macro), "application/json", `${macro.name.replace(/[^\w-]+/g, "_") || "macro"}.json`);
+  }
+
+  async function importMacro(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      run(saveMacro(parseMacro(await file.text())));
+      setError("");
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  }
+
+  return (
+    <div className="rex-macros" role="dialog" aria-label="Macros">
+      <div className="rex-macros__head">
+        <strong>Macros</strong>
+        <span className="rex-macros__hint">Records every arrow / key / pad packet</span>
+      </div>
+
+      <div className="rex-macros__row">
+        <button
+          type="button"
+          className={["rex-macros__btn", recording ? "rex-macros__btn--rec" : ""].join(" ")}
+          onClick={toggleRecord}
+        >
+          {recording ? "■ Stop recording" : "⏺ Record"}
+        </button>
+        <label>
+          Speed{" "}
+          <select aria-label="Replay speed" value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+            {SPEEDS.map((s) => <option key={s} value={s}>{s}×</option>)}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={loop} onChange={(e) => setLoop(e.target.checked)} /> Loop
+        </label>
+      </div>
+
+      <table className="rex-macros__table">
+        <tbody>
+          {macros.length === 0 && (
+            <tr><td className="rex-macros__hint">No recordings yet.</td></tr>
+          )}
+          {macros.map((m) => (
+            <tr key={m.id}>
+              <td>
+                <input
+                  aria-label="Macro name"
+                  className="rex-macros__name"
+                  defaultValue={m.name}
+                  onBlur={(e) => e.target.value !== m.name && run(renameMacro(m.id, e.target.value))}
+                  onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                />
+                <div className="rex-macros__hint">
+                  {fmtDuration(m.duration)} · {m.events.length} packets
+                  {playing === m.id && ` · ${Math.round(progress * 100)}%`}
+                </div>
+              </td>
+              <td>
+                {playing === m.id ? (
+                  <button type="button" className="rex-macros__btn" onClick={() => replayerRef.current?.stop()}>
+                    ■ Stop
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    className="rex-macros__btn"
+                    disabled={!connected || recording}
+                    title={connected ? "" : "Connect to replay"}
+                    onClick={() => replay(m)}
+                  >
+                    ▶ Replay
+                  </button>
+                )}{" "}
+                <button type="button" className="rex-macros__btn" onClick={() => exportMacro(m)}>Export</button>{" "}
+                <button
+                  type="button"
+                  className="rex-macros__btn"
+                  aria-label={`Delete ${m.name}`}
+                  disabled={playing === m.id}
+                  onClick={() => run(deleteMacro(m.id))}
+                >
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {error && <div className="rex-macros__error">{error}</div>}
+
+      <div className="rex-macros__foot">
+        <button type="button" className="rex-macros__btn" onClick={() => fileRef.current?.click()}>Import…</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={importMacro} />
+        <button type="button" className="rex-macros__btn" onClick={onClose}>Close</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+// src/PosePresets.js
+import React, { useEffect, useRef, useState } from "react";
+import "./PosePresets.css";
+import { EASINGS } from "./modules/motion/smoother";
+import { uncalibratePose } from "./modules/calibration/calibration";
+import {
+  PRESET_PARTS,
+  applyPreset,
+  deleteCustomPreset,
+  loadPresets,
+  saveCustomPreset,
+} from "./modules/presets/presets";
+
+const TRANSITIONS = [0, 500, 1000, 2000, 4000]; // ms
+const EASING_LABELS = { linear: "Linear", easeInOut: "Ease in-out", spring: "Spring" };
+
+/**
+ * One-click whole-body poses (modules/presets/presets.js).
+ *  - Apply a preset as a jump or an eased transition (`smoother`, modules/motion)
+ *  - "Save current" stores the commanded pose (`pose` tracker) as a custom preset
+ * An E‑STOP (haltSignal) cancels a running transition.
+ */
+export default function PosePresets({ transport, connected = false, pose, smoother, haltSignal = 0 }) {
+  const [presets, setPresets] = useState(loadPresets);
+  const [transitionMs, setTransitionMs] = useState(1000);
+  const [easing, setEasing] = useState("easeInOut");
+  const [active, setActive] = useState(null); // id of the preset in transition
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+  const runRef = useRef(null);
+
+  useEffect(() => {
+    if (haltSignal) runRef.current?.cancel();
+  }, [haltSignal]);
+  useEffect(() => () => runRef.current?.cancel(), [transport]);
+
+  // Presets hold logical levels; the commanded pose carries calibrated ones.
+  const currentPose = () => uncalibratePose(transport, pose?.getSnapshot().commanded);
+
+  function apply(preset) {
+    runRef.current?.cancel();
+    const run = applyPreset(transport, preset, {
+      from: currentPose(),
+      durationMs: transitionMs,
+      easing,
+      smoother,
+    });
+    runRef.current = run;
+    setActive(preset.id);
+    run.done.then(() => {
+      if (runRef.current === run) {
+        runRef.current = null;
+        setActive(null);
+      }
+    });
+  }
+
+  function saveCurrent(e) {
+    e.preventDefault();
+    try {
+      setPresets(saveCustomPreset(name, currentPose()));
+      setName("");
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const describe = (p) =>
+    PRESET_PARTS.map(({ key, label }) => `${label} ${p.targets[key]?.toFixed(2) ?? "–"}`).join(" · ");
+
+  return (
+    <section className="rex-presets">
+      <div className="rex-presets__bar">
+        <strong>Pose presets</strong>
+        <label>
+          Transition{" "}
+          <select
+            aria-label="Transition time"
+            value={transitionMs}
+            onChange={(e) => setTransitionMs(Number(e.target.value))}
+          >
+            {TRANSITIONS.map((ms) => (
+              <option key={ms} value={ms}>{ms ? `${ms / 1000} s` : "Instant"}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Easing{" "}
+          <select
+            aria-label="Easing"
+            value={easing}
+            disabled={!transitionMs}
+            onChange={(e) => setEasing(e.target.value)}
+          >
+            {Object.keys(EASINGS).map((id) => (
+              <option key={id} value={id}>{EASING_LABELS[id] || id}</option>
+            ))}
+          </select>
+        </label>
+        <form className="rex-presets__save" onSubmit={saveCurrent}>
+          <input
+            aria-label="New preset name"
+            placeholder="Name for current pose"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <button type="submit" disabled={!name.trim()}>Save current</button>
+        </form>
+      </div>
+
+      <div className="rex-presets__list">
+        {presets.map((p) => (
+          <span key={p.id} className="rex-presets__item">
+            <button
+              type="button"
+              className={["rex-presets__btn", active === p.id ? "rex-presets__btn--active" : ""].join(" ")}
+              disabled={!connected}
+              title={describe(p)}
+              onClick={() => apply(p)}
+            >
+              {p.name}
+            </button>
+            {!p.builtin && (
+              <button
+                type="button"
+                className="rex-presets__del"
+                aria-label={`Delete preset ${p.name}`}
+                onClick={() => setPresets(deleteCustomPreset(p.id))}
+              >
+                ✕
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+      {error && <div className="rex-presets__error">{error}</div>}
+    </section>
+  );
+}
@@ -0,0 +1,127 @@
+// src/RexSkeleton.js
+import React, { useEffect, useState, useSyncExternalStore } from "react";
+
+/**
+ * Live 2D T‑Rex skeleton for a pose from modules/pose/poseModel.js.
+ *  - Side view: pelvis height, spine pitch, head pitch, jaw, gait state
+ *  - Top view: tail and neck yaw
+ * The commanded pose is drawn solid, the reported (telemetry) pose dashed on top,
+ * so a lagging or disagreeing robot shows up as two skeletons.
+ */
+
+const DEG = Math.PI / 180;
+const STALE_MS = 3000; // telemetry older than this is drawn greyed out
+const SWING = 40; // degrees of yaw / pitch at either end of a 0..1 level
+
+const at = ([x, y], len, deg) => [x + len * Math.cos(deg * DEG), y - len * Math.sin(deg * DEG)];
+const pts = (...points) => points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(" ");
+
+/** Side-view joints (viewBox 0 0 200 120, head to the right, ground at y=112). */
+export function sideGeometry(pose) {
+  const hipY = 62 - (pose.pelvis - 0.5) * 28 - (pose.posture - 0.5) * 12;
+  const hip = [92, hipY];
+  const spineDeg = 12 + (pose.spine - 0.5) * SWING;
+  const chest = at(hip, 46, spineDeg);
+  const neckTop = at(chest, 22, spineDeg + 38);
+  const headDeg = (pose.head - 0.5) * SWING * 1.5;
+  const snout = at(neckTop, 24, headDeg);
+  const jaw = at(neckTop, 22, headDeg - 8 - pose.mouth * 32);
+  // Tail hangs opposite the spine; yawing it away from us foreshortens it.
+  const tailLen = 68 * Math.cos((pose.tail - 0.5) * SWING * 2 * DEG);
+  const tailTip = at(hip, tailLen, 180 + spineDeg * 0.6 - 6);
+  const tailMid = at(hip, tailLen / 2, 180 + spineDeg * 0.6);
+
+  // Legs: stride phase only reflects whether we're walking (no animation clock).
+  const moving = pose.walking?.state && pose.walking.state !== "idle";
+  const stride = moving ? 10 + 10 * (pose.walking.speed || pose.walking.rate || 0) : 0;
+  const leg = (dx) => {
+    const foot = [hip[0] + dx, 112];
+    const knee = [hip[0] + dx / 2 + 10, (hip[1] + foot[1]) / 2];
+    return [hip, knee, foot];
+  };
+  const shoulder = at(chest, 3, spineDeg - 90);
+  const arm = [shoulder, at(shoulder, 12, -70)];
+
+  return { hip, chest, neckTop, snout, jaw, tailMid, tailTip, legs: [leg(stride), leg(-stride)], arm };
+}
+
+/** Top-view joints (viewBox 0 0 200 80, head to the right). */
+export function topGeometry(pose) {
+  const hip = [88, 40];
+  const chest = [134, 40];
+  // Level 0 = left: the tail and head swing toward the top of the view.
+  const tailDeg = 180 - (0.5 - pose.tail) * SWING * 2;
+  const tailMid = at(hip, 34, 180 - (0.5 - pose.tail) * SWING);
+  const tailTip = at(tailMid, 34, tailDeg);
+  const snout = at(chest, 40, (0.5 - pose.neckYaw) * SWING * 2);
+  return { hip, chest, tailMid, tailTip, snout };
+}
+
+function SideFigure({ pose, variant }) {
+  const g = sideGeometry(pose);
+  return (
+    <g className={`rex-skel__fig rex-skel__fig--${variant}`}>
+      <polyline points={pts(g.tailTip, g.tailMid, g.hip, g.chest, g.neckTop, g.snout)} />
+      <polyline points={pts(g.neckTop, g.jaw)} />
+      {g.legs.map((l, i) => <polyline key={i} points={pts(...l)} />)}
+      <polyline points={pts(...g.arm)} />
+      <circle cx={g.hip[0]} cy={g.hip[1]} r="3" />
+    </g>
+  );
+}
+
+function TopFigure({ pose, variant }) {
+  const g = topGeometry(pose);
+  return (
+    <g className={`rex-skel__fig rex-skel__fig--${variant}`}>
+      <polyline points={pts(g.tailTip, g.tailMid, g.hip, g.chest, g.snout)} />
+      <circle cx={g.snout[0]} cy={g.snout[1]} r="3" />
+    </g>
+  );
+}
+
+function walkLabel({ walking }) {
+  if (!walking || walking.state === "idle") return "idle";
+  const amount = walking.state.startsWith("turn") ? walking.rate : walking.speed;
+  return `${walking.state.replace("_", " ")} ${Number(amount || 0).toFixed(2)}`;
+}
+
+/**
+ * @param {{ commanded: object, reported: object|null, reportedAt?: number|null }} props
+ */
+export default function RexSkeleton({ commanded, reported, reportedAt = null }) {
+  // Own 1 s clock so staleness shows even when telemetry simply stops arriving.
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    if (!reported) return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [reported]);
+  const stale = Boolean(reported && reportedAt && Math.max(now, reportedAt) - reportedAt > STALE_MS);
+
+  return (
+    <div className="rex-skel" aria-label="Rex pose">
+      <svg className="rex-skel__view" viewBox="0 0 200 120" role="img" aria-label="Side view">
+        <line className="rex-skel__ground" x1="10" y1="112" x2="190" y2="112" />
+        <SideFigure pose={commanded} variant="cmd" />
+        {reported && <SideFigure pose={reported} variant={stale ? "stale" : "rep"} />}
+      </svg>
+      <svg className="rex-skel__view" viewBox="0 0 200 80" role="img" aria-label="Top view">
+        <TopFigure pose={commanded} variant="cmd" />
+        {reported && <TopFigure pose={reported} variant={stale ? "stale" : "rep"} />}
+      </svg>
+      <div className="rex-skel__legend">
+        <span className="rex-skel__key rex-skel__key--cmd">Commanded: {walkLabel(commanded)}</span>
+        <span className="rex-skel__key rex-skel__key--rep">
+          {reported ? `Reported: ${walkLabel(reported)}${stale ? " (stale)" : ""}` : "No telemetry"}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+/** RexSkeleton bound to a pose tracker (re-renders only this view on pose changes). */
+export function LivePose({ tracker }) {
+  const snap = useSyncExternalStore(tracker.subscribe, tracker.getSnapshot);
+  return <RexSkeleton commanded={snap.commanded} reported={snap.reported} reportedAt={snap.reportedAt} />;
+}
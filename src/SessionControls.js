@@ -0,0 +1,99 @@
+// src/SessionControls.js
+import React, { useRef, useState } from "react";
+import * as BLE from "./modules/ble/bleClient";
+import { parseSession, serializeSession, sessionSummary } from "./modules/session/session";
+import { downloadText } from "./modules/files/download";
+
+const SPEEDS = [1, 2, 4, 8];
+
+/**
+ * BLE session capture and replay (modules/session/session.js), shown in the
+ * App header next to the connect button:
+ *  - connected: record the link's raw TX/RX and download it as a session file
+ *    (a capture runs across reconnects until it is saved)
+ *  - idle: load a session file and play it back as if the robot were connected
+ * Outcomes go to the device `log`.
+ */
+export default function SessionControls({ connected = false, log }) {
+  const [capturing, setCapturing] = useState(BLE.isCapturing);
+  const [replaying, setReplaying] = useState(null); // session name while playing
+  const [speed, setSpeed] = useState(1);
+  const fileRef = useRef(null);
+
+  function startCapture() {
+    BLE.startCapture();
+    setCapturing(true);
+    log?.system("Session capture started");
+  }
+
+  function saveCapture() {
+    const session = BLE.stopCapture();
+    setCapturing(false);
+    if (!session) return;
+    const { events } = sessionSummary(session);
+    downloadText(
+      serializeSession(session),
+      "application/json",
+      `rex-session-${(session.device || "ble").replace(/[^\w-]+/g, "_")}-${session.startedAt.replace(/[:.]/g, "-")}.json`
+    );
+    log?.system(`Session capture saved (${events} events)`);
+  }
+
+  async function replayFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    let session;
+    try {
+      session = parseSession(await file.text());
+    } catch (err) {
+      log?.system(`Replay: ${file.name}: ${err.message}`, "error");
+      return;
+    }
+    const { rx, durationMs } = sessionSummary(session);
+    log?.system(`Replaying ${file.name}: ${rx} RX chunks over ${(durationMs / 1000).toFixed(1)} s at ${speed}×`);
+    setReplaying(file.name);
+    const finished = await BLE.replaySession(session, { speed });
+    setReplaying(null);
+    log?.system(`Replay ${finished ? "finished" : "stopped"}: ${file.name}`);
+  }
+
+  if (replaying) {
+    return (
+      <>
+        <span style={{ fontSize: 12, color: "#744210" }}>▶ Replaying {replaying}</span>
+        <button type="button" onClick={() => BLE.stopReplay()}>⏹ Stop replay</button>
+      </>
+    );
+  }
+  if (capturing) {
+    return (
+      <button type="button" onClick={saveCapture} title="Stop capturing and download the session file">
+        ⏹ Save capture
+      </button>
+    );
+  }
+  if (connected) {
+    return (
+      <button type="button" onClick={startCapture} title="Record every TX chunk and RX notification">
+        ⏺ Capture
+      </button>
+    );
+  }
+  return (
+    <>
+      <button type="button" onClick={() => fileRef.current?.click()}>Replay session…</button>
+      <select aria-label="Replay speed" value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+        {SPEEDS.map((s) => <option key={s} value={s}>{s}×</option>)}
+      </select>
+      <input
+        ref={fileRef}
+        type="file"
+        accept="application/json,.json"
+        aria-label="Session file"
+        style={{ display: "none" }}
+        onChange={replayFile}
+      />
+    </>
+  );
+}
@@ -0,0 +1,189 @@
+// src/TelemetryDashboard.js
+import React, { useEffect, useState, useSyncExternalStore } from "react";
+import "./TelemetryDashboard.css";
+import { CHARTS, DEFAULT_THRESHOLDS, chartSeries, samplesInRange } from "./modules/telemetry/telemetry";
+
+const WINDOWS = [30_000, 60_000, 300_000]; // ms of history per chart
+const COLORS = ["#34d399", "#60a5fa", "#f472b6", "#fbbf24", "#a78bfa", "#f87171", "#2dd4bf", "#e5e7eb"];
+const W = 300;
+const H = 80;
+
+const fmtTime = (at) => new Date(at).toLocaleTimeString();
+const fmtWindow = (ms) => (ms >= 60_000 ? `${ms / 60_000} min` : `${ms / 1000} s`);
+
+/** One rolling chart: a polyline per series, dashed threshold lines, current values in the legend. */
+function Chart({ chart, samples, from, to }) {
+  const series = chartSeries(chart, samples);
+  const limits = DEFAULT_THRESHOLDS.filter((r) => r.group === chart.id);
+  const values = series.flatMap((s) => s.points.map(([, v]) => v));
+  if (!values.length) return null;
+
+  // Keep threshold lines in view when they're near the data.
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  for (const r of limits) {
+    const v = r.below ?? r.above;
+    if (v >= lo - (hi - lo) && v <= hi + (hi - lo)) {
+      lo = Math.min(lo, v);
+      hi = Math.max(hi, v);
+    }
+  }
+  const pad = (hi - lo) * 0.1 || Math.abs(hi) * 0.05 || 1;
+  lo -= pad;
+  hi += pad;
+  const x = (at) => ((at - from) / Math.max(1, to - from)) * W;
+  const y = (v) => H - ((v - lo) / (hi - lo)) * H;
+
+  return (
+    <figure className="rex-telemetry__chart">
+      <figcaption>
+        <span className="rex-telemetry__chartTitle">{chart.label}</span>
+        {series.map((s, i) => {
+          const last = s.points[s.points.length - 1][1];
+          return (
+            <span key={s.key} className="rex-telemetry__legend" style={{ color: COLORS[i % COLORS.length] }}>
+              {series.length > 1 ? `${s.name} ` : ""}{last.toFixed(chart.digits)} {chart.unit}
+            </span>
+          );
+        })}
+      </figcaption>
+      <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" role="img" aria-label={`${chart.label} chart`}>
+        {limits.map((r) => {
+          const v = r.below ?? r.above;
+          if (v < lo || v > hi) return null;
+          return (
+            <line
+              key={r.id}
+              x1={0} x2={W} y1={y(v)} y2={y(v)}
+              className={`rex-telemetry__limit rex-telemetry__limit--${r.severity}`}
+            />
+          );
+        })}
+        {series.map((s, i) => (
+          <polyline
+            key={s.key}
+            fill="none"
+            stroke={COLORS[i % COLORS.length]}
+            strokeWidth={1.5}
+            vectorEffect="non-scaling-stroke"
+            points={s.points.map(([at, v]) => `${x(at).toFixed(1)},${y(v).toFixed(1)}`).join(" ")}
+          />
+        ))}
+      </svg>
+      <div className="rex-telemetry__axis">
+        <span>{hi.toFixed(chart.digits)}</span>
+        <span>{lo.toFixed(chart.digits)}</span>
+      </div>
+    </figure>
+  );
+}
+
+/**
+ * Live device status from telemetry (modules/telemetry/telemetry.js): rolling
+ * charts for battery, servo temperatures / currents, loop time and RSSI, plus
+ * threshold alert banners. Pause freezes the charts on the buffered history;
+ * the scrubber moves the visible window back through it. Alerts stay live.
+ */
+export default function TelemetryDashboard({ store, connected = false }) {
+  const live = useSyncExternalStore(store.subscribe, store.getSnapshot);
+  const [frozen, setFrozen] = useState(null); // snapshot held while paused
+  const [viewEnd, setViewEnd] = useState(null); // scrub position (ms) while paused
+  const [windowMs, setWindowMs] = useState(WINDOWS[1]);
+  const [dismissed, setDismissed] = useState([]); // alert ids hidden until they clear
+
+  // A dismissed alert comes back if it clears and trips again.
+  useEffect(() => {
+    setDismissed((d) => d.filter((id) => live.alerts.some((a) => a.id === id)));
+  }, [live.alerts]);
+
+  const paused = frozen !== null;
+  const view = frozen || live;
+  const { samples } = view;
+  const first = samples[0]?.at ?? 0;
+  const last = samples[samples.length - 1]?.at ?? 0;
+  const to = paused ? viewEnd ?? last : last;
+  const from = to - windowMs;
+  const visible = samplesInRange(samples, from, to);
+  const alerts = live.alerts.filter((a) => !dismissed.includes(a.id));
+  const latest = live.latest;
+
+  function pause() {
+    setFrozen(live);
+    setViewEnd(last);
+  }
+  function resume() {
+    setFrozen(null);
+    setViewEnd(null);
+  }
+  function scrub(at) {
+    if (!paused) setFrozen(live);
+    setViewEnd(at);
+  }
+
+  return (
+    <section className="rex-telemetry">
+      <div className="rex-telemetry__bar">
+        <strong>Telemetry</strong>
+        {latest?.gait && <span className="rex-telemetry__badge">Gait: {latest.gait}</span>}
+        {latest && (
+          <span className="rex-telemetry__hint">
+            {connected ? `updated ${fmtTime(latest.at)}` : `last seen ${fmtTime(latest.at)}`}
+          </span>
+        )}
+        <label>
+          Window{" "}
+          <select aria-label="Chart window" value={windowMs} onChange={(e) => setWindowMs(Number(e.target.value))}>
+            {WINDOWS.map((ms) => <option key={ms} value={ms}>{fmtWindow(ms)}</option>)}
+          </select>
+        </label>
+        <button type="button" disabled={!samples.length && !paused} onClick={paused ? resume : pause}>
+          {paused ? "▶ Live" : "⏸ Pause"}
+        </button>
+        <button
+          type="button"
+          disabled={!live.samples.length}
+          onClick={() => { resume(); store.clear(); }}
+        >
+          Clear
+        </button>
+      </div>
+
+      {alerts.map((a) => (
+        <div key={a.id} role="alert" className={`rex-telemetry__alert rex-telemetry__alert--${a.severity}`}>
+          <span>{a.severity === "critical" ? "⛔" : "⚠"} {a.message}</span>
+          <button
+            type="button"
+            aria-label={`Dismiss ${a.message}`}
+            onClick={() => setDismissed((d) => [...d, a.id])}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      {!samples.length ? (
+        <div className="rex-telemetry__hint">No telemetry yet. Connect to a robot that reports its status.</div>
+      ) : (
+        <>
+          <div className="rex-telemetry__scrub">
+            <input
+              type="range"
+              aria-label="Scrub telemetry history"
+              min={Math.min(first + windowMs, last)}
+              max={last}
+              step={100}
+              value={to}
+              onChange={(e) => scrub(Number(e.target.value))}
+            />
+            <span className="rex-telemetry__hint">
+              {paused ? `Paused at ${fmtTime(to)}` : "Live"} · {samples.length} samples since {fmtTime(first)}
+            </span>
+          </div>
+          <div className="rex-telemetry__grid">
+            {CHARTS.map((c) => <Chart key={c.id} chart={c} samples={visible} from={from} to={to} />)}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
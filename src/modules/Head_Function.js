@@ -1,6 +1,9 @@
-export function roar(port) {
-  if (!port) return;
-  const writer = port.writable.getWriter();
-  writer.write(new TextEncoder().encode("rex_roar\n"));
-  writer.releaseLock();
+// src/modules/Head_Function.js
+// Head actions. Transport-agnostic: takes a Transport (see ./transport/transport.js).
+
+import { sendCommand } from "./transport/transport";
+
+/** Roar (plain string trigger) — firmware command "rex_roar". */
+export async function roar(transport, opts) {
+  return sendCommand(transport, "rex_roar", {}, opts);
 }
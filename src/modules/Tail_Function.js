@@ -1,60 +1,39 @@
 // Tail_Function.js
 // Tail controls: left / right / center / set(level) / wag()
-// Transport-agnostic: prefers BLE shim, falls back to Web Serial.
+// Transport-agnostic: takes a Transport (see ./transport/transport.js).
 
-const encoder = new TextEncoder();
-
-/* -------------- transport helpers -------------- */
-async function sendLine(port, line) {
-  if (!port) throw new Error("No port. Connect first.");
-  if (typeof port.send === "function") return port.send(String(line).trim()); // BLE shim adds "\n"
-  if (typeof port.write === "function") return port.write(String(line).trim()); // generic shim
-
-  if (!port.writable) throw new Error("Port is not writable.");
-  const writer = port.writable.getWriter();
-  try {
-    await writer.write(encoder.encode(String(line).trim() + "\n"));
-  } finally {
-    writer.releaseLock();
-  }
-}
-
-async function sendJSON(port, obj) {
-  if (typeof port.sendJson === "function") return port.sendJson(obj);
-  return sendLine(port, JSON.stringify(obj));
-}
+import { sendCommand } from "./transport/transport";
+import { calibrate, partCalibration } from "./calibration/calibration";
 
 /* -------------- public API -------------- */
 
 /** Move tail fully to the left (plain string command). */
-export async function tailLeft(port) {
-  // Optional: if firmware prefers JSON only, use tailSet(port, 0.0);
-  return sendLine(port, "rex_tail_left");
+export async function tailLeft(transport, opts) {
+  // A calibrated tail must stay inside its soft limits, so go through tailSet.
+  if (partCalibration(transport, "tail")) return tailSet(transport, 0.0, opts);
+  return sendCommand(transport, "rex_tail_left", {}, opts);
 }
 
 /** Move tail fully to the right (plain string command). */
-export async function tailRight(port) {
-  // Optional: tailSet(port, 1.0);
-  return sendLine(port, "rex_tail_right");
+export async function tailRight(transport, opts) {
+  if (partCalibration(transport, "tail")) return tailSet(transport, 1.0, opts);
+  return sendCommand(transport, "rex_tail_right", {}, opts);
 }
 
-/** Center the tail (plain string or set 0.5). */
-export async function tailCenter(port) {
-  // Either of these work; keep the string AND JSON available:
-  // return sendLine(port, "rex_tail_center");
-  return tailSet(port, 0.5);
+/** Center the tail (set 0.5, so a calibrated tail centers on its own center). */
+export async function tailCenter(transport, opts) {
+  return tailSet(transport, 0.5, opts);
 }
 
 /**
  * Explicit tail position (0.0 = full left, 0.5 = center, 1.0 = full right).
  * Firmware JSON command: { "cmd": "rex_tail_set", "level": <0..1> }
  */
-export async function tailSet(port, level = 0.5) {
-  const v = Math.max(0, Math.min(1, Number(level)));
-  return sendJSON(port, { cmd: "rex_tail_set", level: v });
+export async function tailSet(transport, level = 0.5, opts) {
+  return sendCommand(transport, "rex_tail_set", { level: calibrate(transport, "tail", level) }, opts);
 }
 
 /** Tail wag sequence (plain string trigger). */
-export async function tailWag(port) {
-  return sendLine(port, "rex_tail_wag");
+export async function tailWag(transport, opts) {
+  return sendCommand(transport, "rex_tail_wag", {}, opts);
 }
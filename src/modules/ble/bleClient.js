@@ -1,169 +1,593 @@
 // src/modules/ble/bleClient.js
+// Web Bluetooth (Nordic UART) link to a Rex. createBleConnection() makes one
+// independent connection per robot; the module-level functions below are a
+// default connection, so single-robot code keeps calling BLE.connect() etc.
+
+import { createLineReader } from "../transport/lineReader";
+import { createRequestTracker } from "../transport/requests";
+import { ESTOP_PACKET, WriteQueue, packetQueueHints } from "../transport/writeQueue";
+import { checkOutgoing } from "../commands/registry";
+import { createSessionRecorder, playSession } from "../session/session";
+import { linkDebug } from "../transport/debug";
 
 // Nordic UART-like UUIDs (change if your firmware uses different ones)
 const NUS_SERVICE_UUID = "6e400001-b5a3-f393-e0a9-e50e24dcca9e";
 const NUS_TX_UUID      = "6e400002-b5a3-f393-e0a9-e50e24dcca9e"; // Web -> ESP32 (Write)
 const NUS_RX_UUID      = "6e400003-b5a3-f393-e0a9-e50e24dcca9e"; // ESP32 -> Web (Notify)
 
-let device, server, service, txChar, rxChar;
-const messageHandlers = new Set();
-const disconnectHandlers = new Set();
+const DEFAULT_RECONNECT = {
+  enabled: true,
+  maxAttempts: 8,
+  baseDelayMs: 500,   // 0.5s, 1s, 2s, 4s, ... capped by maxDelayMs
+  maxDelayMs: 10000,
+};
 
-// ---------------- Write queue to prevent "GATT operation already in progress" -----
-class WriteQueue {
-  constructor() { this._chain = Promise.resolve(); }
-  enqueue(task) {
-    // Always run tasks sequentially
-    this._chain = this._chain.then(task, task);
-    return this._chain;
-  }
+// ---------------- Chunk sizing + pacing -------------------------------------------
+//
+// Web Bluetooth doesn't expose the negotiated ATT MTU, so we start at the
+// payload that fits the minimum 23-byte MTU and grow only when we learn more:
+//   - connect({ chunkSize: 244 })     caller knows the link (e.g. BLE 5 + DLE)
+//   - any RX JSON carrying "mtu"      firmware reports what it negotiated
+// If a larger write ever fails we drop back to SAFE_CHUNK for the session.
+//
+// Pacing between chunks follows observed write latency (EWMA) instead of a
+// fixed delay: a backed-up stack slows writes down, and we slow down with it.
+
+const SAFE_CHUNK = 18;   // 23-byte ATT MTU - 3 header bytes, minus slack
+const MAX_CHUNK  = 509;  // largest ATT payload (512) minus slack
+const PACE_FACTOR = 0.5; // inter-chunk delay as a fraction of avg write time
+const MAX_PACE_MS = 20;
+
+function freshStats() {
+  return {
+    linesSent: 0, bytesSent: 0, chunksSent: 0,
+    writeErrors: 0, fallbacks: 0,
+    avgWriteMs: 0, activeMs: 0,
+  };
 }
-const writeQueue = new WriteQueue();
-
-async function writeChunkSafe(buf) {
-  // Prefer without-response if available; fall back otherwise.
-  if (!txChar) throw new Error("Not connected");
-  const hasNoRsp = typeof txChar.writeValueWithoutResponse === "function";
-  // Retry once if the adapter is busy
-  for (let attempt = 0; attempt < 2; attempt++) {
-    try {
-      if (hasNoRsp) {
-        await txChar.writeValueWithoutResponse(buf);
-      } else {
-        await txChar.writeValue(buf);
+
+function clampChunk(n) {
+  return Math.max(SAFE_CHUNK, Math.min(MAX_CHUNK, Math.floor(n)));
+}
+
+/**
+ * One BLE link with its own device, GATT handles, write queue, reconnect
+ * loop, RX reassembly and session capture. Every function the module exports
+ * exists on the instance with the same signature.
+ */
+export function createBleConnection() {
+  let device, server, service, txChar, rxChar;
+  let serviceUuidInUse = NUS_SERVICE_UUID;
+  const messageHandlers = new Set();
+  const disconnectHandlers = new Set();
+  const stateHandlers = new Set();
+  const requests = createRequestTracker((packet) => sendJson(packet)); // request()/ack correlation
+  // Notifications are MTU-sized fragments; reassemble lines before dispatch.
+  // Flush a dangling fragment after 250 ms for firmware that omits "\n".
+  const rxReader = createLineReader(dispatchMessage, { idleFlushMs: 250 });
+
+  // ---------------- Connection state machine ---------------------------------------
+  //
+  //   idle ──connect()──▶ connecting ──▶ connected
+  //                                       │  ▲
+  //                        link lost      ▼  │ gatt reconnect ok
+  //                                   reconnecting ──(attempts exhausted)──▶ failed
+  //
+  // disconnect() from any state returns to idle and cancels pending reconnects.
+
+  let reconnectOpts = { ...DEFAULT_RECONNECT };
+  let reconnectToken = 0; // bumped to cancel an in-flight reconnect loop
+  let state = { status: "idle", attempt: 0, maxAttempts: reconnectOpts.maxAttempts, error: null };
+
+  function setState(patch) {
+    state = { ...state, ...patch };
+    for (const fn of stateHandlers) {
+      try { fn(state); } catch {}
+    }
+  }
+
+  // ---------------- Write queue to prevent "GATT operation already in progress" -----
+  // One GATT write at a time; superseded setpoints coalesce, stops preempt.
+  const writeQueue = new WriteQueue({ maxInFlight: 1 });
+
+  let chunkSize = SAFE_CHUNK;
+  let chunkSource = "default"; // "default" | "configured" | "firmware" | "fallback"
+  let stats = freshStats();
+
+  function paceMs() {
+    if (!stats.chunksSent) return 2; // no samples yet: historical default
+    return Math.min(MAX_PACE_MS, Math.round(stats.avgWriteMs * PACE_FACTOR));
+  }
+
+  /** Adopt an MTU reported by the firmware (ATT MTU, header included). */
+  function learnMtu(mtu) {
+    if (chunkSource === "configured" || chunkSource === "fallback") return;
+    const next = clampChunk(Number(mtu) - 3);
+    if (next !== chunkSize) linkDebug(`BLE: chunk size ${chunkSize} → ${next} (firmware MTU ${mtu})`);
+    chunkSize = next;
+    chunkSource = "firmware";
+  }
+
+  async function writeChunkSafe(buf) {
+    // Prefer without-response if available; fall back otherwise.
+    if (!txChar) throw new Error("Not connected");
+    const hasNoRsp = typeof txChar.writeValueWithoutResponse === "function";
+    // Retry once if the adapter is busy
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const t0 = performance.now();
+        if (hasNoRsp) {
+          await txChar.writeValueWithoutResponse(buf);
+        } else {
+          await txChar.writeValue(buf);
+        }
+        const dt = performance.now() - t0;
+        capture.record("tx", buf);
+        stats.avgWriteMs = stats.chunksSent ? stats.avgWriteMs * 0.8 + dt * 0.2 : dt;
+        stats.chunksSent++;
+        return;
+      } catch (err) {
+        const msg = String(err?.message || err);
+        // Only retry for the specific busy case
+        if (attempt === 0 && /GATT operation already in progress/i.test(msg)) {
+          await new Promise(r => setTimeout(r, 20)); // tiny backoff
+          continue;
+        }
+        throw err;
       }
-      return;
+    }
+  }
+
+  // ---------------- Session capture + replay ---------------------------------------
+  //
+  // startCapture() records every TX chunk and RX notification (see
+  // ../session/session.js) until stopCapture() hands back the session file.
+  // replaySession() plays a captured session's RX into the normal dispatch path
+  // with the client reporting "connected", so the UI runs as if the robot were
+  // there; TX during a replay is accepted and discarded. Nothing answers a
+  // request() then, and replayed acks never settle one.
+
+  const capture = createSessionRecorder();
+  let replay = null; // { player, name } while a session plays back
+
+  /** Start recording link traffic ({ device } is taken from the link when omitted). */
+  function startCapture(meta = {}) {
+    capture.start({ link: "ble", device: getDeviceName(), ...meta });
+  }
+
+  /** Stop recording; returns the session, or null if none was running. */
+  function stopCapture() {
+    return capture.stop();
+  }
+
+  function isCapturing() {
+    return capture.isRecording();
+  }
+
+  function isReplaying() {
+    return replay !== null;
+  }
+
+  /**
+   * Feed `session` (parseSession() output) through onMessage as if the robot
+   * were connected. `speed` scales the timeline. Resolves when playback ends
+   * (true) or is stopped (false); the client is idle again afterwards.
+   */
+  async function replaySession(session, { speed = 1 } = {}) {
+    if (isConnected()) await disconnect(); // also ends a replay already running
+    rxReader.reset();
+    stats = freshStats();
+    const current = { player: null, name: session.device || "Session replay" };
+    replay = current;
+    setState({ status: "connected", attempt: 0, error: null });
+    current.player = playSession(session, (bytes) => rxReader.push(bytes), { speed });
+    const finished = await current.player.done;
+    if (replay === current) endReplay();
+    return finished;
+  }
+
+  /** Stop a running replay (no-op otherwise). */
+  function stopReplay() {
+    if (!replay) return;
+    const { player } = replay;
+    endReplay();
+    player.stop();
+  }
+
+  function endReplay() {
+    replay = null;
+    rxReader.reset();
+    writeQueue.clear();
+    requests.rejectAll();
+    setState({ status: "idle", attempt: 0, error: null });
+  }
+
+  // -------------------------------------------------------------------------------
+
+  /**
+   * Pick a device from the chooser and open the NUS service. `device` skips
+   * the chooser for one the site already has permission for (from
+   * navigator.bluetooth.getDevices(), see ./knownDevices.js).
+   * `reconnect` tunes automatic reconnection after an unexpected link loss
+   * (pass `{ enabled: false }` to turn it off).
+   * `chunkSize` pins the TX payload size; by default it is learned (see above).
+   * `queue` sets write queue limits: { maxQueueDepth, maxInFlight }.
+   */
+  async function connect({
+    namePrefix = "Robo_Rex",
+    serviceUuid = NUS_SERVICE_UUID,
+    reconnect = {},
+    chunkSize: preferredChunk,
+    queue,
+    device: known,
+  } = {}) {
+    if (!navigator.bluetooth) throw new Error("Web Bluetooth not supported in this browser.");
+
+    stopReplay();
+    reconnectToken++;
+    reconnectOpts = { ...DEFAULT_RECONNECT, ...reconnect };
+    serviceUuidInUse = serviceUuid;
+    chunkSize = preferredChunk ? clampChunk(preferredChunk) : SAFE_CHUNK;
+    chunkSource = preferredChunk ? "configured" : "default";
+    stats = freshStats();
+    if (queue) writeQueue.configure(queue);
+    writeQueue.resetMetrics();
+    setState({ status: "connecting", attempt: 0, maxAttempts: reconnectOpts.maxAttempts, error: null });
+
+    // Accept both legacy and new advertised names
+    const filters = [{ namePrefix }, { namePrefix: "Robo_Rex_ESP32S3" }];
+
+    try {
+      device = known || await navigator.bluetooth.requestDevice({
+        filters,
+        optionalServices: [serviceUuid],
+      });
+      device.addEventListener("gattserverdisconnected", handleDisconnected);
+      await openGatt();
     } catch (err) {
-      const msg = String(err?.message || err);
-      // Only retry for the specific busy case
-      if (attempt === 0 && /GATT operation already in progress/i.test(msg)) {
-        await new Promise(r => setTimeout(r, 20)); // tiny backoff
-        continue;
-      }
+      device?.removeEventListener("gattserverdisconnected", handleDisconnected);
+      cleanupRefs();
+      setState({ status: "idle", error: String(err?.message || err) });
       throw err;
     }
+
+    setState({ status: "connected", attempt: 0, error: null });
+    linkDebug("✅ BLE connected");
+    return { device, server, txChar, rxChar };
+  }
+
+  async function disconnect() {
+    if (replay) return stopReplay();
+    reconnectToken++; // cancel any pending reconnect loop
+    device?.removeEventListener("gattserverdisconnected", handleDisconnected);
+    try { await rxChar?.stopNotifications(); } catch {}
+    try { await server?.disconnect(); } catch {}
+    cleanupRefs();
+    writeQueue.clear();
+    requests.rejectAll();
+    setState({ status: "idle", attempt: 0, error: null });
+    linkDebug("🔌 BLE disconnected");
+  }
+
+  /** Current connection state: { status, attempt, maxAttempts, error }. */
+  function getState() {
+    return state;
+  }
+
+  /**
+   * Subscribe to connection state changes; returns an unsubscribe function.
+   * The handler is called immediately with the current state.
+   */
+  function onStateChange(fn) {
+    stateHandlers.add(fn);
+    try { fn(state); } catch {}
+    return () => stateHandlers.delete(fn);
   }
-}
 
-// -------------------------------------------------------------------------------
+  function isConnected() {
+    return replay !== null || !!(server && server.connected && txChar);
+  }
 
-export async function connect({
-  namePrefix = "Robo_Rex",
-  serviceUuid = NUS_SERVICE_UUID,
-} = {}) {
-  if (!navigator.bluetooth) throw new Error("Web Bluetooth not supported in this browser.");
+  /** Advertised name of the chosen device (keys per-robot settings), or null. */
+  function getDeviceName() {
+    return replay ? replay.name : device?.name || null;
+  }
 
-  // Accept both legacy and new advertised names
-  const filters = [{ namePrefix }, { namePrefix: "Robo_Rex_ESP32S3" }];
+  /** The browser's stable id for the linked device (what getDevices() reports). */
+  function getDeviceId() {
+    return replay ? null : device?.id || null;
+  }
 
-  device = await navigator.bluetooth.requestDevice({
-    filters,
-    optionalServices: [serviceUuid],
-  });
+  /**
+   * Subscribe to RX messages; returns an unsubscribe function.
+   * Handlers get one { raw, json, receivedAt } event per complete line.
+   */
+  function onMessage(fn) {
+    messageHandlers.add(fn);
+    return () => messageHandlers.delete(fn);
+  }
 
-  server = await device.gatt.connect();
-  service = await server.getPrimaryService(serviceUuid);
-  txChar  = await service.getCharacteristic(NUS_TX_UUID);
-  rxChar  = await service.getCharacteristic(NUS_RX_UUID);
+  /** Subscribe to disconnect event; returns an unsubscribe function. */
+  function onDisconnect(fn) {
+    disconnectHandlers.add(fn);
+    return () => disconnectHandlers.delete(fn);
+  }
 
-  await rxChar.startNotifications();
-  rxChar.addEventListener("characteristicvaluechanged", handleNotify);
-  device.addEventListener("gattserverdisconnected", handleDisconnected);
+  /**
+   * Low-level line send with newline + MTU chunking, serialized via queue.
+   * `hints` ({ key, priority }) control coalescing/preemption; see writeQueue.js.
+   * Resolves `false` if the line was dropped before it was written.
+   */
+  async function sendString(line, hints) {
+    if (!isConnected()) throw new Error("Not connected");
+    const enc = new TextEncoder();
+    const bytes = enc.encode(line.endsWith("\n") ? line : line + "\n");
+    if (replay) return true; // nothing to write to; the session supplies RX
 
-  console.log("✅ BLE connected");
-  return { device, server, txChar, rxChar };
-}
+    return writeQueue.enqueue(async () => {
+      const started = performance.now();
+      let i = 0;
+      while (i < bytes.length) {
+        const size = chunkSize;
+        const slice = bytes.slice(i, i + size);
+        try {
+          await writeChunkSafe(slice);
+        } catch (err) {
+          stats.writeErrors++;
+          if (size <= SAFE_CHUNK) throw err;
+          // The oversized write never landed; retry this offset at the safe size.
+          console.warn(`BLE: ${size}-byte write failed, falling back to ${SAFE_CHUNK}:`, err);
+          chunkSize = SAFE_CHUNK;
+          chunkSource = "fallback";
+          stats.fallbacks++;
+          continue;
+        }
+        i += slice.length;
+        if (i < bytes.length) {
+          const pause = paceMs();
+          if (pause > 0) await new Promise(r => setTimeout(r, pause));
+        }
+      }
+      stats.linesSent++;
+      stats.bytesSent += bytes.length;
+      stats.activeMs += performance.now() - started;
+    }, hints);
+  }
 
-export async function disconnect() {
-  try { await rxChar?.stopNotifications(); } catch {}
-  try { await server?.disconnect(); } catch {}
-  cleanupRefs();
-  console.warn("🔌 BLE disconnected");
-}
+  /**
+   * Debug counters for comparing link settings:
+   * { chunkSize, chunkSource, paceMs, linesSent, bytesSent, chunksSent,
+   *   writeErrors, fallbacks, avgWriteMs, throughputBps,
+   *   queue: { enqueued, sent, failed, coalesced, dropped, preempted, depth, ... } }
+   */
+  function getStats() {
+    const { activeMs, ...rest } = stats;
+    return {
+      ...rest,
+      chunkSize,
+      chunkSource,
+      paceMs: paceMs(),
+      throughputBps: activeMs > 0 ? Math.round(stats.bytesSent / (activeMs / 1000)) : 0,
+      queue: writeQueue.getMetrics(),
+    };
+  }
 
-export function isConnected() {
-  return !!(server && server.connected && txChar);
-}
+  /** Zero the counters (chunk size and its source are kept). */
+  function resetStats() {
+    stats = freshStats();
+    writeQueue.resetMetrics();
+  }
 
-/** Subscribe to RX messages; returns an unsubscribe function. */
-export function onMessage(fn) {
-  messageHandlers.add(fn);
-  return () => messageHandlers.delete(fn);
-}
+  /** Change write queue limits at runtime: { maxQueueDepth, maxInFlight }. */
+  function configureQueue(opts) {
+    writeQueue.configure(opts);
+  }
 
-/** Subscribe to disconnect event; returns an unsubscribe function. */
-export function onDisconnect(fn) {
-  disconnectHandlers.add(fn);
-  return () => disconnectHandlers.delete(fn);
-}
+  async function sendJson(obj) {
+    return sendString(JSON.stringify(obj), packetQueueHints(obj));
+  }
+
+  /**
+   * Emergency stop: a stop-all packet that preempts everything queued.
+   * Safe to call at any time (unload, tab hidden); a no-op when not connected.
+   */
+  async function emergencyStop() {
+    if (!isConnected()) return false;
+    return sendString(JSON.stringify(ESTOP_PACKET), { priority: true });
+  }
+
+  /**
+   * Send `obj` with a request id and wait for the firmware's ack line.
+   * Rejects with RexTimeoutError / RexCommandError / RexDisconnectedError.
+   */
+  async function request(obj, { timeoutMs } = {}) {
+    if (!isConnected()) throw new Error("Not connected");
+    if (replay) throw new Error("Replaying a session: requests get no reply");
+    return requests.request(obj, { timeoutMs });
+  }
+
+  /**
+   * Canonical control API:
+   *   { target, part, command, phase }
+   * Matches firmware CommandRouter contract.
+   */
+  async function sendControl(target, part, command, phase) {
+    const pkt = { target, part, command, phase };
+    checkOutgoing(pkt);
+    return sendJson(pkt);
+  }
+
+  /**
+   * BACKWARD-COMPAT shim (deprecated):
+   * Older UI called sendCommand(target, direction, phase).
+   */
+  async function sendCommand(target, direction, phase) {
+    return sendControl(target, "full", direction, phase);
+  }
+
+  /** Optional: generic action wrapper if you prefer action-types in firmware. */
+  async function sendAction(type, payload = {}) {
+    const pkt = { type, ...payload };
+    checkOutgoing(pkt); // action packets aren't in the registry: flagged in development
+    return sendJson(pkt);
+  }
+
+  // --------------------------- internals ---------------------------
+
+  function handleNotify(e) {
+    const dv = e.target?.value;
+    if (!dv) return;
+    capture.record("rx", dv);
+    rxReader.push(dv);
+  }
 
-/** Low-level line send with newline + MTU chunking, serialized via queue. */
-export async function sendString(line) {
-  if (!isConnected()) throw new Error("Not connected");
-  const enc = new TextEncoder();
-  const bytes = enc.encode(line.endsWith("\n") ? line : line + "\n");
-
-  // Keep under typical 20-byte ATT MTU payload (use 18-19 to be safe)
-  const CHUNK = 18;
-
-  return writeQueue.enqueue(async () => {
-    for (let i = 0; i < bytes.length; i += CHUNK) {
-      const slice = bytes.slice(i, i + CHUNK);
-      await writeChunkSafe(slice);
-      // Small pacing helps on some stacks
-      if (i + CHUNK < bytes.length) await new Promise(r => setTimeout(r, 2));
+  function dispatchMessage(msg) {
+    if (msg.json && Number.isFinite(msg.json.mtu)) learnMtu(msg.json.mtu);
+    if (!replay) requests.handleMessage(msg); // a recorded ack belongs to a past session
+    for (const fn of messageHandlers) {
+      try { fn(msg); } catch {}
     }
-  });
-}
+    linkDebug("🦖 Rex → Web:", msg.raw);
+  }
 
-export async function sendJson(obj) {
-  return sendString(JSON.stringify(obj));
-}
+  /** (Re)open GATT on the already-chosen device and wire up notifications. */
+  async function openGatt() {
+    server = await device.gatt.connect();
+    service = await server.getPrimaryService(serviceUuidInUse);
+    txChar  = await service.getCharacteristic(NUS_TX_UUID);
+    rxChar  = await service.getCharacteristic(NUS_RX_UUID);
 
-/**
- * Canonical control API:
- *   { target, part, command, phase }
- * Matches firmware CommandRouter contract.
- */
-export async function sendControl(target, part, command, phase) {
-  return sendJson({ target, part, command, phase });
-}
+    rxReader.reset();
+    await rxChar.startNotifications();
+    rxChar.removeEventListener("characteristicvaluechanged", handleNotify);
+    rxChar.addEventListener("characteristicvaluechanged", handleNotify);
+  }
 
-/**
- * BACKWARD-COMPAT shim (deprecated):
- * Older UI called sendCommand(target, direction, phase).
- */
-export async function sendCommand(target, direction, phase) {
-  return sendControl(target, "full", direction, phase);
-}
+  function handleDisconnected() {
+    // A half-open link dropping mid-attempt is handled by whoever is connecting.
+    if (state.status === "connecting" || state.status === "reconnecting") return;
 
-/** Optional: generic action wrapper if you prefer action-types in firmware. */
-export async function sendAction(type, payload = {}) {
-  return sendJson({ type, ...payload });
-}
+    writeQueue.clear(); // stale motion must not replay after a reconnect
+    requests.rejectAll();
+    for (const fn of disconnectHandlers) {
+      try { fn(); } catch {}
+    }
+    if (state.status === "connected" && reconnectOpts.enabled && device) {
+      // Keep the paired device; drop only the stale GATT handles.
+      clearGattRefs();
+      // The MTU is renegotiated on reconnect; wait for the firmware to report it again.
+      if (chunkSource === "firmware") {
+        chunkSize = SAFE_CHUNK;
+        chunkSource = "default";
+      }
+      reconnectLoop();
+      return;
+    }
+    cleanupRefs();
+    if (state.status !== "failed") setState({ status: "idle", attempt: 0 });
+  }
+
+  async function reconnectLoop() {
+    const token = ++reconnectToken;
+    const { maxAttempts, baseDelayMs, maxDelayMs } = reconnectOpts;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      setState({ status: "reconnecting", attempt, maxAttempts });
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      await new Promise(r => setTimeout(r, delay));
+      if (token !== reconnectToken) return; // cancelled by disconnect()/connect()
+
+      try {
+        await openGatt();
+        if (token !== reconnectToken) return;
+        setState({ status: "connected", attempt: 0, error: null });
+        linkDebug(`✅ BLE reconnected (attempt ${attempt}/${maxAttempts})`);
+        return;
+      } catch (err) {
+        clearGattRefs();
+        setState({ error: String(err?.message || err) });
+        console.warn(`BLE reconnect attempt ${attempt}/${maxAttempts} failed:`, err);
+      }
+    }
 
-// --------------------------- internals ---------------------------
+    if (token !== reconnectToken) return;
+    device?.removeEventListener("gattserverdisconnected", handleDisconnected);
+    cleanupRefs();
+    setState({ status: "failed" });
+  }
 
-function handleNotify(e) {
-  const dv = e.target?.value || new DataView(new ArrayBuffer(0));
-  const text = new TextDecoder().decode(dv).trim();
-  for (const fn of messageHandlers) {
-    try { fn(text, dv); } catch {}
+  function clearGattRefs() {
+    server = undefined;
+    service = undefined;
+    txChar = undefined;
+    rxChar = undefined;
   }
-  if (text) console.log("🦖 Rex → Web:", text);
-}
 
-function handleDisconnected() {
-  for (const fn of disconnectHandlers) {
-    try { fn(); } catch {}
+  function cleanupRefs() {
+    device = undefined;
+    server = undefined;
+    service = undefined;
+    txChar = undefined;
+    rxChar = undefined;
   }
-  cleanupRefs();
-}
 
-function cleanupRefs() {
-  device = undefined;
-  server = undefined;
-  service = undefined;
-  txChar = undefined;
-  rxChar = undefined;
+  return {
+    connect,
+    disconnect,
+    getState,
+    onStateChange,
+    isConnected,
+    getDeviceName,
+    getDeviceId,
+    onMessage,
+    onDisconnect,
+    sendString,
+    sendJson,
+    request,
+    emergencyStop,
+    sendControl,
+    sendCommand,
+    sendAction,
+    getStats,
+    resetStats,
+    configureQueue,
+    startCapture,
+    stopCapture,
+    isCapturing,
+    replaySession,
+    stopReplay,
+    isReplaying,
+  };
 }
+
+// ---------------- Default connection ----------------------------------------------
+
+const defaultConnection = createBleConnection();
+
+export const {
+  connect,
+  disconnect,
+  getState,
+  onStateChange,
+  isConnected,
+  getDeviceName,
+  getDeviceId,
+  onMessage,
+  onDisconnect,
+  sendString,
+  sendJson,
+  request,
+  emergencyStop,
+  sendControl,
+  sendCommand,
+  sendAction,
+  getStats,
+  resetStats,
+  configureQueue,
+  startCapture,
+  stopCapture,
+  isCapturing,
+  replaySession,
+  stopReplay,
+  isReplaying,
+} = defaultConnection;
@@ -0,0 +1,245 @@
+import * as BLE from './bleClient';
+import { createBleConnection } from './bleClient';
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+/** A Rex behind Web Bluetooth: writes larger than `maxWrite` bytes are rejected like an unnegotiated MTU. */
+function fakeRex({ maxWrite = 20 } = {}) {
+  const chunks = [];
+  const rx = Object.assign(new EventTarget(), {
+    startNotifications: jest.fn(async () => {}),
+    stopNotifications: async () => {},
+  });
+  const tx = {
+    writeValueWithoutResponse: jest.fn(async (buf) => {
+      if (buf.byteLength > maxWrite) throw new Error('GATT Error: invalid attribute length');
+      chunks.push(dec.decode(buf));
+    }),
+  };
+  const server = {
+    connected: false,
+    getPrimaryService: async () => ({
+      getCharacteristic: async (uuid) => (uuid.startsWith('6e400002') ? tx : rx),
+    }),
+    disconnect: jest.fn(() => { server.connected = false; }),
+  };
+  const device = Object.assign(new EventTarget(), {
+    id: 'rex-1',
+    name: 'Robo_Rex',
+    gatt: {
+      connect: jest.fn(async () => {
+        server.connected = true;
+        return server;
+      }),
+    },
+  });
+  return {
+    device,
+    tx,
+    server,
+    chunks,
+    /** Everything written so far, as the firmware would reassemble it. */
+    received: () => chunks.join(''),
+    notify(text) {
+      rx.value = new DataView(enc.encode(text).buffer);
+      rx.dispatchEvent(new Event('characteristicvaluechanged'));
+    },
+    /** The link drops without the app asking. */
+    drop() {
+      server.connected = false;
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+    },
+  };
+}
+
+let rex;
+
+beforeEach(() => {
+  rex = fakeRex();
+  navigator.bluetooth = { requestDevice: jest.fn(async () => rex.device) };
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await BLE.disconnect();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  delete navigator.bluetooth;
+});
+
+const line = (n) => `{"cmd":"rex_say","text":"${'x'.repeat(n)}"}`;
+
+test('writes in safe 18-byte chunks until the MTU is known', async () => {
+  await BLE.connect();
+  const text = line(30);
+  await BLE.sendString(text);
+  expect(rex.chunks.map((c) => c.length)).toEqual([18, 18, 18, 4]);
+  expect(rex.received()).toBe(`${text}\n`);
+  expect(BLE.getStats()).toMatchObject({ chunkSize: 18, chunkSource: 'default', chunksSent: 4, linesSent: 1 });
+});
+
+test('grows the chunk to the MTU the firmware reports', async () => {
+  rex = fakeRex({ maxWrite: 61 });
+  await BLE.connect();
+  rex.notify('{"type":"link","mtu":64}\n');
+  expect(BLE.getStats()).toMatchObject({ chunkSize: 61, chunkSource: 'firmware' });
+
+  const text = line(80);
+  await BLE.sendString(text);
+  expect(rex.chunks.map((c) => c.length)).toEqual([61, text.length + 1 - 61]);
+  expect(rex.received()).toBe(`${text}\n`);
+});
+
+test('falls back to the safe size when a larger write is rejected, without losing bytes', async () => {
+  await BLE.connect(); // maxWrite 20: the MTU report below is wrong
+  rex.notify('{"mtu":247}\n');
+  const text = line(60);
+  await BLE.sendString(text);
+
+  expect(rex.received()).toBe(`${text}\n`);
+  expect(rex.chunks.every((c) => c.length <= 18)).toBe(true);
+  expect(BLE.getStats()).toMatchObject({ chunkSize: 18, chunkSource: 'fallback', fallbacks: 1, writeErrors: 1 });
+
+  rex.notify('{"mtu":247}\n'); // not trusted again this session
+  expect(BLE.getStats().chunkSize).toBe(18);
+});
+
+test('a configured chunk size is kept over firmware reports', async () => {
+  rex = fakeRex({ maxWrite: 100 });
+  await BLE.connect({ chunkSize: 100 });
+  rex.notify('{"mtu":23}\n');
+  expect(BLE.getStats()).toMatchObject({ chunkSize: 100, chunkSource: 'configured' });
+});
+
+test('retries a write once when the adapter is busy', async () => {
+  await BLE.connect();
+  rex.tx.writeValueWithoutResponse.mockImplementationOnce(async () => {
+    throw new Error('GATT operation already in progress.');
+  });
+  await BLE.sendString('rex_roar');
+  expect(rex.received()).toBe('rex_roar\n');
+  expect(BLE.getStats()).toMatchObject({ writeErrors: 0, chunksSent: 1 });
+});
+
+test('paces chunks by the observed write latency', async () => {
+  let clock = 0;
+  jest.spyOn(performance, 'now').mockImplementation(() => (clock += 12));
+  await BLE.connect();
+  expect(BLE.getStats().paceMs).toBe(2); // no samples yet
+
+  await BLE.sendString(line(30));
+  const { avgWriteMs, paceMs } = BLE.getStats();
+  expect(avgWriteMs).toBeCloseTo(12);
+  expect(paceMs).toBe(6); // half the average write time, capped at 20 ms
+});
+
+test('each connection keeps its own link, chunk size and stats', async () => {
+  const other = createBleConnection();
+  const rex2 = fakeRex({ maxWrite: 61 });
+  await BLE.connect({ reconnect: { enabled: false } });
+  navigator.bluetooth.requestDevice.mockImplementation(async () => rex2.device);
+  await other.connect({ reconnect: { enabled: false } });
+
+  rex2.notify('{"mtu":64}\n');
+  await other.sendString('rex_roar');
+  expect(other.getStats()).toMatchObject({ chunkSize: 61, linesSent: 1 });
+  expect(BLE.getStats()).toMatchObject({ chunkSize: 18, linesSent: 0 });
+  expect(rex.received()).toBe('');
+
+  rex2.drop();
+  expect(other.isConnected()).toBe(false);
+  expect(BLE.isConnected()).toBe(true);
+  await other.disconnect();
+});
+
+// ---------- reconnect ----------
+
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+test('reconnects after a link loss with exponential backoff', async () => {
+  jest.useFakeTimers();
+  await BLE.connect({ reconnect: { baseDelayMs: 100, maxDelayMs: 1000, maxAttempts: 5 } });
+  const states = [];
+  const off = BLE.onStateChange((st) => states.push(`${st.status}${st.attempt ? ` ${st.attempt}` : ''}`));
+  const lost = jest.fn();
+  const offLost = BLE.onDisconnect(lost);
+  rex.device.gatt.connect
+    .mockImplementationOnce(async () => { throw new Error('out of range'); })
+    .mockImplementationOnce(async () => { throw new Error('out of range'); });
+
+  rex.drop();
+  expect(lost).toHaveBeenCalledTimes(1);
+  expect(BLE.isConnected()).toBe(false);
+  jest.advanceTimersByTime(99);
+  await flush();
+  expect(rex.device.gatt.connect).toHaveBeenCalledTimes(1); // only the initial connect
+  jest.advanceTimersByTime(1); // attempt 1 after 100 ms
+  await flush();
+  jest.advanceTimersByTime(200); // attempt 2 after 200 ms
+  await flush();
+  jest.advanceTimersByTime(399);
+  await flush();
+  expect(rex.device.gatt.connect).toHaveBeenCalledTimes(3);
+  jest.advanceTimersByTime(1); // attempt 3 after 400 ms
+  await flush();
+  off();
+  offLost();
+
+  expect(rex.device.gatt.connect).toHaveBeenCalledTimes(4);
+  expect(states).toEqual(['connected', 'reconnecting 1', 'reconnecting 1', 'reconnecting 2', 'reconnecting 2', 'reconnecting 3', 'connected']);
+  expect(BLE.isConnected()).toBe(true);
+  expect(BLE.getState().error).toBe(null);
+});
+
+test('gives up after maxAttempts and forgets the device', async () => {
+  jest.useFakeTimers();
+  await BLE.connect({ reconnect: { baseDelayMs: 10, maxDelayMs: 10, maxAttempts: 2 } });
+  rex.device.gatt.connect.mockImplementation(async () => { throw new Error('out of range'); });
+
+  rex.drop();
+  for (let i = 0; i < 2; i++) {
+    jest.advanceTimersByTime(10);
+    await flush();
+  }
+  expect(BLE.getState()).toMatchObject({ status: 'failed', error: 'out of range' });
+  expect(rex.device.gatt.connect).toHaveBeenCalledTimes(3);
+  await expect(BLE.sendString('rex_roar')).rejects.toThrow('Not connected');
+});
+
+test('disconnect() cancels a pending reconnect', async () => {
+  jest.useFakeTimers();
+  await BLE.connect({ reconnect: { baseDelayMs: 50 } });
+  rex.drop();
+  expect(BLE.getState().status).toBe('reconnecting');
+  await BLE.disconnect();
+  jest.advanceTimersByTime(1000);
+  await flush();
+  expect(BLE.getState().status).toBe('idle');
+  expect(rex.device.gatt.connect).toHaveBeenCalledTimes(1);
+});
+
+test('reconnect can be turned off', async () => {
+  jest.useFakeTimers();
+  await BLE.connect({ reconnect: { enabled: false } });
+  rex.drop();
+  expect(BLE.getState().status).toBe('idle');
+  jest.advanceTimersByTime(10000);
+  await flush();
+  expect(rex.device.gatt.connect).toHaveBeenCalledTimes(1);
+});
+
+test('a firmware-reported MTU is forgotten across a reconnect', async () => {
+  jest.useFakeTimers();
+  rex = fakeRex({ maxWrite: 61 });
+  await BLE.connect({ reconnect: { baseDelayMs: 10 } });
+  rex.notify('{"mtu":64}\n');
+  rex.drop();
+  jest.advanceTimersByTime(10);
+  await flush();
+  expect(BLE.getState().status).toBe('connected');
+  expect(BLE.getStats()).toMatchObject({ chunkSize: 18, chunkSource: 'default' });
+});
@@ -0,0 +1,125 @@
+// src/modules/ble/knownDevices.js
+// Rex units this browser has connected to, so the next session can skip the
+// chooser:
+//
+//   const known = createKnownDevices();
+//   known.remember({ id: device.id, name: device.name });  // on every connect
+//   const devices = await getPermittedDevices();          // [] where unsupported
+//   const stop = watchAdvertisements(devices, (d, { rssi }) => known.seen(d.id));
+//   BLE.connect({ device: devices[0] });                  // no chooser
+//
+// Entries are keyed by the browser's device id and hold the advertised name,
+// a user nickname and when the robot was last seen (connected or advertising).
+// Calibration profiles stay keyed by name in ../calibration/calibration.js, so
+// a remembered robot picks its profile up again on connect; forget() leaves it.
+
+const STORAGE_KEY = "rex.knownDevices.v1";
+const SEEN_PERSIST_MS = 60_000; // advertisements arrive every second or so; store them at most this often
+
+/** getDevices() (permitted devices without a chooser) is available. */
+export const canListPermittedDevices = () =>
+  typeof navigator !== "undefined" && typeof navigator.bluetooth?.getDevices === "function";
+
+/** Devices the site may reopen without the chooser; [] where unsupported. */
+export async function getPermittedDevices() {
+  if (!canListPermittedDevices()) return [];
+  try {
+    return await navigator.bluetooth.getDevices();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Listen for advertisements from `devices` (those that support it);
+ * `onAdvert(device, { rssi, at })` fires for each one. Returns a stop function.
+ */
+export function watchAdvertisements(devices, onAdvert, { now = Date.now } = {}) {
+  const abort = new AbortController();
+  const offs = [];
+  for (const device of devices) {
+    if (typeof device.watchAdvertisements !== "function") continue;
+    const handler = (e) => onAdvert(device, { rssi: e.rssi ?? null, at: now() });
+    device.addEventListener("advertisementreceived", handler);
+    offs.push(() => device.removeEventListener("advertisementreceived", handler));
+    device.watchAdvertisements({ signal: abort.signal }).catch(() => {});
+  }
+  return () => {
+    abort.abort();
+    offs.forEach((off) => off());
+  };
+}
+
+function loadAll(storage) {
+  try {
+    const saved = JSON.parse(storage?.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter((d) => d && d.id) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @typedef {Object} KnownDevice
+ * @property {string} id
+ * @property {string} name          advertised name
+ * @property {string} nickname      "" until the user sets one
+ * @property {number|null} lastSeen epoch ms
+ */
+
+/** Display name: the nickname, else the advertised name. */
+export const knownDeviceLabel = (d) => d.nickname || d.name || d.id;
+
+export function createKnownDevices({
+  storage = typeof localStorage !== "undefined" ? localStorage : null,
+  now = Date.now,
+} = {}) {
+  let devices = loadAll(storage);
+  let snapshot = { devices };
+  const listeners = new Set();
+
+  function commit(next) {
+    devices = next.sort((a, b) => (b.lastSeen ?? 0) - (a.lastSeen ?? 0));
+    try { storage?.setItem(STORAGE_KEY, JSON.stringify(devices)); } catch {}
+    snapshot = { devices };
+    for (const fn of listeners) {
+      try { fn(snapshot); } catch {}
+    }
+  }
+
+  const find = (id) => devices.find((d) => d.id === id);
+  const update = (id, patch) => commit(devices.map((d) => (d.id === id ? { ...d, ...patch } : d)));
+
+  return {
+    /** Add or refresh a device; `at` = null records it without a sighting. */
+    remember({ id, name }, at = now()) {
+      if (!id) return;
+      const prev = find(id);
+      const entry = {
+        id,
+        name: name || prev?.name || "",
+        nickname: prev?.nickname || "",
+        lastSeen: at ?? prev?.lastSeen ?? null,
+      };
+      commit([entry, ...devices.filter((d) => d.id !== id)]);
+    },
+    /** A sighting of a remembered device (ignored for unknown ones). */
+    seen(id, at = now()) {
+      const prev = find(id);
+      if (!prev || (prev.lastSeen != null && at - prev.lastSeen < SEEN_PERSIST_MS)) return;
+      update(id, { lastSeen: at });
+    },
+    rename(id, nickname) {
+      if (find(id)) update(id, { nickname: String(nickname).trim() });
+    },
+    forget(id) {
+      if (find(id)) commit(devices.filter((d) => d.id !== id));
+    },
+    get: (id) => find(id) || null,
+    getSnapshot: () => snapshot,
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
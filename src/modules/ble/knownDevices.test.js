@@ -0,0 +1,71 @@
+import { createKnownDevices, knownDeviceLabel, watchAdvertisements } from './knownDevices';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+  };
+}
+
+function fakeDevice(id) {
+  const device = new EventTarget();
+  device.id = id;
+  device.name = 'Robo_Rex';
+  device.watchAdvertisements = jest.fn(() => Promise.resolve());
+  return device;
+}
+
+test('remembers devices with nickname and last-seen time across reloads', () => {
+  const storage = memoryStorage();
+  let clock = 1_000_000;
+  const known = createKnownDevices({ storage, now: () => clock });
+
+  known.remember({ id: 'a', name: 'Robo_Rex' });
+  known.rename('a', '  Chompy ');
+  clock += 5 * 60_000;
+  known.remember({ id: 'b', name: 'Robo_Rex_ESP32S3' });
+  known.remember({ id: 'c', name: 'Robo_Rex' }, null); // permitted, never seen here
+
+  const reloaded = createKnownDevices({ storage });
+  expect(reloaded.getSnapshot().devices).toEqual([
+    { id: 'b', name: 'Robo_Rex_ESP32S3', nickname: '', lastSeen: 1_300_000 },
+    { id: 'a', name: 'Robo_Rex', nickname: 'Chompy', lastSeen: 1_000_000 },
+    { id: 'c', name: 'Robo_Rex', nickname: '', lastSeen: null },
+  ]);
+  expect(knownDeviceLabel(reloaded.get('a'))).toBe('Chompy');
+
+  reloaded.forget('b');
+  expect(createKnownDevices({ storage }).getSnapshot().devices.map((d) => d.id)).toEqual(['a', 'c']);
+});
+
+test('sightings refresh last-seen at most once a minute and ignore unknown devices', () => {
+  const known = createKnownDevices({ storage: memoryStorage(), now: () => 0 });
+  known.remember({ id: 'a', name: 'Robo_Rex' }, 0);
+  const changes = jest.fn();
+  known.subscribe(changes);
+
+  known.seen('a', 30_000);
+  known.seen('zzz', 30_000);
+  expect(changes).not.toHaveBeenCalled();
+  known.seen('a', 61_000);
+  expect(known.get('a').lastSeen).toBe(61_000);
+  expect(changes).toHaveBeenCalledTimes(1);
+});
+
+test('watches advertisements until stopped', () => {
+  const a = fakeDevice('a');
+  const legacy = fakeDevice('old');
+  delete legacy.watchAdvertisements; // browsers without the API are skipped
+  const seen = [];
+  const stop = watchAdvertisements([a, legacy], (d, { rssi, at }) => seen.push([d.id, rssi, at]), {
+    now: () => 42,
+  });
+  expect(a.watchAdvertisements).toHaveBeenCalledWith({ signal: expect.anything() });
+
+  a.dispatchEvent(Object.assign(new Event('advertisementreceived'), { rssi: -61 }));
+  stop();
+  a.dispatchEvent(Object.assign(new Event('advertisementreceived'), { rssi: -40 }));
+  expect(seen).toEqual([['a', -61, 42]]);
+  expect(a.watchAdvertisements.mock.calls[0][0].signal.aborted).toBe(true);
+});
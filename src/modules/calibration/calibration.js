@@ -0,0 +1,209 @@
+// src/modules/calibration/calibration.js
+// Per-robot calibration: each posable part maps the logical 0..1 level the UI
+// and modules speak onto that build's physical range.
+//
+//   part = { min, max, center, trim, invert }
+//   logical 0 -> min, 0.5 -> center, 1 -> max (piecewise linear), then + trim,
+//   clamped to [min, max] (soft limits). `invert` flips the logical level first.
+//
+// A profile ({ parts: { tail: {...}, ... } }) is attached to a Transport with
+// setCalibration(); the body-part *_set functions call calibrate() so every
+// packet leaves already mapped. Profiles are stored per device name.
+
+import { COMMANDS, POSABLE_PARTS } from "../commands/registry";
+
+const STORAGE_KEY = "rex.calibration.v1";
+export const PROFILE_VERSION = 1;
+
+/** Calibratable parts (pose-model keys), with the registry command that carries the level. */
+export const CAL_PARTS = POSABLE_PARTS;
+
+const PART_BY_CMD = Object.fromEntries(CAL_PARTS.map((p) => [p.cmd, p.key]));
+const CMD_BY_PART = Object.fromEntries(CAL_PARTS.map((p) => [p.key, p.cmd]));
+
+// Registry body part -> calibratable key ("neck" -> "neckYaw").
+const KEY_BY_BODY_PART = Object.fromEntries(CAL_PARTS.map((p) => [COMMANDS[p.cmd].part, p.key]));
+
+/** Full-travel line commands (registry `endStop`): the part and logical level they drive to. */
+const END_STOPS = Object.fromEntries(
+  Object.entries(COMMANDS)
+    .filter(([, spec]) => spec.endStop !== undefined && KEY_BY_BODY_PART[spec.part])
+    .map(([cmd, spec]) => [cmd, [KEY_BY_BODY_PART[spec.part], spec.endStop]])
+);
+
+export const DEFAULT_PART_CAL = Object.freeze({ min: 0, max: 1, center: 0.5, trim: 0, invert: false });
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+const num = (v, def) => (Number.isFinite(Number(v)) ? Number(v) : def);
+
+/** A complete, sane part calibration (min ≤ center ≤ max, trim within ±0.5). */
+export function normalizePartCal(cal = {}) {
+  let min = clamp(num(cal.min, 0), 0, 1);
+  let max = clamp(num(cal.max, 1), 0, 1);
+  if (min > max) [min, max] = [max, min];
+  return {
+    min,
+    max,
+    center: clamp(num(cal.center, (min + max) / 2), min, max),
+    trim: clamp(num(cal.trim, 0), -0.5, 0.5),
+    invert: Boolean(cal.invert),
+  };
+}
+
+export function isDefaultPartCal(cal) {
+  const c = normalizePartCal(cal);
+  return Object.keys(DEFAULT_PART_CAL).every((k) => c[k] === DEFAULT_PART_CAL[k]);
+}
+
+/** Logical level (0..1) -> physical level for one part. */
+export function calibrateLevel(cal, level) {
+  const c = normalizePartCal(cal);
+  let l = clamp(num(level, 0.5), 0, 1);
+  if (c.invert) l = 1 - l;
+  const physical = l <= 0.5
+    ? c.min + (c.center - c.min) * (l / 0.5)
+    : c.center + (c.max - c.center) * ((l - 0.5) / 0.5);
+  return clamp(physical + c.trim, c.min, c.max);
+}
+
+/** Physical level -> logical level (best effort where soft limits clipped). */
+export function uncalibrateLevel(cal, physical) {
+  const c = normalizePartCal(cal);
+  const p = clamp(num(physical, 0.5) - c.trim, c.min, c.max);
+  let l;
+  if (p <= c.center) l = c.center > c.min ? ((p - c.min) / (c.center - c.min)) * 0.5 : 0.5;
+  else l = c.max > c.center ? 0.5 + ((p - c.center) / (c.max - c.center)) * 0.5 : 0.5;
+  return clamp(c.invert ? 1 - l : l, 0, 1);
+}
+
+// ---------- profiles ----------
+
+export function emptyProfile(deviceName = "") {
+  return { version: PROFILE_VERSION, deviceName, parts: {} };
+}
+
+/** Validate a profile (object or JSON text); unknown parts are dropped. */
+export function parseProfile(input) {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+  if (!data || typeof data.parts !== "object" || data.parts === null) {
+    throw new Error("Not a calibration profile: missing parts.");
+  }
+  const parts = {};
+  for (const { key } of CAL_PARTS) {
+    if (data.parts[key]) parts[key] = normalizePartCal(data.parts[key]);
+  }
+  return { version: PROFILE_VERSION, deviceName: String(data.deviceName || ""), parts };
+}
+
+export function serializeProfile(profile) {
+  return JSON.stringify({ ...profile, version: PROFILE_VERSION }, null, 2);
+}
+
+function loadAll() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Device names that have a saved profile. */
+export function listProfiles() {
+  return Object.keys(loadAll()).sort();
+}
+
+/** Saved profile for `deviceName`, or an empty (identity) one. */
+export function loadProfile(deviceName) {
+  const saved = loadAll()[deviceName];
+  try {
+    return saved ? { ...parseProfile(saved), deviceName } : emptyProfile(deviceName);
+  } catch {
+    return emptyProfile(deviceName);
+  }
+}
+
+export function saveProfile(deviceName, profile) {
+  const all = loadAll();
+  all[deviceName] = { ...parseProfile(profile), deviceName };
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(all)); } catch {}
+  return all[deviceName];
+}
+
+export function deleteProfile(deviceName) {
+  const all = loadAll();
+  delete all[deviceName];
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(all)); } catch {}
+}
+
+// ---------- active profile per transport ----------
+
+const active = new WeakMap(); // Transport -> profile
+
+/** Attach (or with null, detach) the profile used for packets sent through `transport`. */
+export function setCalibration(transport, profile) {
+  if (!transport) return;
+  if (profile) active.set(transport, parseProfile(profile));
+  else active.delete(transport);
+}
+
+export function getCalibration(transport) {
+  return (transport && active.get(transport)) || null;
+}
+
+/** Part calibration in effect on `transport` (null = identity). */
+export function partCalibration(transport, part) {
+  return getCalibration(transport)?.parts[part] || null;
+}
+
+const levels = new WeakMap(); // Transport -> { part: last logical level calibrated for it }
+
+/** Map a logical level for `part` through the transport's profile. */
+export function calibrate(transport, part, level) {
+  const logical = clamp(num(level, 0.5), 0, 1);
+  if (transport) levels.set(transport, { ...levels.get(transport), [part]: logical });
+  const cal = partCalibration(transport, part);
+  return cal ? calibrateLevel(cal, logical) : logical;
+}
+
+/**
+ * Logical level `delta` away from the last one calibrated for `part` on
+ * `transport` (0.5 before any), clamped to 0..1. Calibrated nudges send this
+ * through the part's *_set command, so they honour invert and the soft limits.
+ */
+export function nudgedLevel(transport, part, delta) {
+  const last = (transport && levels.get(transport)?.[part]) ?? 0.5;
+  return clamp(last + num(delta, 0), 0, 1);
+}
+
+/** Logical level for a physical one (e.g. the commanded pose) on `transport`. */
+export function uncalibrate(transport, part, physical) {
+  const cal = partCalibration(transport, part);
+  return cal ? uncalibrateLevel(cal, physical) : physical;
+}
+
+/**
+ * Calibrate a raw level packet ({ cmd: "rex_tail_set", level }) built outside
+ * the body-part modules (ControllerPanel's buildEspPacket). A full-travel line
+ * command ({ cmd: "rex_neck_left" }) for a calibrated part becomes the level
+ * packet for its end stop. Other packets pass through.
+ */
+export function calibratePacket(transport, pkt) {
+  const stop = END_STOPS[pkt?.cmd];
+  if (stop && partCalibration(transport, stop[0])) {
+    return { cmd: CMD_BY_PART[stop[0]], level: calibrate(transport, stop[0], stop[1]) };
+  }
+  const part = PART_BY_CMD[pkt?.cmd];
+  if (!part || pkt.level === undefined || !partCalibration(transport, part)) return pkt;
+  return { ...pkt, level: calibrate(transport, part, pkt.level) };
+}
+
+/** A pose with every calibrated part mapped back to logical levels. */
+export function uncalibratePose(transport, pose) {
+  if (!pose || !getCalibration(transport)) return pose;
+  const out = { ...pose };
+  for (const { key } of CAL_PARTS) {
+    if (Number.isFinite(pose[key])) out[key] = uncalibrate(transport, key, pose[key]);
+  }
+  return out;
+}
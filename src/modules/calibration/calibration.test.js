@@ -0,0 +1,141 @@
+import {
+  calibrateLevel,
+  calibratePacket,
+  deleteProfile,
+  listProfiles,
+  loadProfile,
+  parseProfile,
+  saveProfile,
+  setCalibration,
+  uncalibrateLevel,
+  uncalibratePose,
+} from './calibration';
+import { tailLeft, tailSet } from '../Tail_Function';
+import { neckLeft, neckRight } from '../Neck_Function';
+import { pelvisUp, pelvisDown, nudgePelvis } from '../Pelvis_Function';
+import { spineUp, spineNudge } from '../Spine_Function';
+import { mouthUp } from '../Mouth_Function';
+import { fakeTransport } from '../../test-utils/fakeTransport';
+
+beforeEach(() => localStorage.clear());
+
+test('maps logical levels piecewise through min, center and max', () => {
+  const cal = { min: 0.2, center: 0.4, max: 0.9 };
+  expect(calibrateLevel(cal, 0)).toBeCloseTo(0.2);
+  expect(calibrateLevel(cal, 0.25)).toBeCloseTo(0.3);
+  expect(calibrateLevel(cal, 0.5)).toBeCloseTo(0.4);
+  expect(calibrateLevel(cal, 1)).toBeCloseTo(0.9);
+  expect(calibrateLevel({}, 0.7)).toBeCloseTo(0.7); // identity by default
+});
+
+test('inverts, trims and clamps to the soft limits', () => {
+  expect(calibrateLevel({ min: 0.2, max: 0.8, invert: true }, 0)).toBeCloseTo(0.8);
+  expect(calibrateLevel({ min: 0.2, max: 0.8, trim: 0.05 }, 0.5)).toBeCloseTo(0.55);
+  expect(calibrateLevel({ min: 0.2, max: 0.8, trim: 0.1 }, 1)).toBeCloseTo(0.8);
+  expect(calibrateLevel({ min: 0.2, max: 0.8 }, 5)).toBeCloseTo(0.8);
+});
+
+test('uncalibrate inverts calibrate inside the soft limits', () => {
+  const cal = { min: 0.1, center: 0.3, max: 0.95, trim: 0.02, invert: true };
+  for (const l of [0.1, 0.3, 0.5, 0.8]) { // trim clips the ends
+    expect(uncalibrateLevel(cal, calibrateLevel(cal, l))).toBeCloseTo(l);
+  }
+});
+
+test('the body-part setters send calibrated levels for the attached profile', async () => {
+  const t = fakeTransport();
+  setCalibration(t, { parts: { tail: { min: 0.3, max: 0.7, invert: true } } });
+  await tailSet(t, 1);
+  await tailLeft(t);
+  expect(t.sent).toEqual([
+    { cmd: 'rex_tail_set', level: 0.3 },
+    { cmd: 'rex_tail_set', level: 0.7 },
+  ]);
+
+  setCalibration(t, null);
+  await tailLeft(t);
+  expect(t.sent[2]).toBe('rex_tail_left');
+});
+
+test('the neck end stops stay inside a calibrated neck', async () => {
+  const t = fakeTransport();
+  setCalibration(t, { parts: { neckYaw: { min: 0.25, max: 0.8 } } });
+  await neckLeft(t);
+  await neckRight(t);
+  expect(t.sent).toEqual([
+    { cmd: 'rex_neck_yaw_set', level: 0.25 },
+    { cmd: 'rex_neck_yaw_set', level: 0.8 },
+  ]);
+  // The Neck arrows send the line command as a packet; it is mapped the same way.
+  expect(calibratePacket(t, { cmd: 'rex_neck_left' })).toEqual({ cmd: 'rex_neck_yaw_set', level: 0.25 });
+  expect(calibratePacket(t, { cmd: 'rex_tail_left' })).toEqual({ cmd: 'rex_tail_left' }); // tail not calibrated
+
+  setCalibration(t, null);
+  await neckLeft(t);
+  expect(t.sent[2]).toBe('rex_neck_left');
+});
+
+test('every calibrated part with full-travel lines keeps them inside its soft limits', async () => {
+  const t = fakeTransport();
+  setCalibration(t, { parts: { pelvis: { min: 0.2, max: 0.6 }, spine: { min: 0.3, max: 0.9 }, mouth: { max: 0.7 } } });
+  await pelvisUp(t);
+  await pelvisDown(t);
+  await spineUp(t);
+  await mouthUp(t);
+  expect(t.sent).toEqual([
+    { cmd: 'rex_pelvis_set', level: 0.6 },
+    { cmd: 'rex_pelvis_set', level: 0.2 },
+    { cmd: 'rex_spine_set', level: 0.9 },
+    { cmd: 'rex_mouth_set', level: 0.7 },
+  ]);
+  expect(calibratePacket(t, { cmd: 'rex_pelvis_down' })).toEqual({ cmd: 'rex_pelvis_set', level: 0.2 });
+  expect(calibratePacket(t, { cmd: 'rex_spine_up' })).toEqual({ cmd: 'rex_spine_set', level: 0.9 });
+  expect(calibratePacket(t, { cmd: 'rex_mouth_close' })).toEqual({ cmd: 'rex_mouth_set', level: 0 });
+  expect(calibratePacket(t, { cmd: 'rex_posture', level: 1 })).toEqual({ cmd: 'rex_posture', level: 1 });
+
+  setCalibration(t, null);
+  await pelvisUp(t);
+  expect(t.sent[4]).toBe('rex_pelvis_up');
+});
+
+test('calibrated nudges go through the set command, inverted and clamped', async () => {
+  const t = fakeTransport();
+  setCalibration(t, { parts: { pelvis: { min: 0.2, max: 0.6, invert: true }, spine: { min: 0.3, max: 0.9 } } });
+  await nudgePelvis(t, 0.25); // logical 0.5 -> 0.75, i.e. physically down on an inverted pelvis
+  await nudgePelvis(t, 1);
+  await spineNudge(t, -0.1);
+  expect(t.sent).toHaveLength(3);
+  expect(t.sent[0].cmd).toBe('rex_pelvis_set');
+  expect(t.sent[0].level).toBeCloseTo(0.3);
+  expect(t.sent[1]).toEqual({ cmd: 'rex_pelvis_set', level: 0.2 });
+  expect(t.sent[2].cmd).toBe('rex_spine_set');
+  expect(t.sent[2].level).toBeCloseTo(0.54);
+
+  setCalibration(t, null);
+  await spineNudge(t, -0.1);
+  expect(t.sent[3]).toEqual({ cmd: 'rex_spine_nudge', delta: -0.1 });
+});
+
+test('calibrates raw level packets and maps poses back to logical levels', () => {
+  const t = fakeTransport();
+  setCalibration(t, { parts: { pelvis: { min: 0.2, max: 0.6 } } });
+  expect(calibratePacket(t, { cmd: 'rex_pelvis_set', level: 0.5 })).toEqual({ cmd: 'rex_pelvis_set', level: 0.4 });
+  expect(calibratePacket(t, { cmd: 'rex_tail_set', level: 0.5 })).toEqual({ cmd: 'rex_tail_set', level: 0.5 });
+  expect(calibratePacket(t, { cmd: 'rex_legs_stop' })).toEqual({ cmd: 'rex_legs_stop' });
+  const pose = uncalibratePose(t, { pelvis: 0.4, tail: 0.2, gait: 'stop' });
+  expect(pose.pelvis).toBeCloseTo(0.5);
+  expect(pose).toMatchObject({ tail: 0.2, gait: 'stop' });
+});
+
+test('stores profiles per device name', () => {
+  expect(loadProfile('Rex-A').parts).toEqual({});
+  saveProfile('Rex-A', { parts: { mouth: { max: 0.8 }, wings: { max: 1 } } });
+  saveProfile('Rex-B', { parts: {} });
+  expect(listProfiles()).toEqual(['Rex-A', 'Rex-B']);
+  expect(loadProfile('Rex-A').parts).toEqual({
+    mouth: { min: 0, max: 0.8, center: 0.4, trim: 0, invert: false },
+  });
+  deleteProfile('Rex-A');
+  expect(listProfiles()).toEqual(['Rex-B']);
+  expect(() => parseProfile('{"name":"x"}')).toThrow(/missing parts/);
+});
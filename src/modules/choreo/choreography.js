@@ -0,0 +1,237 @@
+// src/modules/choreo/choreography.js
+// Scripted motion sequences ("choreographies") and the player that runs them.
+//
+// A sequence is plain JSON, saved/loaded as a file:
+//   { version: 1, name: "Demo", keyframes: [{ at: 0, action: "pelvisSet", args: { level: 0.3 } }, ...] }
+//
+// Each keyframe calls one body-part module function at `at` ms from the start.
+// The player keeps a heartbeat alive while it runs and always finishes an
+// abort with `stop`, so a script can never leave Rex walking.
+
+import { stop, turnLeft, turnRight, walkBackward, walkForward, run, setPosture } from "../Leg_Function";
+import { adjustPelvis } from "../Pelvis_Function";
+import { spineSet } from "../Spine_Function";
+import { tailCenter, tailSet, tailWag } from "../Tail_Function";
+import { neckYawSet } from "../Neck_Function";
+import { mouthDown, mouthSet, mouthUp } from "../Mouth_Function";
+import { roar } from "../Head_Function";
+import { createHeartbeat } from "../transport/heartbeat";
+
+export const SEQUENCE_VERSION = 1;
+const STORAGE_KEY = "rex.choreography.v1";
+
+const level = (name = "level", def = 0.5) => ({ name, min: 0, max: 1, step: 0.05, default: def });
+
+/**
+ * Keyframe actions, in editor order. `call(transport, args)` goes through the
+ * same module functions the controller uses; `motion` actions keep walking.
+ */
+export const ACTIONS = [
+  { id: "walkForward",  label: "Walk forward",  motion: true, params: [level("speed", 0.6)], call: (t, a) => walkForward(t, a.speed) },
+  { id: "walkBackward", label: "Walk backward", motion: true, params: [level("speed", 0.6)], call: (t, a) => walkBackward(t, a.speed) },
+  { id: "turnLeft",     label: "Turn left",     motion: true, params: [level("rate", 0.6)],  call: (t, a) => turnLeft(t, a.rate) },
+  { id: "turnRight",    label: "Turn right",    motion: true, params: [level("rate", 0.6)],  call: (t, a) => turnRight(t, a.rate) },
+  { id: "run",          label: "Run",           motion: true, params: [{ name: "factor", min: 1, max: 3, step: 0.1, default: 1.5 }], call: (t, a) => run(t, a.factor) },
+  { id: "stop",         label: "Stop walking",  params: [], call: (t) => stop(t) },
+  { id: "posture",      label: "Posture",       params: [level()], call: (t, a) => setPosture(t, a.level) },
+  { id: "pelvisSet",    label: "Pelvis",        params: [level()], call: (t, a) => adjustPelvis(t, a.level) },
+  { id: "spineSet",     label: "Spine",         params: [level()], call: (t, a) => spineSet(t, a.level) },
+  { id: "neckYawSet",   label: "Neck yaw",      params: [level()], call: (t, a) => neckYawSet(t, a.level) },
+  { id: "tailSet",      label: "Tail",          params: [level()], call: (t, a) => tailSet(t, a.level) },
+  { id: "tailCenter",   label: "Tail center",   params: [], call: (t) => tailCenter(t) },
+  { id: "tailWag",      label: "Tail wag",      params: [], call: (t) => tailWag(t) },
+  { id: "mouthSet",     label: "Mouth",         params: [level("level", 0)], call: (t, a) => mouthSet(t, a.level) },
+  { id: "mouthOpen",    label: "Mouth open",    params: [], call: (t) => mouthUp(t) },
+  { id: "mouthClose",   label: "Mouth close",   params: [], call: (t) => mouthDown(t) },
+  { id: "roar",         label: "Roar",          params: [], call: (t) => roar(t) },
+];
+
+const ACTION_BY_ID = Object.fromEntries(ACTIONS.map((a) => [a.id, a]));
+
+export function actionById(id) {
+  return ACTION_BY_ID[id] || null;
+}
+
+/** Default args for an action (every param at its default). */
+export function defaultArgs(actionId) {
+  const a = actionById(actionId);
+  return Object.fromEntries((a?.params || []).map((p) => [p.name, p.default]));
+}
+
+/** "lower pelvis, open mouth, roar, wag tail, walk forward 3 s". */
+export const DEMO_SEQUENCE = {
+  version: SEQUENCE_VERSION,
+  name: "Demo: roar and walk",
+  keyframes: [
+    { at: 0,    action: "pelvisSet", args: { level: 0.3 } },
+    { at: 800,  action: "mouthOpen", args: {} },
+    { at: 1200, action: "roar",      args: {} },
+    { at: 2500, action: "mouthClose", args: {} },
+    { at: 2600, action: "tailWag",   args: {} },
+    { at: 3500, action: "pelvisSet", args: { level: 0.5 } },
+    { at: 4000, action: "walkForward", args: { speed: 0.6 } },
+    { at: 7000, action: "stop",      args: {} },
+  ],
+};
+
+// ---------- JSON import / export ----------
+
+/** Keyframes by time (stable for equal times, so edit order breaks ties). */
+export function sortKeyframes(keyframes) {
+  return keyframes.map((k, i) => [k, i]).sort((a, b) => a[0].at - b[0].at || a[1] - b[1]).map(([k]) => k);
+}
+
+export function sequenceDuration(seq) {
+  return seq.keyframes.reduce((max, k) => Math.max(max, k.at), 0);
+}
+
+/**
+ * Validate a parsed sequence (or JSON text) and return a clean copy.
+ * Throws an Error naming the first bad keyframe.
+ */
+export function parseSequence(input) {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+  if (!data || !Array.isArray(data.keyframes)) throw new Error("Not a choreography: missing keyframes.");
+  if (data.version !== undefined && data.version > SEQUENCE_VERSION) {
+    throw new Error(`Choreography version ${data.version} is newer than this app (${SEQUENCE_VERSION}).`);
+  }
+  const keyframes = data.keyframes.map((k, i) => {
+    const action = actionById(k?.action);
+    if (!action) throw new Error(`Keyframe ${i + 1}: unknown action "${k?.action}".`);
+    const at = Number(k.at);
+    if (!Number.isFinite(at) || at < 0) throw new Error(`Keyframe ${i + 1}: "at" must be a time in ms ≥ 0.`);
+    const args = {};
+    for (const p of action.params) {
+      const v = k.args?.[p.name] ?? p.default;
+      if (!Number.isFinite(Number(v))) throw new Error(`Keyframe ${i + 1}: ${p.name} must be a number.`);
+      args[p.name] = Math.max(p.min, Math.min(p.max, Number(v)));
+    }
+    return { at: Math.round(at), action: action.id, args };
+  });
+  return { version: SEQUENCE_VERSION, name: String(data.name || "Untitled"), keyframes: sortKeyframes(keyframes) };
+}
+
+export function serializeSequence(seq) {
+  return JSON.stringify({ ...seq, version: SEQUENCE_VERSION, keyframes: sortKeyframes(seq.keyframes) }, null, 2);
+}
+
+/** Last edited sequence (the editor's draft), or the demo. */
+export function loadDraft() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? parseSequence(saved) : DEMO_SEQUENCE;
+  } catch {
+    return DEMO_SEQUENCE;
+  }
+}
+
+export function saveDraft(seq) {
+  try { localStorage.setItem(STORAGE_KEY, serializeSequence(seq)); } catch {}
+}
+
+// ---------- player ----------
+
+/**
+ * createPlayer(transport, sequence, { onProgress, onStateChange, onKeyframe })
+ *   -> { play(), pause(), resume(), abort(), getState(), getPosition() }
+ *
+ * States: idle → playing ⇄ paused → done | aborted.
+ * `play()` resolves with the final state. Pausing stops the legs and resume
+ * re-issues the walk/turn that was running, so a paused script stands still.
+ */
+export function createPlayer(transport, sequence, { onProgress, onStateChange, onKeyframe } = {}) {
+  const keyframes = sortKeyframes(sequence.keyframes);
+  const duration = sequenceDuration(sequence);
+  const heartbeat = createHeartbeat(transport);
+
+  let state = "idle";
+  let next = 0;             // index of the next keyframe to fire
+  let startedAt = 0;        // Date.now() of t=0, shifted on every resume
+  let pausedAt = 0;         // position (ms) while paused
+  let timer = null;
+  let tick = null;
+  let activeMotion = null;  // last walk/turn keyframe still in effect
+  let finish = null;
+
+  const warn = (err) => console.warn("Choreography send error:", err);
+
+  function setState(s) {
+    state = s;
+    try { onStateChange?.(s); } catch {}
+  }
+
+  const position = () => (state === "paused" ? pausedAt : Math.min(duration, Date.now() - startedAt));
+
+  function fire(k) {
+    const action = actionById(k.action);
+    if (action.motion) activeMotion = k;
+    else if (action.id === "stop") activeMotion = null;
+    try { onKeyframe?.(k); } catch {}
+    action.call(transport, k.args).catch(warn);
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    const now = position();
+    while (next < keyframes.length && keyframes[next].at <= now) fire(keyframes[next++]);
+    if (next >= keyframes.length) return end("done");
+    timer = setTimeout(schedule, keyframes[next].at - now);
+  }
+
+  function startTicking() {
+    clearInterval(tick);
+    tick = setInterval(() => { try { onProgress?.(position(), duration); } catch {} }, 100);
+  }
+
+  function end(final) {
+    clearTimeout(timer);
+    clearInterval(tick);
+    timer = tick = null;
+    heartbeat.stop();
+    if (final === "aborted" || activeMotion) stop(transport).catch(warn);
+    activeMotion = null;
+    try { onProgress?.(final === "done" ? duration : position(), duration); } catch {}
+    setState(final);
+    finish?.(final);
+  }
+
+  return {
+    play() {
+      if (state === "playing" || state === "paused") return Promise.resolve(state);
+      next = 0;
+      activeMotion = null;
+      startedAt = Date.now();
+      setState("playing");
+      heartbeat.start();
+      startTicking();
+      const done = new Promise((resolve) => { finish = resolve; });
+      schedule();
+      return done;
+    },
+    pause() {
+      if (state !== "playing") return;
+      pausedAt = position();
+      clearTimeout(timer);
+      clearInterval(tick);
+      heartbeat.stop();
+      if (activeMotion) stop(transport).catch(warn);
+      setState("paused");
+    },
+    resume() {
+      if (state !== "paused") return;
+      startedAt = Date.now() - pausedAt;
+      setState("playing");
+      heartbeat.start();
+      if (activeMotion) actionById(activeMotion.action).call(transport, activeMotion.args).catch(warn);
+      startTicking();
+      schedule();
+    },
+    /** Abort from any running state; always sends `stop`. */
+    abort() {
+      if (state !== "playing" && state !== "paused") return;
+      end("aborted");
+    },
+    getState: () => state,
+    getPosition: position,
+  };
+}
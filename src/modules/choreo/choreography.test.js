@@ -0,0 +1,54 @@
+import { DEMO_SEQUENCE, createPlayer, parseSequence, serializeSequence } from './choreography';
+import { fakeTransport } from '../../test-utils/fakeTransport';
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('fires keyframes at their times and stops a trailing walk', async () => {
+  const t = fakeTransport();
+  const player = createPlayer(t, {
+    keyframes: [
+      { at: 500, action: 'walkForward', args: { speed: 0.5 } },
+      { at: 0, action: 'mouthOpen', args: {} },
+    ],
+  });
+  const done = player.play();
+  expect(t.cmds()).toEqual(['rex_mouth_open']);
+  jest.advanceTimersByTime(499);
+  expect(t.cmds()).toEqual(['rex_mouth_open']);
+  jest.advanceTimersByTime(1);
+  await expect(done).resolves.toBe('done');
+  expect(t.cmds()).toEqual(['rex_mouth_open', 'rex_walk_forward', 'rex_stop']);
+});
+
+test('pause halts the legs, resume re-issues the walk, abort always stops', async () => {
+  const t = fakeTransport();
+  const player = createPlayer(t, {
+    keyframes: [
+      { at: 0, action: 'walkForward', args: { speed: 0.5 } },
+      { at: 1000, action: 'roar', args: {} },
+      { at: 2000, action: 'stop', args: {} },
+    ],
+  });
+  const done = player.play();
+  jest.advanceTimersByTime(400);
+  player.pause();
+  jest.advanceTimersByTime(5000); // paused time doesn't count
+  expect(t.cmds()).toEqual(['rex_walk_forward', 'rex_stop']);
+
+  player.resume();
+  jest.advanceTimersByTime(600);
+  expect(t.cmds()).toEqual(['rex_walk_forward', 'rex_stop', 'rex_walk_forward', 'rex_roar']);
+
+  player.abort();
+  await expect(done).resolves.toBe('aborted');
+  expect(t.cmds().slice(-1)).toEqual(['rex_stop']);
+});
+
+test('round-trips JSON and rejects unknown actions', () => {
+  const seq = parseSequence(serializeSequence(DEMO_SEQUENCE));
+  expect(seq.keyframes).toEqual(DEMO_SEQUENCE.keyframes);
+  expect(parseSequence({ keyframes: [{ at: 5, action: 'tailSet', args: { level: 3 } }] }).keyframes[0].args)
+    .toEqual({ level: 1 });
+  expect(() => parseSequence({ keyframes: [{ at: 0, action: 'fly' }] })).toThrow(/unknown action "fly"/);
+});
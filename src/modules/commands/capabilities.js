@@ -0,0 +1,141 @@
+// src/modules/commands/capabilities.js
+// Firmware capability handshake. Right after connect the app sends
+// { cmd: "rex_hello" } as a request; current firmware answers with what it
+// actually routes:
+//
+//   { "id": 1, "ok": true, "cmd": "rex_hello", "name": "Robo_Rex", "version": "1.4.0",
+//     "commands": ["rex_walk_forward", "rex_tail_set", ...],
+//     "limits": { "rex_walk_forward": { "speed": { "max": 0.8 } } } }
+//
+// Older firmware rejects the command, acks without a list, or stays silent;
+// all three fall back to DEFAULT_FIRMWARE_CAPS (every registry command, no
+// extra limits), which is what the UI assumed before the handshake existed.
+//
+// Not to be confused with transport.capabilities (what the *link* can do).
+
+import { COMMANDS, commandSpec } from "./registry";
+
+export const HELLO_TIMEOUT_MS = 1500;
+
+export const DEFAULT_FIRMWARE_CAPS = Object.freeze({
+  source: "default", // "device" once a hello reply listed the commands
+  name: null,
+  version: null,
+  commands: null,    // null = everything in the registry
+  limits: {},
+});
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+/** Device limits narrowed to the registry's own ranges (a reply can't widen them). */
+function parseLimits(raw) {
+  const limits = {};
+  if (!raw || typeof raw !== "object") return limits;
+  for (const [cmd, params] of Object.entries(raw)) {
+    const spec = commandSpec(cmd);
+    if (!spec?.params || !params || typeof params !== "object") continue;
+    for (const [name, range] of Object.entries(params)) {
+      const p = spec.params[name];
+      if (!p || (p.type !== "number" && p.type !== "integer") || !range) continue;
+      const min = isNum(range.min) ? Math.max(range.min, p.min ?? -Infinity) : p.min;
+      const max = isNum(range.max) ? Math.min(range.max, p.max ?? Infinity) : p.max;
+      if (min !== undefined && max !== undefined && min > max) continue;
+      limits[cmd] = { ...limits[cmd], [name]: { min, max } };
+    }
+  }
+  return limits;
+}
+
+/** Normalize a hello reply (or unsolicited { type: "hello" } line). */
+export function parseHello(reply) {
+  if (!reply || typeof reply !== "object") return DEFAULT_FIRMWARE_CAPS;
+  const listed = Array.isArray(reply.commands) ? reply.commands.filter((c) => typeof c === "string") : null;
+  return {
+    source: listed ? "device" : "default",
+    name: typeof reply.name === "string" ? reply.name : null,
+    version: reply.version != null ? String(reply.version) : null,
+    commands: listed,
+    limits: parseLimits(reply.limits),
+  };
+}
+
+/**
+ * Ask the firmware what it supports. Never rejects: anything short of a
+ * well-formed reply resolves to the defaults, with the reason in `error`.
+ */
+export async function requestFirmwareCaps(transport, { timeoutMs = HELLO_TIMEOUT_MS } = {}) {
+  if (!transport?.capabilities?.ack || typeof transport.request !== "function") {
+    return { ...DEFAULT_FIRMWARE_CAPS, error: "link cannot correlate replies" };
+  }
+  try {
+    return parseHello(await transport.request({ cmd: "rex_hello" }, { timeoutMs }));
+  } catch (err) {
+    return { ...DEFAULT_FIRMWARE_CAPS, error: err?.message || String(err) };
+  }
+}
+
+/** True if the firmware routes `cmd` (always true for registered commands under the defaults). */
+export function supportsCommand(caps, cmd) {
+  if (!commandSpec(cmd)) return false;
+  return !caps?.commands || caps.commands.includes(cmd);
+}
+
+/** Registered commands the firmware lacks (for the log / UI hints). */
+export function missingCommands(caps) {
+  return Object.keys(COMMANDS).filter((cmd) => !supportsCommand(caps, cmd));
+}
+
+/** Device-imposed { param: { min, max } } for `cmd`, or null. */
+export function commandLimits(caps, cmd) {
+  return caps?.limits?.[cmd] || null;
+}
+
+// ---------- capabilities of the firmware behind a transport ----------
+
+const active = new WeakMap(); // Transport -> caps
+
+/** Record the handshake result for `transport` (null forgets it, e.g. on disconnect). */
+export function setFirmwareCaps(transport, caps) {
+  if (!transport) return;
+  if (caps) active.set(transport, caps);
+  else active.delete(transport);
+}
+
+export function getFirmwareCaps(transport) {
+  return (transport && active.get(transport)) || DEFAULT_FIRMWARE_CAPS;
+}
+
+// ---------- several robots at once ----------
+
+/**
+ * What every firmware in `capsList` supports: the commands they all route and,
+ * per parameter, the narrowest range. Used for a group of robots driven as one.
+ */
+export function intersectFirmwareCaps(capsList) {
+  const list = (capsList || []).filter(Boolean);
+  if (list.length === 0) return DEFAULT_FIRMWARE_CAPS;
+  if (list.length === 1) return list[0];
+  const listed = list.filter((c) => c.commands);
+  const commands = listed.length
+    ? Object.keys(COMMANDS).filter((cmd) => listed.every((c) => c.commands.includes(cmd)))
+    : null;
+  const limits = {};
+  for (const caps of list) {
+    for (const [cmd, params] of Object.entries(caps.limits || {})) {
+      for (const [name, { min, max }] of Object.entries(params)) {
+        const prev = limits[cmd]?.[name];
+        const range = prev
+          ? { min: Math.max(prev.min ?? -Infinity, min ?? -Infinity), max: Math.min(prev.max ?? Infinity, max ?? Infinity) }
+          : { min, max };
+        limits[cmd] = { ...limits[cmd], [name]: range };
+      }
+    }
+  }
+  return {
+    source: listed.length ? "device" : "default",
+    name: null,
+    version: [...new Set(list.map((c) => c.version).filter(Boolean))].join(" + ") || null,
+    commands,
+    limits,
+  };
+}
@@ -0,0 +1,65 @@
+import {
+  DEFAULT_FIRMWARE_CAPS,
+  missingCommands,
+  parseHello,
+  requestFirmwareCaps,
+  setFirmwareCaps,
+  supportsCommand,
+} from './capabilities';
+import { createMockRex } from '../sim/mockRex';
+import { walkForward } from '../Leg_Function';
+import { roar } from '../Head_Function';
+import { fakeTransport } from '../../test-utils/fakeTransport';
+
+/** A transport wired to a mock Rex: request() resolves/rejects with its reply. */
+function mockTransport(rexOpts) {
+  const rex = createMockRex(rexOpts);
+  return {
+    ...fakeTransport(),
+    capabilities: { kind: 'sim', ack: true },
+    request: async (obj) => {
+      const reply = JSON.parse(rex.handleLine(JSON.stringify({ ...obj, id: 1 }))[0]);
+      if (!reply.ok) throw new Error(reply.error);
+      return reply;
+    },
+  };
+}
+
+test('reads version, commands and limits from the hello reply', async () => {
+  const t = mockTransport({
+    commands: ['rex_hello', 'rex_walk_forward', 'rex_stop'],
+    limits: { rex_walk_forward: { speed: { max: 0.8 } }, rex_run: { factor: { max: 9 } } },
+  });
+  const caps = await requestFirmwareCaps(t);
+  expect(caps).toMatchObject({ source: 'device', version: 'sim-1', commands: ['rex_hello', 'rex_walk_forward', 'rex_stop'] });
+  expect(caps.limits).toEqual({
+    rex_walk_forward: { speed: { min: 0, max: 0.8 } },
+    rex_run: { factor: { min: 0.1, max: 3 } }, // can't widen the registry range
+  });
+  expect(supportsCommand(caps, 'rex_stop')).toBe(true);
+  expect(supportsCommand(caps, 'rex_head_up')).toBe(false);
+  expect(missingCommands(caps)).toContain('rex_tail_set');
+});
+
+test('falls back to the defaults for older firmware', async () => {
+  const rejecting = mockTransport({ commands: ['rex_walk_forward'] }); // no rex_hello
+  const caps = await requestFirmwareCaps(rejecting);
+  expect(caps).toMatchObject({ ...DEFAULT_FIRMWARE_CAPS, error: 'unknown command' });
+  expect(supportsCommand(caps, 'rex_head_up')).toBe(true);
+
+  expect(parseHello({ id: 1, ok: true, cmd: 'rex_hello' })).toMatchObject({ source: 'default', commands: null });
+  const noAck = { capabilities: { kind: 'x', ack: false } };
+  await expect(requestFirmwareCaps(noAck)).resolves.toMatchObject({ source: 'default' });
+});
+
+test('modules honour the handshake: unsupported commands reject, limits clamp', async () => {
+  const t = mockTransport({ limits: { rex_walk_forward: { speed: { max: 0.8 } } } });
+  setFirmwareCaps(t, { ...(await requestFirmwareCaps(t)), commands: ['rex_walk_forward'] });
+  await walkForward(t, 1);
+  await expect(roar(t)).rejects.toMatchObject({ name: 'RexUnsupportedError', cmd: 'rex_roar' });
+  expect(t.sent).toEqual([{ cmd: 'rex_walk_forward', speed: 0.8 }]);
+
+  setFirmwareCaps(t, null);
+  await roar(t);
+  expect(t.sent[1]).toBe('rex_roar');
+});
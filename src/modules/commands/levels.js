@@ -0,0 +1,16 @@
+// src/modules/commands/levels.js
+// One setter for every posable part (POSABLE_PARTS in ./registry.js): the
+// part's `level` command with the robot's calibration applied, as the
+// body-part *_set functions send it. Tables keyed by part (smoother, presets,
+// calibration panel, controller sliders) use this instead of listing setters.
+
+import { levelCommand } from "./registry";
+import { sendCommand } from "../transport/transport";
+import { calibrate } from "../calibration/calibration";
+
+/** Position pose-model part `key` ("tail", "neckYaw", ...) at logical `level` (0..1). */
+export async function setPartLevel(transport, key, level = 0.5, opts) {
+  const cmd = levelCommand(key);
+  if (!cmd) throw new Error(`Unknown part "${key}".`);
+  return sendCommand(transport, cmd, { level: calibrate(transport, key, level) }, opts);
+}
@@ -0,0 +1,264 @@
+// src/modules/commands/registry.js
+// Every rex_* command the app sends, declared once: which part it belongs to,
+// whether it goes out as a plain line or a JSON packet, its parameters and
+// ranges. The body-part modules build packets from it (sendCommand in
+// ../transport/transport.js), ControllerPanel derives its arrows from it, and
+// in development every outgoing packet is checked against it.
+//
+//   rex_tail_set: { part: "tail", kind: "json", sets: "tail",
+//                   params: { level: { type: "number", min: 0, max: 1, required: true } } }
+//
+// Entry fields:
+//   part      legs | pelvis | spine | tail | neck | head | mouth | system
+//   kind      "line" (plain string) or "json" ({ cmd, ...params })
+//   params    name -> { type: "number" | "integer" | "string", min, max, values, default, required }
+//   sets      pose-model key a `level` command positions (calibration, presets)
+//   label     display name of that part (with `sets`)
+//   endStop   logical level a full-travel line command drives its part's `sets` key to
+//   arrows    direction -> params, for the controller's hold-to-repeat arrows
+//   release   what an arrow sends when let go: another cmd, or params for this one
+//   priority  stop-class: preempts the write queue
+//   optional  not in every firmware build's CommandRouter
+
+const unit = (def) => ({ type: "number", min: 0, max: 1, default: def });
+const level = { level: { ...unit(0.5), required: true } };
+const delta = { delta: { type: "number", min: -1, max: 1, default: 0.05, required: true } };
+
+export const COMMANDS = {
+  // ---------- legs ----------
+  rex_walk_forward:  { part: "legs", kind: "json", params: { speed: unit(1) }, arrows: { up: {} }, release: "rex_stop" },
+  rex_walk_backward: { part: "legs", kind: "json", params: { speed: unit(1) }, arrows: { down: {} }, release: "rex_stop" },
+  rex_turn_left:     { part: "legs", kind: "json", params: { rate: unit(0.6) }, arrows: { left: {} }, release: "rex_stop" },
+  rex_turn_right:    { part: "legs", kind: "json", params: { rate: unit(0.6) }, arrows: { right: {} }, release: "rex_stop" },
+  rex_run:           { part: "legs", kind: "json", params: { factor: { type: "number", min: 0.1, max: 3, default: 1.5 } } },
+  rex_stop:          { part: "legs", kind: "json", params: {}, priority: true },
+  rex_gait: {
+    part: "legs",
+    kind: "json",
+    params: { speed: unit(0.7), stride: unit(0.6), lift: unit(0.4), mode: { type: "string", default: "walk" } },
+  },
+  rex_speed_adjust:  { part: "legs", kind: "json", params: { delta: { ...delta.delta, default: 0.1 } } },
+  rex_stride_set:    { part: "legs", kind: "json", params: { value: { ...unit(0.6), required: true } } },
+  rex_posture:       { part: "legs", kind: "json", params: level, sets: "posture", label: "Posture" },
+
+  // ---------- pelvis ----------
+  rex_pelvis_up:     { part: "pelvis", kind: "line", endStop: 1 },
+  rex_pelvis_down:   { part: "pelvis", kind: "line", endStop: 0 },
+  rex_pelvis_set: {
+    part: "pelvis",
+    kind: "json",
+    params: level,
+    sets: "pelvis",
+    label: "Pelvis",
+    arrows: { up: { level: 0.6 }, down: { level: 0.4 } },
+    release: { level: 0.5 },
+  },
+  rex_pelvis_nudge:  { part: "pelvis", kind: "json", params: delta },
+
+  // ---------- spine ----------
+  rex_spine_up:      { part: "spine", kind: "line", endStop: 1, arrows: { up: {} } },
+  rex_spine_down:    { part: "spine", kind: "line", endStop: 0, arrows: { down: {} } },
+  rex_spine_set:     { part: "spine", kind: "json", params: level, sets: "spine", label: "Spine" },
+  rex_spine_nudge:   { part: "spine", kind: "json", params: delta },
+
+  // ---------- tail ----------
+  rex_tail_left:     { part: "tail", kind: "line", endStop: 0 },
+  rex_tail_right:    { part: "tail", kind: "line", endStop: 1 },
+  rex_tail_center:   { part: "tail", kind: "line" },
+  rex_tail_wag:      { part: "tail", kind: "line" },
+  rex_tail_set: {
+    part: "tail",
+    kind: "json",
+    params: level,
+    sets: "tail",
+    label: "Tail",
+    arrows: { left: { level: 1 }, right: { level: 0 } },
+    release: { level: 0.5 },
+  },
+
+  // ---------- neck ----------
+  rex_neck_left:     { part: "neck", kind: "line", endStop: 0, arrows: { left: {} }, optional: true },
+  rex_neck_right:    { part: "neck", kind: "line", endStop: 1, arrows: { right: {} }, optional: true },
+  rex_neck_center:   { part: "neck", kind: "line" },
+  rex_neck_yaw_set:  { part: "neck", kind: "json", params: level, sets: "neckYaw", label: "Neck yaw" },
+
+  // ---------- head ----------
+  rex_head_up:       { part: "head", kind: "line", arrows: { up: {} }, optional: true },
+  rex_head_down:     { part: "head", kind: "line", arrows: { down: {} }, optional: true },
+  rex_roar:          { part: "head", kind: "line" },
+
+  // ---------- mouth ----------
+  rex_mouth_open:    { part: "mouth", kind: "line", endStop: 1 },
+  rex_mouth_close:   { part: "mouth", kind: "line", endStop: 0 },
+  rex_mouth_set:     { part: "mouth", kind: "json", params: level, sets: "mouth", label: "Mouth" },
+
+  // ---------- system ----------
+  rex_hello:         { part: "system", kind: "json", params: {} }, // capability handshake, see ./capabilities.js
+  rex_heartbeat: {
+    part: "system",
+    kind: "json",
+    params: {
+      seq: { type: "integer", min: 0, max: 0xffff },
+      ttl: { type: "integer", min: 1, max: 10000, default: 750 },
+    },
+  },
+  rex_stop_all:      { part: "system", kind: "json", params: {}, priority: true },
+  rex_estop:         { part: "system", kind: "json", params: {}, priority: true },
+};
+
+export const PARTS = ["legs", "pelvis", "spine", "tail", "neck", "head", "mouth", "system"];
+export const DIRECTIONS = ["up", "down", "left", "right"];
+
+// Keys every packet may carry besides its params (request/ack correlation).
+const ENVELOPE = new Set(["cmd", "id"]);
+
+/** Registry entry for `cmd`, or null. */
+export function commandSpec(cmd) {
+  return Object.prototype.hasOwnProperty.call(COMMANDS, cmd) ? COMMANDS[cmd] : null;
+}
+
+export function isKnownCommand(cmd) {
+  return commandSpec(cmd) !== null;
+}
+
+/** Command names for one part, in registry order. */
+export function commandsForPart(part) {
+  return Object.keys(COMMANDS).filter((cmd) => COMMANDS[cmd].part === part);
+}
+
+/** Stop-class command names (the write queue lets these jump the line). */
+export const PRIORITY_COMMANDS = Object.freeze(Object.keys(COMMANDS).filter((cmd) => COMMANDS[cmd].priority));
+
+/** The `level` command that positions pose-model part `key` ("tail" -> "rex_tail_set"). */
+export function levelCommand(key) {
+  return Object.keys(COMMANDS).find((cmd) => COMMANDS[cmd].sets === key) || null;
+}
+
+/** Posable parts, in registry order: every pose-model key a `level` command sets ({ key, label, cmd }). */
+export const POSABLE_PARTS = Object.freeze(
+  Object.entries(COMMANDS)
+    .filter(([, spec]) => spec.sets)
+    .map(([cmd, spec]) => Object.freeze({ key: spec.sets, label: spec.label, cmd }))
+);
+
+// ---------- building ----------
+
+const clamp = (v, lo, hi) => Math.max(lo ?? -Infinity, Math.min(hi ?? Infinity, v));
+
+/**
+ * The packet for `cmd` with `params` clamped to their ranges; undefined
+ * params are left out (the firmware applies its own defaults). `limits`
+ * ({ param: { min, max } }, from the firmware handshake) narrows the ranges.
+ * Throws for a command that isn't registered.
+ */
+export function buildPacket(cmd, params = {}, limits = null) {
+  const spec = commandSpec(cmd);
+  if (!spec) throw new Error(`Unknown command "${cmd}".`);
+  const pkt = { cmd };
+  for (const [name, value] of Object.entries(params)) {
+    if (value === undefined) continue;
+    const p = spec.params?.[name];
+    if ((p?.type === "number" || p?.type === "integer") && Number.isFinite(Number(value))) {
+      const range = { ...p, ...limits?.[name] };
+      const n = clamp(Number(value), range.min, range.max);
+      pkt[name] = p.type === "integer" ? Math.round(n) : n;
+    } else {
+      pkt[name] = value;
+    }
+  }
+  return pkt;
+}
+
+/**
+ * The packet a controller arrow on `part` sends for `dir` in `phase`
+ * ("start" | "hold" | "stop"), or null when that arrow does nothing.
+ */
+export function arrowPacket(part, dir, phase = "start") {
+  const cmd = commandsForPart(part).find((c) => COMMANDS[c].arrows?.[dir]);
+  if (!cmd) return null;
+  const { arrows, release } = COMMANDS[cmd];
+  if (phase !== "stop") return { cmd, ...arrows[dir] };
+  if (typeof release === "string") return { cmd: release };
+  return release ? { cmd, ...release } : null;
+}
+
+/** { up, down, left, right } -> true where `part` has an arrow command. */
+export function arrowDirections(part) {
+  return Object.fromEntries(DIRECTIONS.map((d) => [d, arrowPacket(part, d) !== null]));
+}
+
+// ---------- validation ----------
+
+function checkParam(cmd, name, p, value) {
+  if (p.type === "string") {
+    if (typeof value !== "string") return `${cmd}.${name} must be a string`;
+    if (p.values && !p.values.includes(value)) return `${cmd}.${name} must be one of ${p.values.join(", ")}`;
+    return null;
+  }
+  if (typeof value !== "number" || !Number.isFinite(value)) return `${cmd}.${name} must be a number`;
+  if (p.type === "integer" && !Number.isInteger(value)) return `${cmd}.${name} must be an integer`;
+  if ((p.min !== undefined && value < p.min) || (p.max !== undefined && value > p.max)) {
+    return `${cmd}.${name} = ${value} is outside ${p.min}..${p.max}`;
+  }
+  return null;
+}
+
+function validateCmdPacket(pkt) {
+  const spec = commandSpec(pkt.cmd);
+  if (!spec) return [`unknown command "${pkt.cmd}"`];
+  const problems = [];
+  const params = spec.params || {};
+  for (const [name, value] of Object.entries(pkt)) {
+    if (ENVELOPE.has(name)) continue;
+    const p = params[name];
+    if (!p) {
+      problems.push(`${pkt.cmd} has no parameter "${name}"`);
+      continue;
+    }
+    const problem = checkParam(pkt.cmd, name, p, value);
+    if (problem) problems.push(problem);
+  }
+  for (const [name, p] of Object.entries(params)) {
+    if (p.required && pkt[name] === undefined) problems.push(`${pkt.cmd} needs "${name}"`);
+  }
+  return problems;
+}
+
+/**
+ * Problems with one outgoing packet (empty when it matches the registry).
+ * Accepts a plain line, a { cmd, ... } packet, or the { target, part, command,
+ * phase } control form bleClient.sendControl() sends.
+ */
+export function validatePacket(pkt) {
+  if (typeof pkt === "string") {
+    const text = pkt.trim();
+    if (text[0] === "{") {
+      try { return validatePacket(JSON.parse(text)); } catch { return ["malformed JSON line"]; }
+    }
+    return validateCmdPacket({ cmd: text });
+  }
+  if (!pkt || typeof pkt !== "object") return ["packet must be a line or an object"];
+  if (typeof pkt.cmd === "string") return validateCmdPacket(pkt);
+  if (pkt.target && pkt.part) {
+    const part = pkt.part === "full" ? "legs" : pkt.part;
+    if (!PARTS.includes(part)) return [`unknown part "${pkt.part}"`];
+    if (pkt.phase !== "stop" && !arrowPacket(part, pkt.command)) return [`${pkt.part} has no "${pkt.command}" command`];
+    return [];
+  }
+  return ["packet has no cmd"];
+}
+
+const reported = new Set();
+
+/**
+ * Development check on the way out: log each distinct registry mismatch once.
+ * No-op in production and tests; never throws, so it can't break a send.
+ */
+export function checkOutgoing(pkt) {
+  if (process.env.NODE_ENV !== "development") return;
+  for (const problem of validatePacket(pkt)) {
+    if (reported.has(problem)) continue;
+    reported.add(problem);
+    console.warn(`[rex] outgoing packet doesn't match the command registry: ${problem}`, pkt);
+  }
+}
@@ -0,0 +1,86 @@
+import {
+  COMMANDS,
+  POSABLE_PARTS,
+  arrowDirections,
+  arrowPacket,
+  buildPacket,
+  levelCommand,
+  validatePacket,
+} from './registry';
+import { isPoseCommand } from '../pose/poseModel';
+import { walkForward, run, setGait } from '../Leg_Function';
+import { roar } from '../Head_Function';
+import { setPartLevel } from './levels';
+import { setCalibration } from '../calibration/calibration';
+import { fakeTransport } from '../../test-utils/fakeTransport';
+
+test('every registered command is well formed', () => {
+  for (const [cmd, spec] of Object.entries(COMMANDS)) {
+    expect(cmd).toMatch(/^rex_[a-z_]+$/);
+    expect(['line', 'json']).toContain(spec.kind);
+  }
+  const lines = Object.values(COMMANDS).filter((s) => s.kind === 'line');
+  expect(lines.filter((s) => s.params)).toEqual([]);
+  const releases = Object.values(COMMANDS).map((s) => s.release).filter((r) => typeof r === 'string');
+  expect(releases.filter((r) => !COMMANDS[r])).toEqual([]);
+});
+
+test('the pose model knows every body-part command, and nothing unregistered', () => {
+  const bodyCommands = Object.keys(COMMANDS).filter((cmd) => COMMANDS[cmd].part !== 'system');
+  expect(bodyCommands.filter((cmd) => !isPoseCommand(cmd))).toEqual([]);
+  expect(isPoseCommand('rex_neck_pitch_up')).toBe(false);
+});
+
+test('modules frame commands the way the registry says', async () => {
+  const t = fakeTransport();
+  await roar(t);
+  await walkForward(t, 4);
+  await run(t, 0);
+  await setGait(t, { speed: -1, mode: 'trot' });
+  expect(t.sent).toEqual([
+    'rex_roar',
+    { cmd: 'rex_walk_forward', speed: 1 },
+    { cmd: 'rex_run', factor: 0.1 },
+    { cmd: 'rex_gait', speed: 0, stride: 0.6, lift: 0.4, mode: 'trot' },
+  ]);
+  expect(() => buildPacket('rex_fly')).toThrow(/Unknown command/);
+});
+
+test('validates commands, parameters and ranges', () => {
+  expect(validatePacket({ cmd: 'rex_tail_set', level: 0.2, id: 3 })).toEqual([]);
+  expect(validatePacket('rex_mouth_open')).toEqual([]);
+  expect(validatePacket('{"cmd":"rex_heartbeat","seq":1,"ttl":750}')).toEqual([]);
+  expect(validatePacket({ cmd: 'rex_fly' })).toEqual(['unknown command "rex_fly"']);
+  expect(validatePacket({ cmd: 'rex_tail_set', level: 1.5 })).toEqual(['rex_tail_set.level = 1.5 is outside 0..1']);
+  expect(validatePacket({ cmd: 'rex_tail_set' })).toEqual(['rex_tail_set needs "level"']);
+  expect(validatePacket('rex_tail_set')).toEqual(['rex_tail_set needs "level"']);
+  expect(validatePacket({ cmd: 'rex_roar', volume: 1 })).toEqual(['rex_roar has no parameter "volume"']);
+  expect(validatePacket({ cmd: 'rex_gait', mode: 3 })).toEqual(['rex_gait.mode must be a string']);
+  expect(validatePacket({ target: 'rex', part: 'neck', command: 'left', phase: 'start' })).toEqual([]);
+  expect(validatePacket({ target: 'rex', part: 'neck', command: 'up', phase: 'start' })).toHaveLength(1);
+  expect(validatePacket({ type: 'dance' })).toEqual(['packet has no cmd']);
+});
+
+test('derives the controller arrows and level commands', () => {
+  expect(arrowDirections('tail')).toEqual({ up: false, down: false, left: true, right: true });
+  expect(arrowDirections('legs')).toEqual({ up: true, down: true, left: true, right: true });
+  expect(arrowPacket('legs', 'left')).toEqual({ cmd: 'rex_turn_left' });
+  expect(arrowPacket('legs', 'left', 'stop')).toEqual({ cmd: 'rex_stop' });
+  expect(arrowPacket('pelvis', 'down', 'hold')).toEqual({ cmd: 'rex_pelvis_set', level: 0.4 });
+  expect(arrowPacket('pelvis', 'down', 'stop')).toEqual({ cmd: 'rex_pelvis_set', level: 0.5 });
+  expect(arrowPacket('spine', 'up', 'stop')).toBeNull();
+  expect(arrowPacket('mouth', 'up')).toBeNull();
+  expect(levelCommand('neckYaw')).toBe('rex_neck_yaw_set');
+});
+
+test('every posable part has a label and one calibrated setter', async () => {
+  expect(POSABLE_PARTS.map((p) => p.key)).toEqual(['posture', 'pelvis', 'spine', 'tail', 'neckYaw', 'mouth']);
+  expect(POSABLE_PARTS.filter((p) => !p.label || levelCommand(p.key) !== p.cmd)).toEqual([]);
+
+  const t = fakeTransport();
+  setCalibration(t, { parts: { neckYaw: { min: 0.2, max: 0.6 } } });
+  await setPartLevel(t, 'neckYaw', 1);
+  await setPartLevel(t, 'posture', 0.3);
+  expect(t.sent).toEqual([{ cmd: 'rex_neck_yaw_set', level: 0.6 }, { cmd: 'rex_posture', level: 0.3 }]);
+  await expect(setPartLevel(t, 'wings', 1)).rejects.toThrow(/Unknown part/);
+});
@@ -0,0 +1,17 @@
+// src/modules/files/download.js
+// Save text as a file from the browser (log exports, session captures,
+// profiles, macros, choreographies).
+
+/** How long the blob URL outlives the click; some browsers start the download asynchronously. */
+export const REVOKE_DELAY_MS = 10_000;
+
+/** Offer `text` as a download named `filename`. */
+export function downloadText(text, type, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Revoking right after click() can cancel the download before it reads the blob.
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
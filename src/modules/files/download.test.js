@@ -0,0 +1,23 @@
+import { REVOKE_DELAY_MS, downloadText } from './download';
+
+test('downloads through a blob URL that is revoked only after a delay', () => {
+  jest.useFakeTimers();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+    expect(this.download).toBe('rex-log.csv');
+    expect(this.href).toBe('blob:rex-1');
+  });
+  URL.createObjectURL = jest.fn(() => 'blob:rex-1');
+  URL.revokeObjectURL = jest.fn();
+
+  downloadText('a,b\r\n', 'text/csv', 'rex-log.csv');
+  expect(click).toHaveBeenCalledTimes(1);
+  expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/csv');
+  expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(REVOKE_DELAY_MS);
+  expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:rex-1');
+
+  click.mockRestore();
+  delete URL.createObjectURL;
+  delete URL.revokeObjectURL;
+  jest.useRealTimers();
+});
@@ -0,0 +1,211 @@
+// src/modules/fleet/fleet.js
+// Several Rex units at once. A robot bundles one link client (a BLE or sim
+// connection instance, or the shared default client) with everything the app
+// keeps per robot: its transport, device log, pose tracker, telemetry, the
+// hello handshake result and the calibration profile for its name.
+//
+//   const fleet = createFleet();
+//   const remove = fleet.add(createRobot({ id: "sim-2", kind: "sim", label: "Simulator 2",
+//                                          client: createSimConnection(), createTransport: createSimTransport }));
+//   fleet.subscribe(() => render(fleet.getSnapshot().robots));
+//   fleet.emergencyStop("Esc"); // every robot, connected or not
+//
+// Robots do nothing until added: add() subscribes to the client, remove()
+// unsubscribes (it never disconnects; that's the caller's choice).
+
+import { createDeviceLog } from "../log/deviceLog";
+import { createPoseTracker } from "../pose/poseModel";
+import { createTelemetryStore } from "../telemetry/telemetry";
+import { tapTransport } from "../transport/tap";
+import { loadProfile, setCalibration } from "../calibration/calibration";
+import {
+  DEFAULT_FIRMWARE_CAPS,
+  missingCommands,
+  requestFirmwareCaps,
+  setFirmwareCaps,
+} from "../commands/capabilities";
+
+/**
+ * @typedef {Object} RobotInfo
+ * @property {string} id
+ * @property {string} kind          "ble" | "serial" | "ws" | "sim"
+ * @property {string} label
+ * @property {string} status        the client's connection status
+ * @property {number} attempt
+ * @property {number} maxAttempts
+ * @property {string|null} error
+ * @property {string|null} deviceName  advertised name while linked
+ * @property {string|null} deviceId    browser device id while linked (BLE only)
+ * @property {object} firmware      hello handshake result (DEFAULT_FIRMWARE_CAPS until known)
+ */
+
+/** Link-state transitions worth a log line, keyed by the new status. */
+function stateNote(label, s, prev) {
+  if (s.status === "connected") return [`${label}: ${prev.status === "reconnecting" ? "reconnected" : "connected"}`];
+  if (s.status === "reconnecting") return [`${label}: reconnecting (attempt ${s.attempt}/${s.maxAttempts})`, "warning"];
+  if (s.status === "failed") return [`${label}: reconnect failed${s.error ? ` — ${s.error}` : ""}`, "error"];
+  if (s.status === "idle" && prev.status !== "connecting") return [`${label}: disconnected`];
+  return null;
+}
+
+/**
+ * A robot over `client`. `log`, `pose` and `telemetry` may be passed in to keep
+ * their history when the robot is rebuilt (e.g. the App's main link changing kind).
+ */
+export function createRobot({
+  id, kind, label, client, createTransport,
+  log = createDeviceLog(),
+  pose = createPoseTracker(), // commanded pose follows TX, reported pose telemetry
+  telemetry = createTelemetryStore(),
+}) {
+  const transport = tapTransport(createTransport(client), (pkt) => {
+    pose.applyTx(pkt);
+    log.tx(pkt);
+  });
+
+  /** @type {RobotInfo} */
+  let info = {
+    id, kind, label,
+    status: "idle", attempt: 0, maxAttempts: 0, error: null,
+    deviceName: null,
+    deviceId: null,
+    firmware: DEFAULT_FIRMWARE_CAPS,
+  };
+  const listeners = new Set();
+  const update = (patch) => {
+    info = { ...info, ...patch };
+    for (const fn of listeners) {
+      try { fn(info); } catch {}
+    }
+  };
+
+  // Capability handshake on every (re)connect; a newer one supersedes it.
+  let handshake = 0;
+  function runHandshake() {
+    const token = ++handshake;
+    requestFirmwareCaps(transport).then((caps) => {
+      if (token !== handshake || info.status !== "connected") return;
+      setFirmwareCaps(transport, caps);
+      update({ firmware: caps });
+      if (caps.source === "device") {
+        const missing = missingCommands(caps);
+        log.system(`Firmware ${caps.version || "(no version)"}: ${caps.commands.length} commands` +
+          (missing.length ? `; not supported: ${missing.join(", ")}` : ""));
+      } else {
+        log.system(`Firmware capabilities unknown (${caps.error || "no command list"}); using defaults`, "warning");
+      }
+    });
+  }
+
+  /** Mirror the client's state; `quiet` skips the log line (the initial report). */
+  function onState(s, quiet) {
+    const prev = info;
+    const patch = { status: s.status, attempt: s.attempt, maxAttempts: s.maxAttempts, error: s.error ?? null };
+    if (s.status === "connected") {
+      // The connected robot's calibration applies to everything sent on its transport.
+      patch.deviceName = client.getDeviceName();
+      patch.deviceId = client.getDeviceId?.() || null;
+      setCalibration(transport, patch.deviceName ? loadProfile(patch.deviceName) : null);
+    } else if (s.status === "idle" || s.status === "failed") {
+      patch.deviceName = null;
+      patch.deviceId = null;
+      setCalibration(transport, null);
+    }
+    if (s.status !== "connected") {
+      handshake++;
+      setFirmwareCaps(transport, null);
+      patch.firmware = DEFAULT_FIRMWARE_CAPS;
+      pose.clearReported(); // the reported pose is forgotten once the link drops
+    }
+    update(patch);
+    if (prev.status !== s.status || prev.attempt !== s.attempt) {
+      const note = !quiet && stateNote(label, s, prev);
+      if (note) log.system(...note);
+      // A replayed session discards TX, so there is no one to answer the hello.
+      if (s.status === "connected" && !client.isReplaying?.()) runHandshake();
+    }
+  }
+
+  function attach() {
+    let initial = true; // onStateChange reports the current state right away
+    const offState = client.onStateChange((s) => {
+      onState(s, initial);
+      initial = false;
+    });
+    const offMsg = transport.onMessage((msg) => {
+      log.rx(msg);
+      pose.applyRx(msg);
+      telemetry.applyRx(msg);
+    });
+    return () => {
+      offState();
+      offMsg();
+      handshake++;
+    };
+  }
+
+  return {
+    id, kind, label, client, transport, log, pose, telemetry,
+    attach,
+    getInfo: () => info,
+    isConnected: () => info.status === "connected",
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
+
+// ---------- the fleet ----------
+
+export function createFleet() {
+  const members = new Map(); // id -> { robot, detach }
+  let snapshot = { robots: [] };
+  const listeners = new Set();
+
+  const changed = () => {
+    snapshot = { robots: [...members.values()].map(({ robot }) => robot.getInfo()) };
+    for (const fn of listeners) {
+      try { fn(snapshot); } catch {}
+    }
+  };
+
+  function remove(id) {
+    const m = members.get(id);
+    if (!m) return;
+    members.delete(id);
+    m.detach();
+    changed();
+  }
+
+  return {
+    /** Track `robot` (replacing one with the same id); returns a remover. */
+    add(robot) {
+      remove(robot.id);
+      const offInfo = robot.subscribe(changed);
+      const detach = robot.attach();
+      members.set(robot.id, { robot, detach: () => { offInfo(); detach(); } });
+      changed();
+      return () => {
+        if (members.get(robot.id)?.robot === robot) remove(robot.id);
+      };
+    },
+    remove,
+    /** The robot object for `id`, or null. */
+    get: (id) => members.get(id)?.robot ?? null,
+    /** Robot objects, in the order they were added. */
+    list: () => [...members.values()].map((m) => m.robot),
+    /** E‑STOP every robot on its own priority path; logged in each robot's log. */
+    emergencyStop(reason) {
+      return Promise.all([...members.values()].map(({ robot }) => {
+        robot.log.system(`E‑STOP (${reason})${robot.isConnected() ? "" : " — not connected"}`, "warning");
+        return robot.transport.emergencyStop().catch(() => false);
+      }));
+    },
+    getSnapshot: () => snapshot,
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
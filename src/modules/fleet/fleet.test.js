@@ -0,0 +1,95 @@
+import { createFleet, createRobot } from './fleet';
+import { createGroupTransport } from './groupTransport';
+import { createSimConnection } from '../sim/simClient';
+import { createSimTransport } from '../transport/simTransport';
+import { DEFAULT_FIRMWARE_CAPS, intersectFirmwareCaps } from '../commands/capabilities';
+import { setCalibration } from '../calibration/calibration';
+
+const simRobot = (n) =>
+  createRobot({
+    id: `sim-${n}`,
+    kind: 'sim',
+    label: `Simulator ${n}`,
+    client: createSimConnection(),
+    createTransport: createSimTransport,
+  });
+
+let fleet;
+beforeEach(() => {
+  fleet = createFleet();
+});
+
+afterEach(async () => {
+  await Promise.all(fleet.list().map((r) => r.client.disconnect()));
+});
+
+test('each robot keeps its own status, log and handshake', async () => {
+  const a = simRobot(1);
+  const b = simRobot(2);
+  fleet.add(a);
+  fleet.add(b);
+
+  await a.client.connect({ name: 'Rex_A', telemetryMs: 0 });
+  await waitFor(() => a.getInfo().firmware.source === 'device');
+
+  const [infoA, infoB] = fleet.getSnapshot().robots;
+  expect(infoA).toMatchObject({ id: 'sim-1', status: 'connected', deviceName: 'Rex_A' });
+  expect(infoB).toMatchObject({ id: 'sim-2', status: 'idle', deviceName: null, firmware: DEFAULT_FIRMWARE_CAPS });
+  expect(a.log.getSnapshot().entries.map((e) => e.text).join('\n')).toMatch(/Simulator 1: connected/);
+  expect(b.log.getSnapshot().entries).toHaveLength(0);
+});
+
+test('a group transport drives every member through its own calibration', async () => {
+  const a = simRobot(1);
+  const b = simRobot(2);
+  fleet.add(a);
+  fleet.add(b);
+  await a.client.connect({ telemetryMs: 0 });
+  await b.client.connect({ telemetryMs: 0 });
+  setCalibration(b.transport, { parts: { tail: { min: 0.2, max: 0.6, center: 0.4 } } });
+
+  const group = createGroupTransport([a.transport, b.transport]);
+  await group.request({ cmd: 'rex_tail_set', level: 1 });
+
+  expect(a.client.getPose().tail).toBe(1);
+  expect(b.client.getPose().tail).toBeCloseTo(0.6);
+  expect(a.pose.getSnapshot().commanded.tail).toBe(1); // each robot's tracker sees its own TX
+
+  // End-stop line commands respect the calibrated member's limits too.
+  setCalibration(b.transport, { parts: { neckYaw: { min: 0.3, max: 0.7 } } });
+  await group.sendLine('rex_neck_right');
+  await new Promise((r) => setTimeout(r, 30));
+  expect(b.client.getPose().neckYaw).toBeCloseTo(0.7);
+});
+
+test('stop-all reaches every robot and is logged even where the link is down', async () => {
+  const a = simRobot(1);
+  const b = simRobot(2);
+  fleet.add(a);
+  fleet.add(b);
+  await a.client.connect({ telemetryMs: 0 });
+  await a.transport.request({ cmd: 'rex_walk_forward', speed: 1 });
+  expect(a.client.getPose().walking.state).toBe('forward');
+
+  await fleet.emergencyStop('test');
+  await waitFor(() => a.client.getPose().walking.state === 'idle');
+  expect(b.log.getSnapshot().entries.map((e) => e.text)).toContain('E‑STOP (test) — not connected');
+});
+
+test('a group only advertises commands every member routes', () => {
+  const caps = intersectFirmwareCaps([
+    { ...DEFAULT_FIRMWARE_CAPS, source: 'device', version: 'a', commands: ['rex_stop', 'rex_tail_set', 'rex_roar'] },
+    { ...DEFAULT_FIRMWARE_CAPS, source: 'device', version: 'b', commands: ['rex_stop', 'rex_tail_set'] },
+  ]);
+  expect(caps.commands).toEqual(['rex_stop', 'rex_tail_set']);
+  expect(caps.version).toBe('a + b');
+  expect(intersectFirmwareCaps([])).toBe(DEFAULT_FIRMWARE_CAPS);
+});
+
+async function waitFor(cond, ms = 2000) {
+  const start = Date.now();
+  while (!cond()) {
+    if (Date.now() - start > ms) throw new Error('timed out');
+    await new Promise((r) => setTimeout(r, 5));
+  }
+}
@@ -0,0 +1,51 @@
+// src/modules/fleet/groupTransport.js
+// Several robots behind one Transport: every packet goes to every member, so
+// ControllerPanel, presets and choreography drive a group exactly like they
+// drive a single robot.
+//
+//   const all = createGroupTransport([rexA.transport, rexB.transport]);
+//   await tailSet(all, 0.8); // both tails move, each through its own calibration
+//
+// Callers calibrate against the transport they hold, and a group has no
+// profile of its own, so level packets arrive here logical and each member
+// applies its robot's calibration. Firmware capabilities for the group are
+// whatever the App records with setFirmwareCaps (see intersectFirmwareCaps).
+
+import { calibratePacket } from "../calibration/calibration";
+
+/** Send to every member at once; rejects with the first failure after all have settled. */
+async function fanOut(members, send) {
+  const results = await Promise.allSettled(members.map(send));
+  const failed = results.find((r) => r.status === "rejected");
+  if (failed) throw failed.reason;
+  return results.map((r) => r.value);
+}
+
+/**
+ * @param {import("../transport/transport").Transport[]} members
+ * @returns {import("../transport/transport").Transport & { members: object[] }}
+ */
+export function createGroupTransport(members) {
+  const list = [...members];
+  const every = (flag) => list.length > 0 && list.every((t) => t.capabilities?.[flag]);
+  return {
+    members: list,
+    capabilities: { kind: "group", rx: every("rx"), ack: every("ack"), reconnect: every("reconnect") },
+    // End-stop lines (rex_neck_left, ...) become level packets on calibrated members.
+    sendLine: (line) => fanOut(list, (t) => {
+      const pkt = calibratePacket(t, { cmd: String(line).trim() });
+      return pkt.level === undefined ? t.sendLine(line) : t.sendJson(pkt);
+    }),
+    sendJson: (obj) => fanOut(list, (t) => t.sendJson(calibratePacket(t, obj))),
+    // Resolves with the first member's reply once every member has acked.
+    request: (obj, opts) => fanOut(list, (t) => t.request(calibratePacket(t, obj), opts)).then((r) => r[0]),
+    // Never throws: a member that is down must not keep the others from stopping.
+    emergencyStop: () => Promise.all(list.map((t) => t.emergencyStop().catch(() => false))),
+    onMessage(fn) {
+      const offs = list.map((t) => t.onMessage(fn));
+      return () => offs.forEach((off) => off());
+    },
+    // Members belong to their robots; closing the group leaves them connected.
+    close: async () => {},
+  };
+}
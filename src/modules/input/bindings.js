@@ -0,0 +1,109 @@
+// src/modules/input/bindings.js
+// Keyboard + gamepad bindings for ControllerPanel, persisted per browser.
+// Space / Escape are reserved for the App's E‑STOP and can't be rebound.
+
+const STORAGE_KEY = "rex.inputBindings.v1";
+
+export const RESERVED_KEYS = new Set([" ", "Escape"]);
+
+/** Keyboard actions, in the order the settings UI lists them. */
+export const KEY_ACTIONS = [
+  { id: "up",       label: "Up / forward" },
+  { id: "down",     label: "Down / backward" },
+  { id: "left",     label: "Left" },
+  { id: "right",    label: "Right" },
+  { id: "panel1",   label: "Legs / Pelvis panel" },
+  { id: "panel2",   label: "Head / Neck panel" },
+  { id: "panel3",   label: "Tail / Spine panel" },
+  { id: "panel4",   label: "Full Body panel" },
+  { id: "cycleSub", label: "Cycle part" },
+];
+
+/** Gamepad buttons (standard mapping indices), in settings-UI order. */
+export const PAD_ACTIONS = [
+  { id: "mouthOpen",    label: "Mouth open" },
+  { id: "mouthClose",   label: "Mouth close" },
+  { id: "tailModifier", label: "Right stick → tail (hold)" },
+  { id: "estop",        label: "E‑STOP" },
+];
+
+export const DEFAULT_BINDINGS = {
+  keyboard: {
+    up: ["ArrowUp", "w"],
+    down: ["ArrowDown", "s"],
+    left: ["ArrowLeft", "a"],
+    right: ["ArrowRight", "d"],
+    panel1: ["1"],
+    panel2: ["2"],
+    panel3: ["3"],
+    panel4: ["4"],
+    cycleSub: ["Tab"],
+  },
+  gamepad: {
+    deadzone: 0.35,
+    leftStick: { x: 0, y: 1 },   // legs (or full body when that panel is selected)
+    rightStick: { x: 2, y: 3 },  // neck yaw; tail while tailModifier is held
+    mouthOpen: [0],              // A / Cross
+    mouthClose: [1],             // B / Circle
+    tailModifier: [5],           // RB / R1
+    estop: [8, 9],               // Back + Start
+  },
+};
+
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/** Stored bindings merged over the defaults (so new actions get a binding). */
+export function loadBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (!saved) return DEFAULT_BINDINGS;
+    return {
+      keyboard: { ...DEFAULT_BINDINGS.keyboard, ...saved.keyboard },
+      gamepad: { ...DEFAULT_BINDINGS.gamepad, ...saved.gamepad },
+    };
+  } catch {
+    return DEFAULT_BINDINGS;
+  }
+}
+
+export function saveBindings(bindings) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings)); } catch {}
+}
+
+export function resetBindings() {
+  try { localStorage.removeItem(STORAGE_KEY); } catch {}
+  return DEFAULT_BINDINGS;
+}
+
+/** Action id bound to a KeyboardEvent.key, or null. */
+export function actionForKey(bindings, key) {
+  const k = normalizeKey(key);
+  for (const [action, keys] of Object.entries(bindings.keyboard)) {
+    if (keys.some((b) => normalizeKey(b) === k)) return action;
+  }
+  return null;
+}
+
+/** Replace the keys bound to `action`; the key is removed from any other action. */
+export function bindKey(bindings, action, key) {
+  const k = normalizeKey(key);
+  const keyboard = {};
+  for (const [a, keys] of Object.entries(bindings.keyboard)) {
+    keyboard[a] = keys.filter((b) => normalizeKey(b) !== k);
+  }
+  keyboard[action] = [k];
+  return { ...bindings, keyboard };
+}
+
+/** Replace the gamepad buttons bound to `action`. */
+export function bindButton(bindings, action, button) {
+  return { ...bindings, gamepad: { ...bindings.gamepad, [action]: [button] } };
+}
+
+/** Human-readable key name for the settings UI. */
+export function keyLabel(key) {
+  const names = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+  return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
@@ -0,0 +1,55 @@
+// src/modules/input/gamepad.js
+// Gamepad API polling for ControllerPanel. Sticks become edge directions
+// ("up" | "down" | "left" | "right" | null); buttons become press edges.
+
+/** Dominant direction of a stick, or null inside the deadzone. */
+export function stickDirection(pad, { x, y }, deadzone) {
+  const ax = pad.axes[x] || 0;
+  const ay = pad.axes[y] || 0;
+  if (Math.max(Math.abs(ax), Math.abs(ay)) < deadzone) return null;
+  if (Math.abs(ax) > Math.abs(ay)) return ax < 0 ? "left" : "right";
+  return ay < 0 ? "up" : "down";
+}
+
+export function anyPressed(pad, buttons = []) {
+  return buttons.some((i) => pad.buttons[i]?.pressed);
+}
+
+/**
+ * Poll the first connected gamepad every animation frame while one is
+ * plugged in; `onFrame(pad)` gets the live Gamepad object, and `onFrame(null)`
+ * once when it goes away (unplugged or dead), so held inputs can be released.
+ * Returns a stop function.
+ */
+export function watchGamepad(onFrame) {
+  if (typeof navigator === "undefined" || typeof navigator.getGamepads !== "function") {
+    return () => {};
+  }
+  let raf = null;
+
+  const firstPad = () => [...navigator.getGamepads()].find(Boolean) || null;
+  const lost = () => {
+    if (raf) cancelAnimationFrame(raf);
+    raf = null;
+    onFrame(null);
+  };
+  const loop = () => {
+    const pad = firstPad();
+    if (!pad) return lost();
+    onFrame(pad);
+    raf = requestAnimationFrame(loop);
+  };
+  const start = () => { if (!raf) raf = requestAnimationFrame(loop); };
+  const onDisconnected = () => { if (raf && !firstPad()) lost(); };
+
+  window.addEventListener("gamepadconnected", start);
+  window.addEventListener("gamepaddisconnected", onDisconnected);
+  if (firstPad()) start();
+
+  return () => {
+    window.removeEventListener("gamepadconnected", start);
+    window.removeEventListener("gamepaddisconnected", onDisconnected);
+    if (raf) cancelAnimationFrame(raf);
+    raf = null;
+  };
+}
@@ -0,0 +1,62 @@
+import { stickDirection, watchGamepad } from './gamepad';
+
+let frames;
+let pads;
+const saved = {};
+
+beforeEach(() => {
+  frames = [];
+  pads = [];
+  for (const k of ['requestAnimationFrame', 'cancelAnimationFrame']) saved[k] = window[k];
+  window.requestAnimationFrame = (fn) => {
+    frames.push(fn);
+    return fn;
+  };
+  window.cancelAnimationFrame = (fn) => {
+    frames = frames.filter((f) => f !== fn);
+  };
+  navigator.getGamepads = () => pads;
+});
+
+afterEach(() => {
+  Object.assign(window, saved);
+  delete navigator.getGamepads;
+});
+
+const tick = () => frames.splice(0).forEach((fn) => fn());
+const pad = (axes) => ({ axes, buttons: [] });
+
+test('maps sticks to edge directions outside the deadzone', () => {
+  const stick = { x: 0, y: 1 };
+  expect(stickDirection(pad([0.1, -0.2]), stick, 0.3)).toBe(null);
+  expect(stickDirection(pad([-0.9, 0.2]), stick, 0.3)).toBe('left');
+  expect(stickDirection(pad([0.2, 0.8]), stick, 0.3)).toBe('down');
+});
+
+test('reports an unplugged pad once with null and stops polling', () => {
+  const onFrame = jest.fn();
+  pads = [null, pad([0, -1])];
+  const stop = watchGamepad(onFrame);
+  tick();
+  expect(onFrame).toHaveBeenLastCalledWith(pads[1]);
+
+  pads = [];
+  window.dispatchEvent(new Event('gamepaddisconnected'));
+  expect(onFrame).toHaveBeenLastCalledWith(null);
+  expect(frames).toHaveLength(0);
+  tick();
+  expect(onFrame.mock.calls.filter(([p]) => p === null)).toHaveLength(1);
+  stop();
+});
+
+test('a pad that disappears between frames is reported too', () => {
+  const onFrame = jest.fn();
+  pads = [pad([1, 0])];
+  const stop = watchGamepad(onFrame);
+  tick();
+  pads = [];
+  tick();
+  expect(onFrame.mock.calls.map(([p]) => p && 'pad')).toEqual(['pad', null]);
+  expect(frames).toHaveLength(0);
+  stop();
+});
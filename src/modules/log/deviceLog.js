@@ -0,0 +1,209 @@
+// src/modules/log/deviceLog.js
+// The device log: every packet sent (TX), every line received (RX) and the
+// app's own notes (system), as structured entries rather than strings.
+//
+//   { id: 42, at: 1712000000123, dir: "tx", severity: "info",
+//     cmd: "rex_tail_set", part: "tail", text: '{"cmd":"rex_tail_set","level":0.2}',
+//     payload: { cmd: "rex_tail_set", level: 0.2 }, meta: { source: "link" } }
+//
+//   const log = createDeviceLog();
+//   transport.onMessage(log.rx);
+//   log.tx({ cmd: "rex_stop" });
+//   log.system("BLE: link lost", "warning");
+//
+// Snapshots are immutable: every change makes a new entries array, so views
+// can memoize on it. filterSince() keeps a filtered view up to date by
+// testing only the entries appended since, not the whole (large) buffer.
+
+import { commandSpec } from "../commands/registry";
+
+export const DEFAULT_CAPACITY = 50_000;
+export const DIRS = ["tx", "rx", "system"];
+export const SEVERITIES = ["info", "warning", "error"];
+
+/** Part and command a payload addresses (control-form packets name the part directly). */
+function describe(payload) {
+  if (!payload || typeof payload !== "object") return { cmd: null, part: null };
+  if (typeof payload.cmd === "string") {
+    return { cmd: payload.cmd, part: commandSpec(payload.cmd)?.part ?? null };
+  }
+  if (payload.target && payload.part) {
+    return { cmd: payload.command ?? null, part: payload.part === "full" ? "legs" : payload.part };
+  }
+  return { cmd: null, part: null };
+}
+
+/** How serious an RX line is: rejected packets are errors, device events warnings. */
+function rxSeverity(json) {
+  if (!json) return "info";
+  if (json.ok === false || json.type === "error") return "error";
+  if (json.type === "event") return "warning";
+  return "info";
+}
+
+/** Build one entry (no id yet). `payload` is the parsed packet, if any. */
+export function makeEntry(dir, { text, payload = null, severity = "info", at = Date.now(), meta } = {}) {
+  const { cmd, part } = describe(payload);
+  return {
+    at,
+    dir,
+    severity,
+    cmd,
+    part,
+    text: text ?? (payload ? JSON.stringify(payload) : ""),
+    payload,
+    ...(meta ? { meta } : {}),
+  };
+}
+
+// ---------- filtering ----------
+
+/**
+ * @typedef {Object} LogFilter
+ * @property {string[]} [dirs]        directions to keep (default: all)
+ * @property {string} [minSeverity]   "info" | "warning" | "error"
+ * @property {string} [part]          registry part ("" = any)
+ * @property {string} [cmd]           exact command ("" = any)
+ * @property {string} [query]         case-insensitive substring of the text
+ * @property {boolean} [heartbeats]   keep rex_heartbeat TX (default true)
+ */
+
+/** A predicate for `filter` (built once, applied per entry). */
+export function entryMatcher({ dirs, minSeverity, part, cmd, query, heartbeats = true } = {}) {
+  const dirSet = dirs ? new Set(dirs) : null;
+  const minRank = minSeverity ? SEVERITIES.indexOf(minSeverity) : 0;
+  const needle = query ? query.toLowerCase() : "";
+  return (e) =>
+    (!dirSet || dirSet.has(e.dir)) &&
+    SEVERITIES.indexOf(e.severity) >= minRank &&
+    (!part || e.part === part) &&
+    (!cmd || e.cmd === cmd) &&
+    (heartbeats || e.cmd !== "rex_heartbeat") &&
+    (!needle || e.text.toLowerCase().includes(needle));
+}
+
+export function filterEntries(entries, filter) {
+  const match = entryMatcher(filter);
+  return entries.filter(match);
+}
+
+/**
+ * @typedef {Object} FilteredView
+ * @property {Function} match          the entryMatcher it was built with
+ * @property {number} lastId           newest entry id it has seen
+ * @property {Array<object>} entries   the matching entries, oldest first
+ */
+
+/**
+ * The entries matching `match`, carried over from `prev` (an earlier view of
+ * the same log) when the matcher is unchanged: evicted entries are dropped and
+ * only newer ones are tested. Returns `prev` itself if nothing changed.
+ * @returns {FilteredView}
+ */
+export function filterSince(prev, entries, match) {
+  const lastId = entries.length ? entries[entries.length - 1].id : 0;
+  if (!prev || prev.match !== match || lastId < prev.lastId) {
+    return { match, lastId, entries: entries.filter(match) };
+  }
+  if (lastId === prev.lastId) return prev;
+  const firstId = entries.length ? entries[0].id : Infinity;
+  let kept = 0;
+  while (kept < prev.entries.length && prev.entries[kept].id < firstId) kept++;
+  // Ids are consecutive, so the new entries are the last (lastId - prev.lastId).
+  const fresh = entries.slice(Math.max(0, entries.length - (lastId - prev.lastId))).filter(match);
+  return { match, lastId, entries: prev.entries.slice(kept).concat(fresh) };
+}
+
+// ---------- export ----------
+
+/** One JSON object per line; `payload` stays structured. */
+export function toJsonl(entries) {
+  return entries
+    .map((e) => JSON.stringify({ ...e, time: new Date(e.at).toISOString() }))
+    .join("\n") + (entries.length ? "\n" : "");
+}
+
+const CSV_COLUMNS = ["id", "time", "dir", "severity", "part", "cmd", "text"];
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Flat CSV (RFC 4180 quoting); the raw text column carries the payload. */
+export function toCsv(entries) {
+  const rows = entries.map((e) =>
+    CSV_COLUMNS.map((c) => csvCell(c === "time" ? new Date(e.at).toISOString() : e[c])).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+// ---------- store ----------
+
+/**
+ * @typedef {Object} LogSnapshot
+ * @property {Array<object>} entries  oldest first; a new array on every change
+ * @property {number} dropped         entries evicted by the capacity limit
+ */
+
+export function createDeviceLog({ capacity = DEFAULT_CAPACITY } = {}) {
+  let entries = [];
+  let nextId = 1;
+  let dropped = 0;
+  /** @type {LogSnapshot} */
+  let snapshot = { entries, dropped };
+  const listeners = new Set();
+
+  const changed = () => {
+    snapshot = { entries, dropped };
+    for (const fn of listeners) {
+      try { fn(snapshot); } catch {}
+    }
+  };
+
+  function append(entry) {
+    const e = { id: nextId++, ...entry };
+    entries = [...entries, e];
+    if (entries.length > capacity) {
+      // Evict in chunks so a full buffer isn't trimmed on every append.
+      const n = Math.max(entries.length - capacity, Math.ceil(capacity / 20));
+      entries = entries.slice(n);
+      dropped += n;
+    }
+    changed();
+    return e;
+  }
+
+  return {
+    append,
+    /** An outgoing packet (object or plain line). */
+    tx(packet, meta) {
+      const payload = typeof packet === "string" ? { cmd: packet.trim() } : packet;
+      const text = typeof packet === "string" ? packet.trim() : undefined;
+      return append(makeEntry("tx", { payload, text, meta }));
+    },
+    /** An RX message from transport.onMessage ({ raw, json, receivedAt }). */
+    rx(msg) {
+      return append(makeEntry("rx", {
+        text: msg?.raw ?? "",
+        payload: msg?.json ?? null,
+        severity: rxSeverity(msg?.json),
+        at: msg?.receivedAt ?? Date.now(),
+      }));
+    },
+    /** An app note (connects, E‑STOP, handshake results). */
+    system(text, severity = "info") {
+      return append(makeEntry("system", { text, severity }));
+    },
+    clear() {
+      entries = [];
+      dropped = 0;
+      changed();
+    },
+    getSnapshot: () => snapshot,
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
@@ -0,0 +1,89 @@
+import { createDeviceLog, entryMatcher, filterEntries, filterSince, toCsv, toJsonl } from './deviceLog';
+
+test('records TX, RX and system entries with part, command and severity', () => {
+  const log = createDeviceLog();
+  log.tx({ cmd: 'rex_tail_set', level: 0.2 });
+  log.tx('rex_mouth_open');
+  log.rx({ raw: '{"id":3,"ok":false,"error":"unknown command"}', json: { id: 3, ok: false, error: 'unknown command' }, receivedAt: 5 });
+  log.rx({ raw: 'booting', json: null, receivedAt: 6 });
+  const before = log.getSnapshot();
+  log.system('BLE: link lost', 'warning');
+
+  const { entries } = log.getSnapshot();
+  expect(before.entries).toHaveLength(4); // snapshots are never mutated
+  expect(entries.map((e) => [e.id, e.dir, e.severity, e.part, e.cmd])).toEqual([
+    [1, 'tx', 'info', 'tail', 'rex_tail_set'],
+    [2, 'tx', 'info', 'mouth', 'rex_mouth_open'],
+    [3, 'rx', 'error', null, null],
+    [4, 'rx', 'info', null, null],
+    [5, 'system', 'warning', null, null],
+  ]);
+  expect(entries[0].text).toBe('{"cmd":"rex_tail_set","level":0.2}');
+  expect(entries[1].text).toBe('rex_mouth_open');
+  expect(entries[2].at).toBe(5);
+});
+
+test('filters by direction, severity, part, command and search text', () => {
+  const log = createDeviceLog();
+  log.tx({ cmd: 'rex_tail_set', level: 0.2 });
+  log.tx({ cmd: 'rex_heartbeat', seq: 1 });
+  log.tx({ target: 'esp32', part: 'full', command: 'up', phase: 'start' });
+  log.rx({ raw: '{"type":"event","event":"deadman_halt"}', json: { type: 'event', event: 'deadman_halt' } });
+  log.system('Serial: connected');
+  const { entries } = log.getSnapshot();
+  const ids = (filter) => filterEntries(entries, filter).map((e) => e.id);
+
+  expect(ids({ dirs: ['tx'] })).toEqual([1, 2, 3]);
+  expect(ids({ dirs: ['tx'], heartbeats: false })).toEqual([1, 3]);
+  expect(ids({ minSeverity: 'warning' })).toEqual([4]);
+  expect(ids({ part: 'legs' })).toEqual([3]);
+  expect(ids({ cmd: 'rex_tail_set' })).toEqual([1]);
+  expect(ids({ query: 'DEADMAN' })).toEqual([4]);
+});
+
+test('keeps a filtered view up to date by testing only new entries', () => {
+  const log = createDeviceLog({ capacity: 40 });
+  const match = jest.fn(entryMatcher({ dirs: ['system'] }));
+  for (let i = 0; i < 30; i++) log.system(`line ${i}`);
+  log.tx('rex_roar');
+  let view = filterSince(null, log.getSnapshot().entries, match);
+  expect(view.entries).toHaveLength(30);
+  expect(filterSince(view, log.getSnapshot().entries, match)).toBe(view);
+
+  match.mockClear();
+  for (let i = 30; i < 45; i++) log.system(`line ${i}`);
+  view = filterSince(view, log.getSnapshot().entries, match);
+  expect(match).toHaveBeenCalledTimes(15);
+  expect(view.entries.map((e) => e.id)).toEqual(filterEntries(log.getSnapshot().entries, { dirs: ['system'] }).map((e) => e.id));
+
+  log.clear();
+  expect(filterSince(view, log.getSnapshot().entries, match).entries).toEqual([]);
+});
+
+test('evicts the oldest entries in chunks once full', () => {
+  const log = createDeviceLog({ capacity: 40 });
+  for (let i = 0; i < 45; i++) log.system(`line ${i}`);
+  const snap = log.getSnapshot();
+  expect(snap.entries.length).toBeLessThanOrEqual(40);
+  expect(snap.entries[snap.entries.length - 1].text).toBe('line 44');
+  expect(snap.dropped + snap.entries.length).toBe(45);
+
+  log.clear();
+  expect(log.getSnapshot()).toMatchObject({ entries: [], dropped: 0 });
+});
+
+test('exports JSONL and quoted CSV', () => {
+  const log = createDeviceLog();
+  log.tx({ cmd: 'rex_gait', mode: 'trot' });
+  log.system('Connect error: "busy", retry');
+  const { entries } = log.getSnapshot();
+
+  const lines = toJsonl(entries).trim().split('\n').map((l) => JSON.parse(l));
+  expect(lines[0]).toMatchObject({ id: 1, dir: 'tx', payload: { cmd: 'rex_gait', mode: 'trot' } });
+  expect(lines[0].time).toBe(new Date(entries[0].at).toISOString());
+
+  const rows = toCsv(entries).trim().split('\r\n');
+  expect(rows[0]).toBe('id,time,dir,severity,part,cmd,text');
+  expect(rows[1]).toMatch(/^1,[^,]+,tx,info,legs,rex_gait,"{""cmd"":""rex_gait"",""mode"":""trot""}"$/);
+  expect(rows[2]).toMatch(/,system,info,,,"Connect error: ""busy"", retry"$/);
+});
@@ -0,0 +1,68 @@
+// src/modules/macro/macroStore.js
+// Recorded macros in IndexedDB (database "rex", store "macros", keyed by id).
+// Every call opens its own short transaction; all return Promises.
+
+const DB_NAME = "rex";
+const DB_VERSION = 1;
+const STORE = "macros";
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available in this browser."));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/** Run `fn(store)` in one transaction; resolves with the request's result. */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** All macros, newest first. */
+export async function listMacros() {
+  const all = (await withStore("readonly", (s) => s.getAll())) || [];
+  return all.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function getMacro(id) {
+  return withStore("readonly", (s) => s.get(id));
+}
+
+/** Insert or replace (by id). */
+export async function saveMacro(macro) {
+  await withStore("readwrite", (s) => s.put(macro));
+  return macro;
+}
+
+export async function renameMacro(id, name) {
+  const macro = await getMacro(id);
+  if (!macro) throw new Error(`No macro "${id}".`);
+  return saveMacro({ ...macro, name: String(name).trim() || macro.name });
+}
+
+export async function deleteMacro(id) {
+  await withStore("readwrite", (s) => s.delete(id));
+}
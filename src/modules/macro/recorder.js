@@ -0,0 +1,166 @@
+// src/modules/macro/recorder.js
+// Record what the operator did in ControllerPanel (every start / hold / stop
+// packet from buildEspPacket, with its time since recording started) and
+// replay it through a transport with the same timing.
+//
+//   const rec = createRecorder();
+//   rec.start(); ...; rec.record("start", pkt); ...; const macro = rec.stop("Show opener");
+//   createReplayer(transport, macro, { speed: 2, loop: true }).play();
+//
+// Storage lives in ./macroStore.js (IndexedDB).
+
+import { sendJson } from "../transport/transport";
+import { calibratePacket } from "../calibration/calibration";
+import { createHeartbeat } from "../transport/heartbeat";
+import { stop } from "../Leg_Function";
+
+export const MACRO_VERSION = 1;
+
+/**
+ * @typedef {Object} MacroEvent
+ * @property {number} t        ms since recording started
+ * @property {"start"|"hold"|"stop"} phase
+ * @property {object} packet   exactly what was sent
+ *
+ * @typedef {Object} Macro
+ * @property {string} id
+ * @property {string} name
+ * @property {number} createdAt
+ * @property {number} duration   ms (recording length, not last event)
+ * @property {MacroEvent[]} events
+ */
+
+export function createRecorder() {
+  let startedAt = null;
+  let events = [];
+
+  return {
+    start() {
+      startedAt = Date.now();
+      events = [];
+    },
+    /** Ignored unless recording. */
+    record(phase, packet) {
+      if (startedAt === null) return;
+      events.push({ t: Date.now() - startedAt, phase, packet: { ...packet } });
+    },
+    /** Finish and return the macro (null if nothing was recording). */
+    stop(name) {
+      if (startedAt === null) return null;
+      const createdAt = Date.now();
+      const macro = {
+        id: `macro-${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+        name: name || `Recording ${new Date(createdAt).toLocaleString()}`,
+        createdAt,
+        duration: createdAt - startedAt,
+        events,
+      };
+      startedAt = null;
+      events = [];
+      return macro;
+    },
+    isRecording: () => startedAt !== null,
+  };
+}
+
+// ---------- JSON ----------
+
+export function serializeMacro(macro) {
+  return JSON.stringify({ version: MACRO_VERSION, ...macro }, null, 2);
+}
+
+/** Validate imported JSON (text or object); throws on anything unusable. */
+export function parseMacro(input) {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+  if (!data || !Array.isArray(data.events)) throw new Error("Not a macro: missing events.");
+  const events = data.events.map((e, i) => {
+    if (!e || !Number.isFinite(Number(e.t)) || !e.packet?.cmd) {
+      throw new Error(`Event ${i + 1}: needs a time and a packet with cmd.`);
+    }
+    return { t: Math.max(0, Number(e.t)), phase: e.phase || "start", packet: e.packet };
+  }).sort((a, b) => a.t - b.t);
+  const createdAt = Number(data.createdAt) || Date.now();
+  return {
+    id: String(data.id || `macro-${createdAt}`),
+    name: String(data.name || "Imported macro"),
+    createdAt,
+    duration: Math.max(Number(data.duration) || 0, events.length ? events[events.length - 1].t : 0),
+    events,
+  };
+}
+
+// ---------- replay ----------
+
+/**
+ * createReplayer(transport, macro, { speed = 1, loop = false, onStateChange, onProgress })
+ *   -> { play(), stop(), getState() }
+ *
+ * States: idle → playing → done | stopped. `play()` resolves with the final
+ * state. Every replay ends with a `stop`, so a recording cut mid-hold never
+ * leaves Rex walking.
+ */
+export function createReplayer(transport, macro, { speed = 1, loop = false, onStateChange, onProgress } = {}) {
+  const rate = Math.max(0.1, Number(speed) || 1);
+  const events = macro.events;
+  const heartbeat = createHeartbeat(transport);
+
+  let state = "idle";
+  let next = 0;
+  let loopStartedAt = 0;
+  let timer = null;
+  let finish = null;
+
+  const warn = (err) => console.warn("Macro send error:", err);
+
+  function setState(s) {
+    state = s;
+    try { onStateChange?.(s); } catch {}
+  }
+
+  function schedule() {
+    const elapsed = (Date.now() - loopStartedAt) * rate; // in recording time
+    while (next < events.length && events[next].t <= elapsed) {
+      // Recorded packets are logical, like the live panel's; the robot's calibration applies on the way out.
+      sendJson(transport, calibratePacket(transport, events[next++].packet)).catch(warn);
+    }
+    try { onProgress?.(Math.min(elapsed, macro.duration), macro.duration); } catch {}
+
+    if (next < events.length) {
+      timer = setTimeout(schedule, (events[next].t - elapsed) / rate);
+    } else if (elapsed < macro.duration) {
+      timer = setTimeout(schedule, (macro.duration - elapsed) / rate); // keep the trailing pause
+    } else if (loop && events.length) {
+      next = 0;
+      loopStartedAt = Date.now();
+      timer = setTimeout(schedule, 0);
+    } else {
+      end("done");
+    }
+  }
+
+  function end(final) {
+    clearTimeout(timer);
+    timer = null;
+    heartbeat.stop();
+    stop(transport).catch(warn);
+    setState(final);
+    finish?.(final);
+  }
+
+  return {
+    play() {
+      if (state === "playing") return Promise.resolve(state);
+      next = 0;
+      loopStartedAt = Date.now();
+      setState("playing");
+      heartbeat.start();
+      const done = new Promise((resolve) => { finish = resolve; });
+      schedule();
+      return done;
+    },
+    stop() {
+      if (state === "playing") end("stopped");
+    },
+    getState: () => state,
+  };
+}
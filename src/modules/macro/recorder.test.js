@@ -0,0 +1,69 @@
+import { createRecorder, createReplayer, parseMacro, serializeMacro } from './recorder';
+import { setCalibration } from '../calibration/calibration';
+import { fakeTransport } from '../../test-utils/fakeTransport';
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+function recordWalk() {
+  const rec = createRecorder();
+  rec.record('start', { cmd: 'rex_ignored' }); // not recording yet
+  rec.start();
+  rec.record('start', { cmd: 'rex_walk_forward' });
+  jest.advanceTimersByTime(200);
+  rec.record('stop', { cmd: 'rex_stop' });
+  jest.advanceTimersByTime(100);
+  return rec.stop('Walk');
+}
+
+test('records packets with times relative to the start', () => {
+  const macro = recordWalk();
+  expect(macro).toMatchObject({ name: 'Walk', duration: 300 });
+  expect(macro.events).toEqual([
+    { t: 0, phase: 'start', packet: { cmd: 'rex_walk_forward' } },
+    { t: 200, phase: 'stop', packet: { cmd: 'rex_stop' } },
+  ]);
+  expect(parseMacro(serializeMacro(macro))).toEqual(macro);
+});
+
+test('replays with the recorded timing scaled by speed, ending in stop', async () => {
+  const macro = recordWalk();
+  const t = fakeTransport();
+  const done = createReplayer(t, macro, { speed: 2 }).play();
+  expect(t.cmds()).toEqual(['rex_walk_forward']);
+  jest.advanceTimersByTime(99);
+  expect(t.cmds()).toEqual(['rex_walk_forward']);
+  jest.advanceTimersByTime(1);
+  expect(t.cmds()).toEqual(['rex_walk_forward', 'rex_stop']);
+  jest.advanceTimersByTime(50);
+  await expect(done).resolves.toBe('done');
+  expect(t.cmds()).toEqual(['rex_walk_forward', 'rex_stop', 'rex_stop']);
+});
+
+test('loops until stopped', async () => {
+  const macro = recordWalk();
+  const t = fakeTransport();
+  const replayer = createReplayer(t, macro, { loop: true });
+  const done = replayer.play();
+  jest.advanceTimersByTime(650);
+  expect(t.cmds().filter((c) => c === 'rex_walk_forward')).toHaveLength(3);
+  replayer.stop();
+  await expect(done).resolves.toBe('stopped');
+  expect(t.cmds().slice(-1)).toEqual(['rex_stop']);
+});
+
+test('replayed level packets go through the robot calibration', async () => {
+  const rec = createRecorder();
+  rec.start();
+  rec.record('start', { cmd: 'rex_tail_set', level: 1 });
+  const macro = rec.stop('Tail');
+  const t = fakeTransport();
+  setCalibration(t, { parts: { tail: { min: 0.2, max: 0.7 } } });
+
+  const done = createReplayer(t, macro).play();
+  jest.advanceTimersByTime(10);
+  await expect(done).resolves.toBe('done');
+  const levels = t.sent.filter((p) => p.cmd === 'rex_tail_set').map((p) => p.level);
+  expect(levels).toHaveLength(1);
+  expect(levels[0]).toBeCloseTo(0.7);
+});
@@ -0,0 +1,180 @@
+// src/modules/motion/smoother.js
+// Client-side motion smoother: turns a setpoint jump ("tail to 0.1") into a
+// stream of intermediate *_set commands following an easing curve, bounded by
+// per-part velocity / acceleration limits.
+//
+//   const smoother = createSmoother(transport, { getPose: () => pose.getSnapshot().commanded });
+//   await smoother.moveTo("tail", 0.1, { durationMs: 600, easing: "spring" });
+//
+// Link pacing: each part has at most one setpoint in flight. A tick that finds
+// the previous write still queued skips sending; the next free tick sends the
+// latest value. Same-cmd packets also coalesce in the write queue, so a slow
+// link sees fewer, larger steps instead of a backlog.
+
+import { POSABLE_PARTS } from "../commands/registry";
+import { setPartLevel } from "../commands/levels";
+
+export const DEFAULT_STEP_MS = 40;
+const EPSILON = 1e-3;
+
+/** Easing curves: t in 0..1 -> progress (spring overshoots, then settles at 1). */
+export const EASINGS = {
+  linear: (t) => t,
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  spring: (t) => (t >= 1 ? 1 : 1 - Math.exp(-5 * t) * Math.cos(2.5 * Math.PI * t)),
+};
+
+/** Smoothable parts (pose-model keys) -> setter. */
+export const SMOOTH_PARTS = Object.fromEntries(
+  POSABLE_PARTS.map(({ key }) => [key, (transport, level) => setPartLevel(transport, key, level)])
+);
+
+/** Level units (0..1) per second, and per second². Heavy joints move slower. */
+export const DEFAULT_LIMITS = {
+  pelvis:  { maxVelocity: 0.6, maxAccel: 2.5 },
+  spine:   { maxVelocity: 0.8, maxAccel: 3 },
+  neckYaw: { maxVelocity: 1.2, maxAccel: 6 },
+  tail:    { maxVelocity: 1.5, maxAccel: 8 },
+  mouth:   { maxVelocity: 3,   maxAccel: 20 },
+  posture: { maxVelocity: 0.5, maxAccel: 2 },
+};
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * createSmoother(transport, { getPose, initial, limits, stepMs })
+ *   -> { moveTo, moveMany, cancel, getLevel, isMoving, setLimits }
+ *
+ * Start levels come from `initial` or `getPose()` (the commanded pose), else 0.5.
+ * A new moveTo on a moving part retargets it from where it is, keeping its velocity.
+ */
+export function createSmoother(transport, { getPose, initial, limits, stepMs = DEFAULT_STEP_MS } = {}) {
+  const partLimits = Object.fromEntries(
+    Object.keys(SMOOTH_PARTS).map((p) => [p, { ...DEFAULT_LIMITS[p], ...limits?.[p] }])
+  );
+  // part -> { level, velocity, sent, inFlight, move }
+  const parts = new Map();
+  let timer = null;
+
+  const warn = (err) => console.warn("Smoother send error:", err);
+
+  function stateOf(part) {
+    if (!SMOOTH_PARTS[part]) throw new Error(`Unknown part "${part}".`);
+    if (!parts.has(part)) {
+      const level = Number(initial?.[part] ?? getPose?.()?.[part] ?? 0.5);
+      parts.set(part, { level, velocity: 0, sent: level, inFlight: false, move: null });
+    }
+    return parts.get(part);
+  }
+
+  function send(part, s) {
+    s.inFlight = true;
+    s.sent = s.level;
+    SMOOTH_PARTS[part](transport, clamp(s.level, 0, 1))
+      .catch(warn)
+      .finally(() => { s.inFlight = false; });
+  }
+
+  function step(part, s, dt) {
+    const m = s.move;
+    const t = m.durationMs > 0 ? clamp((Date.now() - m.startedAt) / m.durationMs, 0, 1) : 1;
+    const desired = m.from + (m.to - m.from) * m.ease(t);
+    const { maxVelocity, maxAccel } = partLimits[part];
+
+    let v = (desired - s.level) / dt;
+    v = clamp(v, s.velocity - maxAccel * dt, s.velocity + maxAccel * dt);
+    v = clamp(v, -maxVelocity, maxVelocity);
+    let next = s.level + v * dt;
+    // Don't let the acceleration limit carry a finished move past its target.
+    if (t >= 1 && (next - m.to) * (s.level - m.to) <= 0) {
+      next = m.to;
+      v = 0;
+    }
+    s.level = next;
+    s.velocity = v;
+    return t >= 1 && Math.abs(s.level - m.to) < EPSILON;
+  }
+
+  function tick() {
+    const dt = stepMs / 1000;
+    for (const [part, s] of parts) {
+      if (s.move && step(part, s, dt)) {
+        s.level = s.move.to;
+        s.velocity = 0;
+        s.move.arrived = true;
+      }
+      const dirty = Math.abs(s.level - s.sent) >= EPSILON / 10;
+      if (dirty && !s.inFlight) send(part, s);
+      // A move settles only once its final value is actually on the wire.
+      if (s.move?.arrived && !dirty && !s.inFlight) {
+        const { resolve } = s.move;
+        s.move = null;
+        resolve("done");
+      }
+    }
+    const busy = [...parts.values()].some((s) => s.move || s.inFlight);
+    if (!busy) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  function ensureTicking() {
+    if (!timer) timer = setInterval(tick, stepMs);
+  }
+
+  function cancelPart(s) {
+    if (!s.move) return;
+    const { resolve } = s.move;
+    s.move = null;
+    s.velocity = 0;
+    resolve("cancelled");
+  }
+
+  return {
+    /** Glide `part` to `level`; resolves "done" or "cancelled". */
+    moveTo(part, level, { durationMs = 300, easing = "easeInOut" } = {}) {
+      const s = stateOf(part);
+      if (s.move) {
+        // Retarget: keep the current level and velocity.
+        s.move.resolve("cancelled");
+        s.move = null;
+      } else if (!s.inFlight) {
+        // An idle part may have been set directly since (slider, preset jump): resync.
+        const seen = getPose?.()?.[part];
+        if (Number.isFinite(seen)) {
+          s.level = s.sent = seen;
+          s.velocity = 0;
+        }
+      }
+      const ease = EASINGS[easing] || EASINGS.easeInOut;
+      return new Promise((resolve) => {
+        s.move = { from: s.level, to: clamp(Number(level), 0, 1), startedAt: Date.now(), durationMs, ease, resolve };
+        ensureTicking();
+        tick(); // first step goes out now, not one tick late
+      });
+    },
+    /** moveTo for several parts at once ({ tail: 0.2, mouth: 1 }); resolves when all settle. */
+    moveMany(targets, opts) {
+      return Promise.all(
+        Object.entries(targets)
+          .filter(([part]) => SMOOTH_PARTS[part])
+          .map(([part, level]) => this.moveTo(part, level, opts))
+      ).then((results) => (results.every((r) => r === "done") ? "done" : "cancelled"));
+    },
+    /** Stop moving (one part, or all); parts hold where they are. */
+    cancel(part) {
+      if (part) {
+        if (parts.has(part)) cancelPart(parts.get(part));
+        return;
+      }
+      for (const s of parts.values()) cancelPart(s);
+    },
+    getLevel: (part) => stateOf(part).level,
+    isMoving: (part) => (part ? Boolean(parts.get(part)?.move) : [...parts.values()].some((s) => s.move)),
+    setLimits(part, patch) {
+      stateOf(part);
+      partLimits[part] = { ...partLimits[part], ...patch };
+    },
+  };
+}
@@ -0,0 +1,65 @@
+import { EASINGS, createSmoother } from './smoother';
+import { fakeTransport } from '../../test-utils/fakeTransport';
+
+/** Advance fake time tick by tick, letting send promises settle in between. */
+async function run(ms, stepMs = 40) {
+  for (let t = 0; t < ms; t += stepMs) {
+    jest.advanceTimersByTime(stepMs);
+    for (let i = 0; i < 10; i++) await Promise.resolve();
+  }
+}
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('easings start at 0 and settle at 1', () => {
+  for (const ease of Object.values(EASINGS)) {
+    expect(ease(0)).toBeCloseTo(0);
+    expect(ease(1)).toBe(1);
+  }
+  expect(Math.max(...[0.5, 0.6, 0.7, 0.8].map(EASINGS.spring))).toBeGreaterThan(1); // overshoots
+});
+
+test('streams intermediate setpoints within the velocity limit and lands on target', async () => {
+  const t = fakeTransport();
+  const smoother = createSmoother(t, { initial: { tail: 0 }, limits: { tail: { maxVelocity: 1, maxAccel: 100 } } });
+  const done = smoother.moveTo('tail', 1, { durationMs: 200, easing: 'linear' });
+  await run(1400);
+  await expect(done).resolves.toBe('done');
+
+  const levels = t.sent.map((p) => p.level);
+  expect(levels[levels.length - 1]).toBe(1);
+  expect(levels.length).toBeGreaterThan(10); // 1 unit at 1/s ≈ 25 steps, not one jump
+  for (let i = 1; i < levels.length; i++) {
+    expect(levels[i] - levels[i - 1]).toBeLessThanOrEqual(0.04 + 1e-9);
+  }
+});
+
+test('keeps one setpoint per part in flight and sends the latest once the link frees up', async () => {
+  const t = fakeTransport({ hold: true });
+  const smoother = createSmoother(t, { initial: { mouth: 0 } });
+  const done = smoother.moveTo('mouth', 1, { durationMs: 100, easing: 'linear' });
+  await run(400);
+  expect(t.sent).toHaveLength(1);
+
+  t.release();
+  await run(80);
+  expect(t.sent.map((p) => p.level)).toEqual([expect.any(Number), 1]);
+  t.release();
+  await run(80);
+  await expect(done).resolves.toBe('done');
+});
+
+test('cancel holds parts where they are', async () => {
+  const t = fakeTransport();
+  const smoother = createSmoother(t, { initial: { spine: 0.5 } });
+  const done = smoother.moveTo('spine', 1, { durationMs: 1000 });
+  await run(200);
+  smoother.cancel();
+  await expect(done).resolves.toBe('cancelled');
+  await run(40); // the level it stopped at still goes out
+  const count = t.sent.length;
+  await run(200);
+  expect(t.sent).toHaveLength(count);
+  expect(smoother.isMoving()).toBe(false);
+});
@@ -0,0 +1,200 @@
+// src/modules/pose/poseModel.js
+// Client-side model of Rex's pose: what we *commanded* (from TX packets) and
+// what the firmware *reported* (from telemetry). The same command table drives
+// the simulator (../sim/mockRex.js), so the two can't drift apart.
+//
+//   const pose = createPoseTracker();
+//   pose.applyTx({ cmd: "rex_tail_set", level: 0.2 });       // commanded
+//   pose.applyRx({ json: { type: "telemetry", pose: {...} } }); // reported
+//   pose.subscribe(() => render(pose.getSnapshot()));
+
+const clamp01 = (v) => Math.max(0, Math.min(1, Number(v)));
+export const STEP = 0.1; // up/down style commands move a part by this much
+
+/** Parts reported as 0..1 levels (0.5 = neutral, mouth 0 = closed). */
+export const LEVEL_PARTS = ["pelvis", "spine", "tail", "neckYaw", "head", "mouth", "posture"];
+
+export function initialPose() {
+  return {
+    pelvis: 0.5,
+    spine: 0.5,
+    tail: 0.5,
+    neckYaw: 0.5,
+    head: 0.5,
+    mouth: 0,
+    posture: 0.5,
+    gait: { mode: "walk", speed: 0.7, stride: 0.6, lift: 0.4 },
+    walking: { state: "idle", speed: 0, rate: 0 },
+    tailWag: false,
+    roaring: false,
+  };
+}
+
+/** Parse one TX line: JSON packets as-is, plain lines as { cmd }. */
+export function parseLine(line) {
+  const text = String(line).trim();
+  if (text[0] === "{") {
+    try { return JSON.parse(text); } catch { return { malformed: text }; }
+  }
+  return { cmd: text };
+}
+
+/** Map the { target, part, command, phase } control form onto a cmd packet. */
+export function fromControl({ part, command, phase }) {
+  if (phase === "stop") return { cmd: "rex_stop" };
+  const walk = { up: "rex_walk_forward", down: "rex_walk_backward", left: "rex_turn_left", right: "rex_turn_right" };
+  if (part === "full" || part === "legs") return { cmd: walk[command] || `rex_${command}` };
+  return { cmd: `rex_${part}_${command}` };
+}
+
+/** Any outgoing packet (line, cmd packet or control form) as a cmd packet. */
+export function normalizePacket(pkt) {
+  if (typeof pkt === "string") pkt = parseLine(pkt);
+  if (pkt && !pkt.cmd && pkt.target && pkt.part) return { ...fromControl(pkt), id: pkt.id };
+  return pkt || {};
+}
+
+// ---------- command table: cmd -> (pose, packet) => pose ----------
+
+const setPart = (pose, key, v) => ({ ...pose, [key]: clamp01(v) });
+const nudge = (pose, key, d) => setPart(pose, key, pose[key] + Number(d || 0));
+const walk = (pose, state, speed = 0, rate = 0) =>
+  ({ ...pose, walking: { state, speed: clamp01(speed), rate: clamp01(rate) } });
+const halt = (pose) => ({ ...walk(pose, "idle"), tailWag: false, roaring: false });
+const setGait = (pose, patch) => ({ ...pose, gait: { ...pose.gait, ...patch } });
+
+const COMMANDS = {
+  rex_walk_forward: (s, p) => walk(s, "forward", p.speed ?? 1),
+  rex_walk_backward: (s, p) => walk(s, "backward", p.speed ?? 1),
+  rex_turn_left: (s, p) => walk(s, "turn_left", 0, p.rate ?? 0.6),
+  rex_turn_right: (s, p) => walk(s, "turn_right", 0, p.rate ?? 0.6),
+  rex_run: (s, p) => walk(s, "run", Math.min(1, (p.factor ?? 1.5) / 3)),
+  rex_stop: (s) => walk(s, "idle"),
+  rex_stop_all: halt,
+  rex_estop: halt,
+
+  rex_gait: (s, { cmd, id, ...gait }) => setGait(s, gait),
+  rex_speed_adjust: (s, p) => setGait(s, { speed: clamp01(s.gait.speed + Number(p.delta || 0)) }),
+  rex_stride_set: (s, p) => setGait(s, { stride: clamp01(p.value) }),
+  rex_posture: (s, p) => setPart(s, "posture", p.level),
+
+  rex_pelvis_up: (s) => nudge(s, "pelvis", STEP),
+  rex_pelvis_down: (s) => nudge(s, "pelvis", -STEP),
+  rex_pelvis_set: (s, p) => setPart(s, "pelvis", p.level),
+  rex_pelvis_nudge: (s, p) => nudge(s, "pelvis", p.delta),
+
+  rex_spine_up: (s) => nudge(s, "spine", STEP),
+  rex_spine_down: (s) => nudge(s, "spine", -STEP),
+  rex_spine_set: (s, p) => setPart(s, "spine", p.level),
+  rex_spine_nudge: (s, p) => nudge(s, "spine", p.delta),
+
+  rex_tail_left: (s) => setPart(s, "tail", 0),
+  rex_tail_right: (s) => setPart(s, "tail", 1),
+  rex_tail_center: (s) => setPart(s, "tail", 0.5),
+  rex_tail_set: (s, p) => setPart(s, "tail", p.level),
+  rex_tail_wag: (s) => ({ ...s, tailWag: true }),
+
+  rex_neck_left: (s) => nudge(s, "neckYaw", -STEP),
+  rex_neck_right: (s) => nudge(s, "neckYaw", STEP),
+  rex_neck_center: (s) => setPart(s, "neckYaw", 0.5),
+  rex_neck_yaw_set: (s, p) => setPart(s, "neckYaw", p.level),
+
+  rex_head_up: (s) => nudge(s, "head", STEP),
+  rex_head_down: (s) => nudge(s, "head", -STEP),
+
+  rex_mouth_open: (s) => setPart(s, "mouth", 1),
+  rex_mouth_close: (s) => setPart(s, "mouth", 0),
+  rex_mouth_set: (s, p) => setPart(s, "mouth", p.level),
+
+  rex_roar: (s) => ({ ...s, roaring: true, mouth: 1 }),
+};
+
+/** True if `cmd` changes the pose (heartbeats, hello, ... don't). */
+export function isPoseCommand(cmd) {
+  return Object.prototype.hasOwnProperty.call(COMMANDS, cmd);
+}
+
+/** Apply one cmd packet; returns the same pose object if it doesn't move anything. */
+export function applyCommand(pose, pkt) {
+  const fn = pkt && isPoseCommand(pkt.cmd) ? COMMANDS[pkt.cmd] : null;
+  return fn ? fn(pose, pkt) : pose;
+}
+
+/**
+ * Merge a (possibly partial) telemetry pose. Unknown keys are ignored and
+ * levels are clamped, so a chatty firmware can't break the renderer.
+ */
+export function applyTelemetry(pose, reported) {
+  if (!reported || typeof reported !== "object") return pose;
+  const next = { ...pose };
+  for (const key of LEVEL_PARTS) {
+    if (reported[key] != null && Number.isFinite(Number(reported[key]))) next[key] = clamp01(reported[key]);
+  }
+  if (reported.gait && typeof reported.gait === "object") next.gait = { ...pose.gait, ...reported.gait };
+  if (reported.walking && typeof reported.walking === "object") next.walking = { ...pose.walking, ...reported.walking };
+  if (typeof reported.tailWag === "boolean") next.tailWag = reported.tailWag;
+  if (typeof reported.roaring === "boolean") next.roaring = reported.roaring;
+  return next;
+}
+
+const samePose = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// ---------- tracker: commanded + reported pose as a subscribable store ----------
+
+/**
+ * @typedef {Object} PoseSnapshot
+ * @property {object}      commanded   pose implied by everything we sent
+ * @property {object|null} reported    last telemetry pose (null until the firmware reports)
+ * @property {number|null} reportedAt  ms timestamp of that telemetry
+ */
+
+export function createPoseTracker() {
+  /** @type {PoseSnapshot} */
+  let snapshot = { commanded: initialPose(), reported: null, reportedAt: null };
+  const listeners = new Set();
+
+  const update = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    for (const fn of listeners) {
+      try { fn(snapshot); } catch {}
+    }
+  };
+
+  return {
+    /** Outgoing packet or line (wire it to tapTransport). */
+    applyTx(pkt) {
+      const next = applyCommand(snapshot.commanded, normalizePacket(pkt));
+      // Hold repeats re-send the same command; only notify on real changes.
+      if (next !== snapshot.commanded && !samePose(next, snapshot.commanded)) update({ commanded: next });
+    },
+    /** RX message ({ raw, json, receivedAt }): telemetry and firmware halts. */
+    applyRx(msg) {
+      const json = msg?.json;
+      if (!json) return;
+      if (json.type === "telemetry" && json.pose) {
+        update({
+          reported: applyTelemetry(snapshot.reported || initialPose(), json.pose),
+          reportedAt: msg.receivedAt ?? Date.now(),
+        });
+      } else if (json.type === "event" && json.event === "deadman_halt") {
+        // The firmware stopped on its own; what we commanded no longer holds.
+        update({
+          commanded: halt(snapshot.commanded),
+          reported: snapshot.reported && halt(snapshot.reported),
+        });
+      }
+    },
+    /** Forget telemetry (link lost); the commanded pose is kept. */
+    clearReported() {
+      if (snapshot.reported) update({ reported: null, reportedAt: null });
+    },
+    reset() {
+      update({ commanded: initialPose(), reported: null, reportedAt: null });
+    },
+    getSnapshot: () => snapshot,
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
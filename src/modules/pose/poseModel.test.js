@@ -0,0 +1,44 @@
+import { applyTelemetry, createPoseTracker, initialPose } from './poseModel';
+import { tapTransport } from '../transport/tap';
+
+test('tracks the commanded pose from tapped TX packets and lines', async () => {
+  const pose = createPoseTracker();
+  const sent = [];
+  const transport = tapTransport(
+    { sendLine: async (l) => sent.push(l), sendJson: async (o) => sent.push(o), emergencyStop: async () => true },
+    pose.applyTx
+  );
+  await transport.sendJson({ cmd: 'rex_tail_set', level: 0.2 });
+  await transport.sendLine('rex_mouth_open');
+  await transport.sendJson({ target: 'rex', part: 'legs', command: 'up', phase: 'start' });
+  expect(pose.getSnapshot().commanded).toMatchObject({ tail: 0.2, mouth: 1, walking: { state: 'forward' } });
+
+  await transport.emergencyStop();
+  expect(pose.getSnapshot().commanded.walking.state).toBe('idle');
+  expect(sent).toHaveLength(3); // the tap only observes
+});
+
+test('only notifies subscribers when the pose actually changes', () => {
+  const pose = createPoseTracker();
+  const seen = jest.fn();
+  pose.subscribe(seen);
+  pose.applyTx({ cmd: 'rex_walk_forward', speed: 0.5 });
+  pose.applyTx({ cmd: 'rex_walk_forward', speed: 0.5 });
+  pose.applyTx({ cmd: 'rex_heartbeat', seq: 1 });
+  expect(seen).toHaveBeenCalledTimes(1);
+});
+
+test('merges partial, clamped telemetry into the reported pose', () => {
+  const pose = createPoseTracker();
+  pose.applyRx({ json: { type: 'telemetry', pose: { pelvis: 1.4, bogus: 3, walking: { state: 'forward' } } }, receivedAt: 42 });
+  const snap = pose.getSnapshot();
+  expect(snap.reported).toMatchObject({ pelvis: 1, spine: 0.5, walking: { state: 'forward' } });
+  expect(snap.reported.bogus).toBeUndefined();
+  expect(snap.reportedAt).toBe(42);
+
+  pose.applyRx({ json: { type: 'event', event: 'deadman_halt' } });
+  expect(pose.getSnapshot().reported.walking.state).toBe('idle');
+  pose.clearReported();
+  expect(pose.getSnapshot().reported).toBeNull();
+  expect(applyTelemetry(initialPose(), null)).toEqual(initialPose());
+});
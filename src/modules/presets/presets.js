@@ -0,0 +1,107 @@
+// src/modules/presets/presets.js
+// Named whole-body poses ("stalking", "roaring", ...). A preset is a target
+// level for each posable part; applying it sends the parts' *_set commands
+// through the body-part modules, optionally interpolated over a transition.
+//
+//   const run = applyPreset(transport, findPreset(presets, "stalking"), { smoother, durationMs: 800 });
+//   await run.done;   // or run.cancel()
+//
+// Built-ins ship with the app; custom presets are saved per browser.
+
+import { POSABLE_PARTS } from "../commands/registry";
+import { setPartLevel } from "../commands/levels";
+import { createSmoother } from "../motion/smoother";
+
+const STORAGE_KEY = "rex.posePresets.v1";
+
+/** Posable parts: preset key (= pose-model key) -> setter. */
+export const PRESET_PARTS = POSABLE_PARTS.map((p) => ({
+  ...p,
+  set: (transport, level) => setPartLevel(transport, p.key, level),
+}));
+
+export const BUILTIN_PRESETS = [
+  { id: "neutral",  name: "Neutral",  builtin: true, targets: { pelvis: 0.5,  spine: 0.5,  neckYaw: 0.5, tail: 0.5, mouth: 0,   posture: 0.5 } },
+  { id: "stalking", name: "Stalking", builtin: true, targets: { pelvis: 0.3,  spine: 0.35, neckYaw: 0.5, tail: 0.5, mouth: 0.1, posture: 0.3 } },
+  { id: "roaring",  name: "Roaring",  builtin: true, targets: { pelvis: 0.65, spine: 0.75, neckYaw: 0.5, tail: 0.6, mouth: 1,   posture: 0.7 } },
+  { id: "resting",  name: "Resting",  builtin: true, targets: { pelvis: 0.15, spine: 0.3,  neckYaw: 0.5, tail: 0.5, mouth: 0,   posture: 0.1 } },
+  { id: "alert",    name: "Alert",    builtin: true, targets: { pelvis: 0.6,  spine: 0.6,  neckYaw: 0.5, tail: 0.5, mouth: 0.2, posture: 0.65 } },
+];
+
+const clamp01 = (v) => Math.max(0, Math.min(1, Number(v)));
+
+/** Targets for every part, taken from a pose-model pose (see ../pose/poseModel.js). */
+export function targetsFromPose(pose) {
+  return Object.fromEntries(PRESET_PARTS.map(({ key }) => [key, clamp01(pose?.[key] ?? 0.5)]));
+}
+
+// ---------- custom presets (localStorage) ----------
+
+export function loadCustomPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter((p) => p && p.id && p.targets) : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeCustomPresets(presets) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(presets)); } catch {}
+}
+
+/** Built-ins first, then custom presets. */
+export function loadPresets() {
+  return [...BUILTIN_PRESETS, ...loadCustomPresets()];
+}
+
+/** Save (or overwrite, by name) a custom preset; returns the new preset list. */
+export function saveCustomPreset(name, targets) {
+  const clean = String(name).trim();
+  if (!clean) throw new Error("Preset name is required.");
+  if (BUILTIN_PRESETS.some((p) => p.name.toLowerCase() === clean.toLowerCase())) {
+    throw new Error(`"${clean}" is a built-in preset.`);
+  }
+  const custom = loadCustomPresets().filter((p) => p.name.toLowerCase() !== clean.toLowerCase());
+  custom.push({ id: `custom-${Date.now()}`, name: clean, targets: targetsFromPose(targets) });
+  storeCustomPresets(custom);
+  return loadPresets();
+}
+
+export function deleteCustomPreset(id) {
+  storeCustomPresets(loadCustomPresets().filter((p) => p.id !== id));
+  return loadPresets();
+}
+
+export function findPreset(presets, idOrName) {
+  const key = String(idOrName).toLowerCase();
+  return presets.find((p) => p.id === idOrName || p.name.toLowerCase() === key) || null;
+}
+
+// ---------- apply ----------
+
+/**
+ * Send a preset. With `durationMs` > 0 the parts glide there through the motion
+ * smoother (../motion/smoother.js: easing + per-part limits). Pass the app's
+ * `smoother` so moves continue from where parts are; otherwise a private one
+ * starts from `from` (a pose).
+ * Returns { done: Promise<"done"|"cancelled">, cancel() }.
+ */
+export function applyPreset(transport, preset, { from, durationMs = 0, easing = "easeInOut", smoother } = {}) {
+  const target = targetsFromPose(preset.targets);
+
+  if (!(durationMs > 0)) {
+    const warn = (err) => console.warn("Preset send error:", err);
+    smoother?.cancel();
+    for (const { key, set } of PRESET_PARTS) set(transport, target[key]).catch(warn);
+    return { done: Promise.resolve("done"), cancel() {} };
+  }
+
+  const s = smoother || createSmoother(transport, { initial: from && targetsFromPose(from) });
+  return {
+    done: s.moveMany(target, { durationMs, easing }),
+    cancel() {
+      for (const { key } of PRESET_PARTS) s.cancel(key);
+    },
+  };
+}
@@ -0,0 +1,41 @@
+import { applyPreset, deleteCustomPreset, findPreset, loadPresets, saveCustomPreset } from './presets';
+import { fakeTransport } from '../../test-utils/fakeTransport';
+
+const levelOf = (sent, cmd) => sent.filter((p) => p.cmd === cmd).map((p) => p.level);
+
+beforeEach(() => localStorage.clear());
+
+test('applies every part at once without a transition', async () => {
+  const t = fakeTransport();
+  const run = applyPreset(t, findPreset(loadPresets(), 'roaring'));
+  await expect(run.done).resolves.toBe('done');
+  expect(t.cmds()).toEqual([ // registry order
+    'rex_posture', 'rex_pelvis_set', 'rex_spine_set', 'rex_tail_set', 'rex_neck_yaw_set', 'rex_mouth_set',
+  ]);
+  expect(levelOf(t.sent, 'rex_mouth_set')).toEqual([1]);
+});
+
+test('glides from the current pose over the transition', async () => {
+  jest.useFakeTimers();
+  const t = fakeTransport();
+  const run = applyPreset(t, findPreset(loadPresets(), 'stalking'), { from: { mouth: 1 }, durationMs: 200 });
+  for (let i = 0; i < 100; i++) {
+    jest.advanceTimersByTime(40);
+    await Promise.resolve();
+  }
+  await expect(run.done).resolves.toBe('done');
+  const mouth = levelOf(t.sent, 'rex_mouth_set');
+  expect(mouth.length).toBeGreaterThan(2);
+  expect(mouth[mouth.length - 1]).toBe(0.1);
+  expect([...mouth].sort((a, b) => b - a)).toEqual(mouth); // closes steadily
+  jest.useRealTimers();
+});
+
+test('saves custom presets from a pose and deletes them', () => {
+  const presets = saveCustomPreset(' Lurk ', { pelvis: 0.2, tail: 0.9, extra: 1 });
+  const lurk = findPreset(presets, 'lurk');
+  expect(lurk.targets).toMatchObject({ pelvis: 0.2, tail: 0.9, spine: 0.5 });
+  expect(lurk.targets.extra).toBeUndefined();
+  expect(() => saveCustomPreset('Neutral', {})).toThrow(/built-in/);
+  expect(findPreset(deleteCustomPreset(lurk.id), 'lurk')).toBeNull();
+});
@@ -0,0 +1,200 @@
+// src/modules/serial/serialClient.js
+// Web Serial (USB) link to the ESP32 — same surface as ../ble/bleClient.js
+// so the App and ControllerPanel don't care which wire they are driving.
+
+import { createLineReader } from "../transport/lineReader";
+import { createRequestTracker } from "../transport/requests";
+import { ESTOP_PACKET, WriteQueue, packetQueueHints } from "../transport/writeQueue";
+import { linkDebug } from "../transport/debug";
+
+const DEFAULT_BAUD = 115200;
+
+let port, reader, readDone;
+let closing = false;
+const messageHandlers = new Set();
+const disconnectHandlers = new Set();
+const stateHandlers = new Set();
+const requests = createRequestTracker((packet) => sendJson(packet)); // request()/ack correlation
+const rxReader = createLineReader(dispatchMessage);
+
+// idle ──connect()──▶ connecting ──▶ connected ──(unplugged / disconnect())──▶ idle
+let state = { status: "idle", attempt: 0, maxAttempts: 0, error: null };
+
+function setState(patch) {
+  state = { ...state, ...patch };
+  for (const fn of stateHandlers) {
+    try { fn(state); } catch {}
+  }
+}
+
+// Writes are serialized: only one writer may hold the stream lock at a time.
+const writeQueue = new WriteQueue({ maxInFlight: 1 });
+
+// -------------------------------------------------------------------------------
+
+/**
+ * Ask the user for a serial port and open it.
+ * `filters` narrows the chooser (e.g. [{ usbVendorId: 0x303a }] for Espressif).
+ */
+export async function connect({ baudRate = DEFAULT_BAUD, filters = [] } = {}) {
+  if (!navigator.serial) throw new Error("Web Serial not supported in this browser.");
+
+  setState({ status: "connecting", error: null });
+  try {
+    port = await navigator.serial.requestPort({ filters });
+    await port.open({ baudRate });
+  } catch (err) {
+    port = undefined;
+    setState({ status: "idle", error: String(err?.message || err) });
+    throw err;
+  }
+
+  closing = false;
+  navigator.serial.addEventListener("disconnect", handleSerialDisconnect);
+  readDone = readLoop();
+
+  setState({ status: "connected", error: null });
+  linkDebug(`✅ Serial connected @ ${baudRate} baud`);
+  return { port };
+}
+
+export async function disconnect() {
+  closing = true;
+  try { await reader?.cancel(); } catch {}
+  try { await readDone; } catch {}
+  try { await port?.close(); } catch {}
+  cleanupRefs();
+  writeQueue.clear();
+  requests.rejectAll();
+  setState({ status: "idle", error: null });
+  linkDebug("🔌 Serial disconnected");
+}
+
+export function isConnected() {
+  return !!(port && port.writable && state.status === "connected");
+}
+
+/** Serial ports have no name; the USB vendor:product id stands in for one. */
+export function getDeviceName() {
+  if (!port) return null;
+  const { usbVendorId, usbProductId } = port.getInfo?.() || {};
+  const hex = (n) => n.toString(16).padStart(4, "0");
+  return usbVendorId ? `USB ${hex(usbVendorId)}:${hex(usbProductId || 0)}` : "USB serial";
+}
+
+/** Current connection state: { status, attempt, maxAttempts, error }. */
+export function getState() {
+  return state;
+}
+
+/** Subscribe to connection state changes (called immediately); returns an unsubscribe function. */
+export function onStateChange(fn) {
+  stateHandlers.add(fn);
+  try { fn(state); } catch {}
+  return () => stateHandlers.delete(fn);
+}
+
+/** Subscribe to RX lines ({ raw, json, receivedAt }); returns an unsubscribe function. */
+export function onMessage(fn) {
+  messageHandlers.add(fn);
+  return () => messageHandlers.delete(fn);
+}
+
+/** Subscribe to disconnect event; returns an unsubscribe function. */
+export function onDisconnect(fn) {
+  disconnectHandlers.add(fn);
+  return () => disconnectHandlers.delete(fn);
+}
+
+/** Low-level line send with newline framing, serialized via queue (see writeQueue.js). */
+export async function sendString(line, hints) {
+  if (!isConnected()) throw new Error("Not connected");
+  const bytes = new TextEncoder().encode(line.endsWith("\n") ? line : line + "\n");
+
+  return writeQueue.enqueue(async () => {
+    const writer = port.writable.getWriter();
+    try {
+      await writer.write(bytes);
+    } finally {
+      writer.releaseLock();
+    }
+  }, hints);
+}
+
+export async function sendJson(obj) {
+  return sendString(JSON.stringify(obj), packetQueueHints(obj));
+}
+
+/** Stop-all packet that preempts everything queued; a no-op when not connected. */
+export async function emergencyStop() {
+  if (!isConnected()) return false;
+  return sendString(JSON.stringify(ESTOP_PACKET), { priority: true });
+}
+
+/** Write queue counters: { enqueued, sent, coalesced, dropped, preempted, depth, ... } */
+export function getStats() {
+  return { queue: writeQueue.getMetrics() };
+}
+
+/**
+ * Send `obj` with a request id and wait for the firmware's ack line.
+ * Rejects with RexTimeoutError / RexCommandError / RexDisconnectedError.
+ */
+export async function request(obj, { timeoutMs } = {}) {
+  if (!isConnected()) throw new Error("Not connected");
+  return requests.request(obj, { timeoutMs });
+}
+
+// --------------------------- internals ---------------------------
+
+/** Read the RX stream and emit one message per "\n"-terminated line. */
+async function readLoop() {
+  rxReader.reset();
+  reader = port.readable.getReader();
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      rxReader.push(value);
+    }
+  } catch (err) {
+    if (!closing) console.warn("Serial read error:", err);
+  } finally {
+    try { reader.releaseLock(); } catch {}
+    reader = undefined;
+  }
+  if (!closing) handleDisconnected();
+}
+
+function dispatchMessage(msg) {
+  requests.handleMessage(msg);
+  for (const fn of messageHandlers) {
+    try { fn(msg); } catch {}
+  }
+  linkDebug("🦖 Rex → Web:", msg.raw);
+}
+
+function handleSerialDisconnect(e) {
+  if (e.target === port) handleDisconnected();
+}
+
+function handleDisconnected() {
+  if (!port) return;
+  closing = true;
+  writeQueue.clear();
+  requests.rejectAll();
+  for (const fn of disconnectHandlers) {
+    try { fn(); } catch {}
+  }
+  // The read loop may still hold the stream lock, so close() can reject; the port is gone either way.
+  port.close().catch(() => {});
+  cleanupRefs();
+  setState({ status: "idle" });
+}
+
+function cleanupRefs() {
+  navigator.serial?.removeEventListener("disconnect", handleSerialDisconnect);
+  port = undefined;
+  reader = undefined;
+  readDone = undefined;
+}
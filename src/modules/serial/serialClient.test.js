@@ -0,0 +1,94 @@
+import * as Serial from './serialClient';
+
+/** A Web Serial port whose RX is fed with `push(text)`; `unplug()` fails the pending read. */
+function fakePort() {
+  const enc = new TextEncoder();
+  const written = [];
+  let pending = null;
+  const port = {
+    written,
+    open: jest.fn(() => Promise.resolve()),
+    close: jest.fn(() => Promise.resolve()),
+    getInfo: () => ({ usbVendorId: 0x303a, usbProductId: 0x1001 }),
+    readable: {
+      getReader: () => ({
+        read: () => new Promise((resolve, reject) => { pending = { resolve, reject }; }),
+        cancel: async () => pending?.resolve({ done: true }),
+        releaseLock: () => {},
+      }),
+    },
+    writable: {
+      getWriter: () => ({
+        write: async (bytes) => written.push(new TextDecoder().decode(bytes)),
+        releaseLock: () => {},
+      }),
+    },
+    push: (text) => pending?.resolve({ value: enc.encode(text), done: false }),
+    unplug: () => pending?.reject(new Error('The device has been lost.')),
+  };
+  return port;
+}
+
+let port;
+const flush = () => new Promise((r) => setTimeout(r, 0));
+
+beforeEach(() => {
+  port = fakePort();
+  navigator.serial = Object.assign(new EventTarget(), { requestPort: jest.fn(async () => port) });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await Serial.disconnect();
+  delete navigator.serial;
+  jest.restoreAllMocks();
+});
+
+test('opens the chosen port, frames writes and splits RX into lines', async () => {
+  const msgs = [];
+  Serial.onMessage((m) => msgs.push(m.json || m.raw));
+  await Serial.connect({ baudRate: 57600 });
+  expect(port.open).toHaveBeenCalledWith({ baudRate: 57600 });
+  expect(Serial.getDeviceName()).toBe('USB 303a:1001');
+
+  await Serial.sendJson({ cmd: 'rex_tail_set', level: 0.5 });
+  await Serial.sendString('rex_roar');
+  expect(port.written).toEqual(['{"cmd":"rex_tail_set","level":0.5}\n', 'rex_roar\n']);
+
+  port.push('{"type":"telemetry"');
+  await flush();
+  port.push(',"loopMs":4}\nbooted\n');
+  await flush();
+  expect(msgs).toEqual([{ type: 'telemetry', loopMs: 4 }, 'booted']);
+});
+
+test('an unplugged port goes idle even when close() rejects on a locked stream', async () => {
+  const unhandled = jest.fn();
+  process.on('unhandledRejection', unhandled);
+  const lost = jest.fn();
+  Serial.onDisconnect(lost);
+  await Serial.connect();
+  port.close.mockImplementation(() => Promise.reject(new TypeError('Cannot close a locked stream')));
+
+  const e = new Event('disconnect');
+  Object.defineProperty(e, 'target', { value: port });
+  navigator.serial.dispatchEvent(e);
+  await flush();
+  process.off('unhandledRejection', unhandled);
+
+  expect(lost).toHaveBeenCalledTimes(1);
+  expect(Serial.getState().status).toBe('idle');
+  expect(Serial.isConnected()).toBe(false);
+  expect(unhandled).not.toHaveBeenCalled();
+});
+
+test('a failed read reports the link as lost', async () => {
+  await Serial.connect();
+  const states = [];
+  Serial.onStateChange((s) => states.push(s.status));
+  port.unplug();
+  await flush();
+  expect(states).toEqual(['connected', 'idle']);
+  await expect(Serial.sendString('rex_roar')).rejects.toThrow('Not connected');
+});
@@ -0,0 +1,162 @@
+// src/modules/session/session.js
+// Link sessions: every TX chunk written and every RX notification received,
+// with high-resolution timestamps, saved as a file that can be shared and
+// replayed without the robot (bleClient.startCapture / replaySession).
+//
+//   { "format": "rex-session", "version": 1,
+//     "startedAt": "2024-04-01T12:00:00.000Z", "link": "ble", "device": "Robo_Rex",
+//     "events": [
+//       { "t": 0.42,  "dir": "tx", "text": "{\"cmd\":\"rex_hello\",\"id\":1}\n" },
+//       { "t": 31.7,  "dir": "rx", "text": "{\"id\":1,\"ok\":true," },
+//       { "t": 31.9,  "dir": "rx", "b64": "4pyTCg==" } ] }
+//
+// `t` is milliseconds since capture start (performance.now(), sub-ms). Chunks
+// are stored as text when they are valid UTF-8 on their own, else base64, so
+// a multi-byte character split across notifications survives the round trip.
+
+export const SESSION_FORMAT = "rex-session";
+export const SESSION_VERSION = 1;
+
+const strictUtf8 = () => new TextDecoder("utf-8", { fatal: true });
+
+function toBytes(chunk) {
+  if (typeof chunk === "string") return new TextEncoder().encode(chunk);
+  // Any typed array or DataView; no instanceof, buffers can come from another realm.
+  return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength).slice();
+}
+
+/** One captured chunk as { text } or { b64 }. */
+export function encodeChunk(chunk) {
+  const bytes = toBytes(chunk);
+  try {
+    return { text: strictUtf8().decode(bytes) };
+  } catch {
+    let bin = "";
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return { b64: btoa(bin) };
+  }
+}
+
+/** The bytes of a captured event. */
+export function decodeChunk(event) {
+  if (typeof event.text === "string") return new TextEncoder().encode(event.text);
+  return Uint8Array.from(atob(event.b64 || ""), (c) => c.charCodeAt(0));
+}
+
+// ---------- capture ----------
+
+/**
+ * createSessionRecorder({ now })
+ *   start(meta)       begin a session ({ link, device } go into the file)
+ *   record(dir, chunk) "tx" | "rx", Uint8Array / DataView / string; no-op when idle
+ *   stop()            end it and return the session (null if none was running)
+ */
+export function createSessionRecorder({ now = () => performance.now() } = {}) {
+  let session = null;
+  let t0 = 0;
+
+  return {
+    start({ link = null, device = null } = {}) {
+      t0 = now();
+      session = {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        startedAt: new Date().toISOString(),
+        link,
+        device,
+        events: [],
+      };
+    },
+    record(dir, chunk) {
+      if (!session) return;
+      session.events.push({ t: +(now() - t0).toFixed(3), dir, ...encodeChunk(chunk) });
+    },
+    stop() {
+      const done = session;
+      session = null;
+      return done;
+    },
+    isRecording: () => session !== null,
+    /** Events captured so far (for a live counter). */
+    size: () => session?.events.length ?? 0,
+  };
+}
+
+// ---------- files ----------
+
+export function serializeSession(session) {
+  return JSON.stringify(session, null, 1);
+}
+
+/** Parse and check a session file; throws with a readable message. */
+export function parseSession(text) {
+  let data;
+  try {
+    data = typeof text === "string" ? JSON.parse(text) : text;
+  } catch {
+    throw new Error("Not a session file (invalid JSON).");
+  }
+  if (!data || data.format !== SESSION_FORMAT) throw new Error("Not a session file.");
+  if (data.version > SESSION_VERSION) throw new Error(`Session version ${data.version} is newer than this app.`);
+  if (!Array.isArray(data.events)) throw new Error("Session has no events.");
+  const events = data.events.filter(
+    (e) => e && Number.isFinite(e.t) && (e.dir === "tx" || e.dir === "rx") &&
+      (typeof e.text === "string" || typeof e.b64 === "string")
+  );
+  return { ...data, events: events.sort((a, b) => a.t - b.t) };
+}
+
+/** { events, tx, rx, durationMs } for a session header. */
+export function sessionSummary(session) {
+  const { events } = session;
+  return {
+    events: events.length,
+    tx: events.filter((e) => e.dir === "tx").length,
+    rx: events.filter((e) => e.dir === "rx").length,
+    durationMs: events.length ? events[events.length - 1].t : 0,
+  };
+}
+
+// ---------- replay ----------
+
+/**
+ * Play a session's RX chunks into `onRx(bytes, event)` on their original
+ * timeline (divided by `speed`); TX events are skipped since the live UI
+ * produces its own. Returns { done, stop }; `done` resolves true when the
+ * whole session played, false if it was stopped.
+ */
+export function playSession(session, onRx, { speed = 1, now = () => performance.now() } = {}) {
+  const rx = session.events.filter((e) => e.dir === "rx");
+  const rate = speed > 0 ? speed : 1;
+  let timer = null;
+  let finish;
+  const done = new Promise((resolve) => { finish = resolve; });
+  let i = 0;
+  // The clock starts at the first RX chunk, not at capture start.
+  const started = now() - (rx[0]?.t ?? 0) / rate;
+
+  function step() {
+    timer = null;
+    const elapsed = (now() - started) * rate;
+    while (i < rx.length && rx[i].t <= elapsed) {
+      const event = rx[i++];
+      try { onRx(decodeChunk(event), event); } catch {}
+    }
+    if (i >= rx.length) return finish(true);
+    timer = setTimeout(step, Math.max(0, (rx[i].t - elapsed) / rate));
+  }
+
+  step();
+
+  return {
+    done,
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      if (i < rx.length) {
+        i = rx.length;
+        finish(false);
+      }
+    },
+  };
+}
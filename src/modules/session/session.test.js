@@ -0,0 +1,131 @@
+import {
+  createSessionRecorder,
+  decodeChunk,
+  encodeChunk,
+  parseSession,
+  playSession,
+  serializeSession,
+} from './session';
+import * as BLE from '../ble/bleClient';
+import { createRobot } from '../fleet/fleet';
+import { createBleTransport } from '../transport/bleTransport';
+
+const enc = new TextEncoder();
+const flush = () => new Promise((r) => jest.requireActual('timers').setImmediate(r));
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('records chunks with relative timestamps and round-trips through a file', () => {
+  let clock = 1000;
+  const rec = createSessionRecorder({ now: () => clock });
+  rec.record('tx', enc.encode('ignored before start'));
+  rec.start({ link: 'ble', device: 'Robo_Rex' });
+  clock = 1000.25;
+  rec.record('tx', enc.encode('{"cmd":"rex_stop"}\n'));
+  clock = 1012.5;
+  rec.record('rx', new DataView(enc.encode('{"id":1,').buffer));
+
+  const session = parseSession(serializeSession(rec.stop()));
+  expect(rec.isRecording()).toBe(false);
+  expect(session).toMatchObject({ format: 'rex-session', version: 1, link: 'ble', device: 'Robo_Rex' });
+  expect(session.events).toEqual([
+    { t: 0.25, dir: 'tx', text: '{"cmd":"rex_stop"}\n' },
+    { t: 12.5, dir: 'rx', text: '{"id":1,' },
+  ]);
+});
+
+test('keeps a multi-byte character split across chunks byte-exact', () => {
+  const bytes = enc.encode('✓\n'); // e2 9c 93 0a
+  const head = encodeChunk(bytes.slice(0, 2));
+  const tail = encodeChunk(bytes.slice(2));
+  expect(head).toHaveProperty('b64');
+  expect([...decodeChunk(head), ...decodeChunk(tail)]).toEqual([...bytes]);
+});
+
+test('rejects files that are not sessions', () => {
+  expect(() => parseSession('{nope')).toThrow('invalid JSON');
+  expect(() => parseSession('{"format":"macro"}')).toThrow('Not a session file.');
+  expect(() => parseSession({ format: 'rex-session', version: 9, events: [] })).toThrow('newer');
+});
+
+test('plays RX chunks on the captured timeline, scaled by speed', () => {
+  jest.useFakeTimers();
+  const session = parseSession({
+    format: 'rex-session',
+    version: 1,
+    events: [
+      { t: 5, dir: 'tx', text: 'rex_roar\n' },
+      { t: 100, dir: 'rx', text: 'a\n' },
+      { t: 300, dir: 'rx', text: 'b\n' },
+      { t: 700, dir: 'rx', text: 'c\n' },
+    ],
+  });
+  const got = [];
+  const player = playSession(session, (bytes) => got.push(new TextDecoder().decode(bytes)), {
+    speed: 2,
+    now: () => Date.now(),
+  });
+  expect(got).toEqual(['a\n']); // the clock starts at the first RX chunk
+  jest.advanceTimersByTime(99);
+  expect(got).toEqual(['a\n']);
+  jest.advanceTimersByTime(1);
+  expect(got).toEqual(['a\n', 'b\n']);
+  player.stop();
+  jest.advanceTimersByTime(1000);
+  expect(got).toEqual(['a\n', 'b\n']);
+});
+
+test('bleClient replays a session through onMessage as if connected', async () => {
+  const session = parseSession({
+    format: 'rex-session',
+    version: 1,
+    device: 'Robo_Rex',
+    events: [
+      { t: 0, dir: 'rx', text: '{"type":"telemetry",' },
+      { t: 1, dir: 'rx', text: '"loopMs":4}\nbooted\n' },
+    ],
+  });
+  const msgs = [];
+  const states = [];
+  const offMsg = BLE.onMessage((m) => msgs.push(m.json || m.raw));
+  const offState = BLE.onStateChange((s) => states.push(s.status));
+
+  const replay = BLE.replaySession(session);
+  expect(BLE.isConnected()).toBe(true);
+  expect(BLE.getDeviceName()).toBe('Robo_Rex');
+  await expect(BLE.sendJson({ cmd: 'rex_stop' })).resolves.toBe(true); // swallowed, not written
+  await expect(replay).resolves.toBe(true);
+  await flush();
+
+  expect(msgs).toEqual([{ type: 'telemetry', loopMs: 4 }, 'booted']);
+  expect(states).toEqual(['idle', 'connected', 'idle']);
+  expect(BLE.isConnected()).toBe(false);
+  offMsg();
+  offState();
+});
+
+test('a replayed robot runs no hello handshake and no request rides on the replay', async () => {
+  const client = BLE.createBleConnection();
+  const robot = createRobot({ id: 'ble', kind: 'ble', label: 'Rex', client, createTransport: createBleTransport });
+  const detach = robot.attach();
+  const session = parseSession({
+    format: 'rex-session',
+    version: 1,
+    device: 'Robo_Rex',
+    events: [{ t: 0, dir: 'rx', text: '{"id":1,"ok":true}\n' }],
+  });
+
+  const replay = client.replaySession(session);
+  expect(robot.getInfo().status).toBe('connected');
+  await expect(client.request({ cmd: 'rex_stop' })).rejects.toThrow(/Replaying a session/);
+  await expect(replay).resolves.toBe(true);
+  await flush();
+
+  const entries = robot.log.getSnapshot().entries;
+  expect(entries.filter((e) => e.dir === 'tx')).toEqual([]); // no rex_hello into the discarded TX
+  expect(entries.map((e) => e.text).join('\n')).not.toMatch(/Firmware/);
+  expect(robot.getInfo().firmware.source).not.toBe('device');
+  detach();
+});
@@ -0,0 +1,132 @@
+// src/modules/sim/mockRex.js
+// Pure model of the Robo Rex firmware for offline development and tests.
+// Feed it the same lines the body-part modules emit; it keeps a simulated pose
+// and returns the reply lines the firmware would send on RX.
+//
+//   const rex = createMockRex();
+//   rex.handleLine('{"cmd":"rex_tail_set","level":0.2,"id":4}')
+//     -> ['{"id":4,"ok":true,"cmd":"rex_tail_set"}']
+//
+// No timers here; simClient.js drives telemetry and the dead-man check.
+// Pose commands come from ../pose/poseModel.js (shared with the UI's pose view).
+
+import { applyCommand, initialPose, isPoseCommand, normalizePacket } from "../pose/poseModel";
+import { COMMANDS, isKnownCommand, validatePacket } from "../commands/registry";
+
+export const SIM_VERSION = "sim-1";
+
+// Simulated device status: a 2S pack that sags under load, servos that warm
+// toward AMBIENT_C + current × HEAT_C_PER_A.
+const FULL_BATTERY_V = 8.2;
+const AMBIENT_C = 28;
+const HEAT_C_PER_A = 18;
+const SERVOS = ["legs", "pelvis", "spine", "neck", "tail", "jaw"];
+
+function initialStatus() {
+  return {
+    at: null,
+    charge: (FULL_BATTERY_V - 6.0) / 2.2, // 0..1
+    temps: Object.fromEntries(SERVOS.map((s) => [s, AMBIENT_C])),
+  };
+}
+
+/**
+ * createMockRex({ name, commands, limits }): `commands` / `limits` shape the
+ * hello reply (default: every registry command), so tests can play older or
+ * restricted firmware. Commands left out are refused like unknown ones.
+ */
+export function createMockRex({ name = "Robo_Rex_Sim", commands = Object.keys(COMMANDS), limits } = {}) {
+  const routed = new Set(commands);
+  let pose = initialPose();
+  let lastHeartbeat = null; // { at, ttl } once the UI starts sending beats
+  let status = initialStatus();
+
+  const halt = () => { pose = applyCommand(pose, { cmd: "rex_stop_all" }); };
+
+  /** Apply one TX line; returns the RX lines (strings) to send back. */
+  function handleLine(line, now = Date.now()) {
+    const pkt = normalizePacket(line);
+    // Like the firmware's CommandRouter: unregistered or out-of-range packets are refused.
+    const problem = isKnownCommand(pkt.cmd) ? validatePacket(pkt)[0] : null;
+    if (problem) return [JSON.stringify({ id: pkt.id, ok: false, error: problem, cmd: pkt.cmd })];
+
+    if (pkt.cmd === "rex_hello" && routed.has(pkt.cmd)) {
+      return [JSON.stringify({ id: pkt.id, ok: true, cmd: pkt.cmd, ...helloInfo() })];
+    }
+    if (pkt.cmd && !routed.has(pkt.cmd)) {
+      return [JSON.stringify({ id: pkt.id, ok: false, error: "unknown command", cmd: pkt.cmd })];
+    }
+    if (pkt.cmd === "rex_heartbeat") {
+      lastHeartbeat = { at: now, ttl: Number(pkt.ttl) || 750 };
+    } else if (isPoseCommand(pkt.cmd)) {
+      pose = applyCommand(pose, pkt);
+    } else {
+      const error = pkt.malformed ? "malformed json" : "unknown command";
+      return [JSON.stringify({ id: pkt.id, ok: false, error, cmd: pkt.cmd })];
+    }
+    // Only correlated packets are acked, like the firmware (keeps RX quiet).
+    return pkt.id !== undefined ? [JSON.stringify({ id: pkt.id, ok: true, cmd: pkt.cmd })] : [];
+  }
+
+  /**
+   * Dead-man check: once beats have been seen, motion without a fresh one
+   * halts. Returns an event line when it trips, else null.
+   */
+  function checkDeadman(now = Date.now()) {
+    if (!lastHeartbeat || pose.walking.state === "idle") return null;
+    if (now - lastHeartbeat.at <= lastHeartbeat.ttl) return null;
+    halt();
+    lastHeartbeat = null;
+    return JSON.stringify({ type: "event", event: "deadman_halt" });
+  }
+
+  /** Hello reply body: what this "firmware" routes. */
+  function helloInfo() {
+    return { type: "hello", name, version: SIM_VERSION, commands: [...routed], ...(limits ? { limits } : {}) };
+  }
+
+  /** Servo currents (A) for the current pose: walking loads the legs. */
+  function currents() {
+    const { state, speed, rate } = pose.walking;
+    const legs = state === "idle" ? 0.15 : 0.4 + 1.2 * Math.max(speed, rate);
+    return { legs, pelvis: 0.2, spine: 0.15, neck: 0.1, tail: pose.tailWag ? 0.6 : 0.1, jaw: pose.roaring ? 0.5 : 0.05 };
+  }
+
+  /** Advance the battery / thermal model to `now`; returns the status fields of a telemetry line. */
+  function sampleStatus(now) {
+    const dt = status.at === null ? 0 : Math.max(0, now - status.at) / 1000;
+    const amps = currents();
+    const total = Object.values(amps).reduce((a, b) => a + b, 0);
+    status.charge = Math.max(0, status.charge - total * dt * 0.0002);
+    status.at = now;
+    const servos = {};
+    for (const servo of SERVOS) {
+      const target = AMBIENT_C + amps[servo] * HEAT_C_PER_A;
+      status.temps[servo] += (target - status.temps[servo]) * Math.min(1, dt / 30); // ~30 s time constant
+      servos[servo] = { current: +amps[servo].toFixed(2), temp: +status.temps[servo].toFixed(1) };
+    }
+    const walking = pose.walking.state !== "idle";
+    return {
+      battery: { voltage: +(6.0 + 2.2 * status.charge - 0.08 * total).toFixed(2) },
+      servos,
+      loopMs: walking ? 6.5 : 4,
+      rssi: -58,
+      gait: pose.gait.mode,
+    };
+  }
+
+  /** One telemetry line with the current pose and device status. */
+  function telemetry(now = Date.now()) {
+    return JSON.stringify({ type: "telemetry", t: now, pose, ...sampleStatus(now) });
+  }
+
+  return {
+    name,
+    handleLine,
+    checkDeadman,
+    telemetry,
+    hello: () => JSON.stringify({ type: "hello", name, sim: true, version: SIM_VERSION }),
+    getPose: () => pose,
+    reset: () => { pose = initialPose(); lastHeartbeat = null; status = initialStatus(); },
+  };
+}
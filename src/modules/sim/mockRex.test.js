@@ -0,0 +1,31 @@
+import { createMockRex } from './mockRex';
+
+test('applies line and JSON commands to the simulated pose', () => {
+  const rex = createMockRex();
+  rex.handleLine('rex_mouth_open');
+  rex.handleLine('{"cmd":"rex_pelvis_set","level":0.8}');
+  rex.handleLine('{"cmd":"rex_walk_forward","speed":0.5}');
+  expect(rex.getPose()).toMatchObject({
+    mouth: 1,
+    pelvis: 0.8,
+    walking: { state: 'forward', speed: 0.5 },
+  });
+});
+
+test('acks correlated packets and rejects unknown commands', () => {
+  const rex = createMockRex();
+  expect(rex.handleLine('{"cmd":"rex_tail_set","level":0.2,"id":4}'))
+    .toEqual(['{"id":4,"ok":true,"cmd":"rex_tail_set"}']);
+  expect(JSON.parse(rex.handleLine('{"cmd":"rex_fly","id":5}')[0]))
+    .toMatchObject({ id: 5, ok: false, error: 'unknown command' });
+  expect(rex.handleLine('{"cmd":"rex_tail_set","level":0.3}')).toEqual([]);
+});
+
+test('halts when heartbeats stop while walking', () => {
+  const rex = createMockRex();
+  rex.handleLine('{"cmd":"rex_walk_forward"}', 0);
+  rex.handleLine('{"cmd":"rex_heartbeat","seq":1,"ttl":750}', 0);
+  expect(rex.checkDeadman(500)).toBeNull();
+  expect(JSON.parse(rex.checkDeadman(1000))).toEqual({ type: 'event', event: 'deadman_halt' });
+  expect(rex.getPose().walking.state).toBe('idle');
+});
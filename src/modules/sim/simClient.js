@@ -0,0 +1,215 @@
+// src/modules/sim/simClient.js
+// In-browser "link" to a simulated Rex (see mockRex.js) — same surface as
+// ../ble/bleClient.js, so the App, ControllerPanel and body-part modules run
+// end to end without hardware. createSimConnection() makes an independent
+// simulated robot (several can run side by side); the module-level functions
+// are a default one.
+
+import { createLineReader } from "../transport/lineReader";
+import { createRequestTracker } from "../transport/requests";
+import { ESTOP_PACKET, WriteQueue, packetQueueHints } from "../transport/writeQueue";
+import { linkDebug } from "../transport/debug";
+import { createMockRex } from "./mockRex";
+
+/** One simulated Rex link; the instance has every function the module exports. */
+export function createSimConnection() {
+  let rex = null;
+  let telemetryTimer = null;
+  let opts = { latencyMs: 8, telemetryMs: 1000 };
+  const messageHandlers = new Set();
+  const disconnectHandlers = new Set();
+  const stateHandlers = new Set();
+  const requests = createRequestTracker((packet) => sendJson(packet)); // request()/ack correlation
+  const rxReader = createLineReader(dispatchMessage);
+  const writeQueue = new WriteQueue({ maxInFlight: 1 });
+
+  // idle ──connect()──▶ connected ──disconnect()──▶ idle
+  let state = { status: "idle", attempt: 0, maxAttempts: 0, error: null };
+
+  function setState(patch) {
+    state = { ...state, ...patch };
+    for (const fn of stateHandlers) {
+      try { fn(state); } catch {}
+    }
+  }
+
+  // -------------------------------------------------------------------------------
+
+  /**
+   * "Connect" to a fresh simulated Rex.
+   * `latencyMs` delays each write and reply; `telemetryMs` (0 = off) sets how
+   * often a telemetry line with the simulated pose is emitted. `commands` /
+   * `limits` play a firmware build that routes less (see createMockRex).
+   */
+  async function connect({ latencyMs = 8, telemetryMs = 1000, name, commands, limits } = {}) {
+    opts = { latencyMs, telemetryMs };
+    rex = createMockRex({ ...(name && { name }), ...(commands && { commands }), ...(limits && { limits }) });
+    rxReader.reset();
+    writeQueue.resetMetrics();
+
+    // 250 ms tick: dead-man check every tick, telemetry every `telemetryMs`.
+    let lastTelemetryAt = 0;
+    clearInterval(telemetryTimer);
+    telemetryTimer = setInterval(() => {
+      if (!rex) return;
+      const now = Date.now();
+      const halted = rex.checkDeadman(now);
+      if (halted) emit(halted);
+      if (telemetryMs > 0 && now - lastTelemetryAt >= telemetryMs) {
+        lastTelemetryAt = now;
+        emit(rex.telemetry(now));
+      }
+    }, 250);
+
+    setState({ status: "connected", error: null });
+    emit(rex.hello());
+    linkDebug("✅ Simulator connected");
+    return { device: rex };
+  }
+
+  async function disconnect() {
+    if (!rex) return;
+    clearInterval(telemetryTimer);
+    telemetryTimer = null;
+    rex = null;
+    writeQueue.clear();
+    requests.rejectAll();
+    setState({ status: "idle", error: null });
+    linkDebug("🔌 Simulator disconnected");
+  }
+
+  function isConnected() {
+    return !!rex;
+  }
+
+  /** Name of the simulated Rex, or null. */
+  function getDeviceName() {
+    return rex?.name || null;
+  }
+
+  /** Current connection state: { status, attempt, maxAttempts, error }. */
+  function getState() {
+    return state;
+  }
+
+  /** Subscribe to connection state changes (called immediately); returns an unsubscribe function. */
+  function onStateChange(fn) {
+    stateHandlers.add(fn);
+    try { fn(state); } catch {}
+    return () => stateHandlers.delete(fn);
+  }
+
+  /** Subscribe to RX lines ({ raw, json, receivedAt }); returns an unsubscribe function. */
+  function onMessage(fn) {
+    messageHandlers.add(fn);
+    return () => messageHandlers.delete(fn);
+  }
+
+  /**
+   * Subscribe to unexpected link loss; returns an unsubscribe function. Like the
+   * real links, a manual disconnect() doesn't fire it, and the simulated link
+   * never drops on its own.
+   */
+  function onDisconnect(fn) {
+    disconnectHandlers.add(fn);
+    return () => disconnectHandlers.delete(fn);
+  }
+
+  /** Line send with the same queue semantics as the real links. */
+  async function sendString(line, hints) {
+    if (!isConnected()) throw new Error("Not connected");
+    const text = line.endsWith("\n") ? line : line + "\n";
+
+    return writeQueue.enqueue(async () => {
+      await delay(opts.latencyMs);
+      if (!rex) throw new Error("Not connected");
+      const replies = rex.handleLine(text);
+      if (replies.length) {
+        // Reply asynchronously, like a notification arriving later.
+        setTimeout(() => replies.forEach(emit), opts.latencyMs);
+      }
+    }, hints);
+  }
+
+  async function sendJson(obj) {
+    return sendString(JSON.stringify(obj), packetQueueHints(obj));
+  }
+
+  /** Stop-all packet that preempts everything queued; a no-op when not connected. */
+  async function emergencyStop() {
+    if (!isConnected()) return false;
+    return sendString(JSON.stringify(ESTOP_PACKET), { priority: true });
+  }
+
+  /** Send `obj` with a request id and wait for the simulated ack. */
+  async function request(obj, { timeoutMs } = {}) {
+    if (!isConnected()) throw new Error("Not connected");
+    return requests.request(obj, { timeoutMs });
+  }
+
+  /** Snapshot of the simulated pose (null when disconnected). */
+  function getPose() {
+    return rex ? rex.getPose() : null;
+  }
+
+  /** Write queue counters: { enqueued, sent, coalesced, dropped, preempted, depth, ... } */
+  function getStats() {
+    return { queue: writeQueue.getMetrics() };
+  }
+
+  // --------------------------- internals ---------------------------
+
+  function delay(ms) {
+    return ms > 0 ? new Promise(r => setTimeout(r, ms)) : Promise.resolve();
+  }
+
+  /** Push one reply line through the same RX pipeline as a real link. */
+  function emit(line) {
+    if (rex) rxReader.push(line + "\n");
+  }
+
+  function dispatchMessage(msg) {
+    requests.handleMessage(msg);
+    for (const fn of messageHandlers) {
+      try { fn(msg); } catch {}
+    }
+  }
+
+  return {
+    connect,
+    disconnect,
+    isConnected,
+    getDeviceName,
+    getState,
+    onStateChange,
+    onMessage,
+    onDisconnect,
+    sendString,
+    sendJson,
+    emergencyStop,
+    request,
+    getPose,
+    getStats,
+  };
+}
+
+// --------------------------- default connection ---------------------------
+
+const defaultConnection = createSimConnection();
+
+export const {
+  connect,
+  disconnect,
+  isConnected,
+  getDeviceName,
+  getState,
+  onStateChange,
+  onMessage,
+  onDisconnect,
+  sendString,
+  sendJson,
+  emergencyStop,
+  request,
+  getPose,
+  getStats,
+} = defaultConnection;
@@ -0,0 +1,16 @@
+import { createSimConnection } from './simClient';
+
+test('a manual disconnect goes idle without reporting a lost link', async () => {
+  const sim = createSimConnection();
+  const lost = jest.fn();
+  const states = [];
+  sim.onDisconnect(lost);
+  sim.onStateChange((s) => states.push(s.status));
+
+  await sim.connect({ latencyMs: 0, telemetryMs: 0 });
+  await sim.disconnect();
+
+  expect(states).toEqual(['idle', 'connected', 'idle']);
+  expect(sim.isConnected()).toBe(false);
+  expect(lost).not.toHaveBeenCalled();
+});
@@ -0,0 +1,158 @@
+// src/modules/telemetry/telemetry.js
+// Structured device status from RX telemetry lines, buffered for charts and
+// checked against alert thresholds.
+//
+//   { "type": "telemetry", "t": 1712000000000, "pose": { ... },
+//     "battery": { "voltage": 7.6 },          // or just "battery": 7.6
+//     "servos": { "tail": { "current": 0.4, "temp": 38.5 }, ... },
+//     "loopMs": 4.2, "rssi": -61, "gait": "walk" }
+//
+// Every field is optional; a sample carries whatever the firmware reported.
+// Sample values are flat: battery, loopMs, rssi, temp.<servo>, current.<servo>.
+//
+//   const telemetry = createTelemetryStore();
+//   transport.onMessage(telemetry.applyRx);
+//   telemetry.subscribe(() => render(telemetry.getSnapshot()));
+
+export const DEFAULT_CAPACITY = 1200; // samples kept for scrubbing (20 min at 1 Hz)
+
+/** Chart groups: which sample keys each chart plots. */
+export const CHARTS = [
+  { id: "battery", label: "Battery",           unit: "V",   digits: 2, match: (k) => k === "battery" },
+  { id: "temp",    label: "Servo temperature", unit: "°C",  digits: 1, match: (k) => k.startsWith("temp.") },
+  { id: "current", label: "Servo current",     unit: "A",   digits: 2, match: (k) => k.startsWith("current.") },
+  { id: "loopMs",  label: "Loop time",         unit: "ms",  digits: 1, match: (k) => k === "loopMs" },
+  { id: "rssi",    label: "Signal (RSSI)",     unit: "dBm", digits: 0, match: (k) => k === "rssi" },
+];
+
+/**
+ * Alert rules. `group` is the chart the limit is drawn on; within a group only
+ * the most severe rule that trips for a given key is reported (critical
+ * battery replaces low battery).
+ */
+export const DEFAULT_THRESHOLDS = [
+  { id: "batteryLow",      group: "battery", match: "battery",  below: 6.8, severity: "warning",  label: "Battery low" },
+  { id: "batteryCritical", group: "battery", match: "battery",  below: 6.4, severity: "critical", label: "Battery critical" },
+  { id: "servoHot",        group: "temp",    match: "temp.",    above: 60,  severity: "warning",  label: "Servo hot" },
+  { id: "servoOverheat",   group: "temp",    match: "temp.",    above: 70,  severity: "critical", label: "Servo overheating" },
+  { id: "servoCurrent",    group: "current", match: "current.", above: 2.5, severity: "warning",  label: "High servo current" },
+  { id: "loopSlow",        group: "loopMs",  match: "loopMs",   above: 20,  severity: "warning",  label: "Control loop slow" },
+  { id: "signalWeak",      group: "rssi",    match: "rssi",     below: -85, severity: "warning",  label: "Weak signal" },
+];
+
+const SEVERITY_RANK = { warning: 1, critical: 2 };
+
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+/** Flatten one telemetry message into { at, values, gait }, or null for anything else. */
+export function extractSample(json, receivedAt = Date.now()) {
+  if (!json || json.type !== "telemetry") return null;
+  const values = {};
+  const battery = num(json.battery?.voltage ?? json.battery);
+  if (battery !== null) values.battery = battery;
+  if (num(json.loopMs) !== null) values.loopMs = json.loopMs;
+  if (num(json.rssi) !== null) values.rssi = json.rssi;
+  if (json.servos && typeof json.servos === "object") {
+    for (const [servo, s] of Object.entries(json.servos)) {
+      if (num(s?.temp) !== null) values[`temp.${servo}`] = s.temp;
+      if (num(s?.current) !== null) values[`current.${servo}`] = s.current;
+    }
+  }
+  const gait = typeof json.gait === "string" ? json.gait : json.pose?.gait?.mode ?? null;
+  return { at: receivedAt, values, gait };
+}
+
+/** A sample key's servo name ("temp.tail" -> "tail"), else the key itself. */
+export function seriesName(key) {
+  const dot = key.indexOf(".");
+  return dot < 0 ? key : key.slice(dot + 1);
+}
+
+const matches = (rule, key) => (rule.match.endsWith(".") ? key.startsWith(rule.match) : key === rule.match);
+
+/** Alerts tripped by one sample: [{ id, severity, message, key, value, limit }]. */
+export function evaluateAlerts(sample, thresholds = DEFAULT_THRESHOLDS) {
+  if (!sample) return [];
+  const worst = new Map(); // `${group}:${key}` -> alert
+  for (const rule of thresholds) {
+    for (const [key, value] of Object.entries(sample.values)) {
+      if (!matches(rule, key)) continue;
+      const tripped = (rule.below !== undefined && value < rule.below) || (rule.above !== undefined && value > rule.above);
+      if (!tripped) continue;
+      const slot = `${rule.group}:${key}`;
+      if ((SEVERITY_RANK[worst.get(slot)?.severity] || 0) >= SEVERITY_RANK[rule.severity]) continue;
+      const who = key.includes(".") ? ` (${seriesName(key)})` : "";
+      worst.set(slot, {
+        id: `${rule.group}:${key}`,
+        severity: rule.severity,
+        message: `${rule.label}${who}: ${+value.toFixed(2)}`,
+        key,
+        value,
+        limit: rule.below ?? rule.above,
+      });
+    }
+  }
+  return [...worst.values()].sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+}
+
+/** Samples with `from <= at <= to` (buffer is time-ordered). */
+export function samplesInRange(samples, from, to) {
+  return samples.filter((s) => s.at >= from && s.at <= to);
+}
+
+/**
+ * Series for one chart over `samples`: [{ key, name, points: [[at, value], ...] }],
+ * one per matching sample key, in first-seen order.
+ */
+export function chartSeries(chart, samples) {
+  const byKey = new Map();
+  for (const s of samples) {
+    for (const [key, value] of Object.entries(s.values)) {
+      if (!chart.match(key)) continue;
+      if (!byKey.has(key)) byKey.set(key, { key, name: seriesName(key), points: [] });
+      byKey.get(key).points.push([s.at, value]);
+    }
+  }
+  return [...byKey.values()];
+}
+
+// ---------- store: rolling buffer + live alerts ----------
+
+/**
+ * @typedef {Object} TelemetrySnapshot
+ * @property {Array<{at: number, values: object, gait: string|null}>} samples  oldest first
+ * @property {object|null} latest   newest sample
+ * @property {Array<object>} alerts alerts tripped by the newest sample
+ */
+
+export function createTelemetryStore({ capacity = DEFAULT_CAPACITY, thresholds = DEFAULT_THRESHOLDS } = {}) {
+  /** @type {TelemetrySnapshot} */
+  let snapshot = { samples: [], latest: null, alerts: [] };
+  const listeners = new Set();
+
+  const update = (next) => {
+    snapshot = next;
+    for (const fn of listeners) {
+      try { fn(snapshot); } catch {}
+    }
+  };
+
+  return {
+    /** RX message ({ raw, json, receivedAt }); non-telemetry lines are ignored. */
+    applyRx(msg) {
+      const sample = extractSample(msg?.json, msg?.receivedAt ?? Date.now());
+      if (!sample) return;
+      const { samples } = snapshot;
+      const kept = samples.length >= capacity ? samples.slice(samples.length - capacity + 1) : samples;
+      update({ samples: [...kept, sample], latest: sample, alerts: evaluateAlerts(sample, thresholds) });
+    },
+    clear() {
+      update({ samples: [], latest: null, alerts: [] });
+    },
+    getSnapshot: () => snapshot,
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
@@ -0,0 +1,77 @@
+import { CHARTS, chartSeries, createTelemetryStore, evaluateAlerts, extractSample } from './telemetry';
+import { createMockRex } from '../sim/mockRex';
+
+const line = (fields, receivedAt = 1000) => ({ json: { type: 'telemetry', ...fields }, receivedAt });
+
+test('flattens battery, servo, loop and signal fields into one sample', () => {
+  const sample = extractSample({
+    type: 'telemetry',
+    battery: { voltage: 7.4 },
+    servos: { tail: { current: 0.3, temp: 41 }, jaw: { temp: 35 } },
+    loopMs: 4.5,
+    rssi: -60,
+    gait: 'walk',
+  }, 50);
+  expect(sample).toEqual({
+    at: 50,
+    gait: 'walk',
+    values: { battery: 7.4, loopMs: 4.5, rssi: -60, 'temp.tail': 41, 'current.tail': 0.3, 'temp.jaw': 35 },
+  });
+  expect(extractSample({ type: 'telemetry', battery: 8 }).values).toEqual({ battery: 8 });
+  expect(extractSample({ id: 1, ok: true })).toBeNull();
+});
+
+test('reports only the worst alert per key, critical first', () => {
+  const alerts = evaluateAlerts(extractSample({
+    type: 'telemetry',
+    battery: 6.2,
+    servos: { legs: { temp: 65 }, tail: { temp: 75 } },
+    rssi: -70,
+  }));
+  expect(alerts.map((a) => [a.id, a.severity])).toEqual([
+    ['battery:battery', 'critical'],
+    ['temp:temp.tail', 'critical'],
+    ['temp:temp.legs', 'warning'],
+  ]);
+  expect(alerts[1].message).toBe('Servo overheating (tail): 75');
+});
+
+test('keeps a bounded rolling buffer and live alerts', () => {
+  const store = createTelemetryStore({ capacity: 3 });
+  const seen = jest.fn();
+  store.subscribe(seen);
+  for (let i = 0; i < 5; i++) store.applyRx(line({ battery: 7 - i * 0.2 }, i * 100));
+  store.applyRx({ raw: 'hello', json: null });
+
+  const snap = store.getSnapshot();
+  expect(seen).toHaveBeenCalledTimes(5);
+  expect(snap.samples.map((s) => s.at)).toEqual([200, 300, 400]);
+  expect(snap.latest.values.battery).toBeCloseTo(6.2);
+  expect(snap.alerts).toHaveLength(1);
+
+  store.clear();
+  expect(store.getSnapshot()).toEqual({ samples: [], latest: null, alerts: [] });
+});
+
+test('builds one chart series per servo', () => {
+  const temp = CHARTS.find((c) => c.id === 'temp');
+  const samples = [
+    extractSample({ type: 'telemetry', servos: { tail: { temp: 30 } } }, 1),
+    extractSample({ type: 'telemetry', servos: { tail: { temp: 31 }, jaw: { temp: 29 } } }, 2),
+  ];
+  expect(chartSeries(temp, samples)).toEqual([
+    { key: 'temp.tail', name: 'tail', points: [[1, 30], [2, 31]] },
+    { key: 'temp.jaw', name: 'jaw', points: [[2, 29]] },
+  ]);
+});
+
+test('simulated telemetry carries the full status set', () => {
+  const rex = createMockRex();
+  rex.handleLine('{"cmd":"rex_walk_forward"}', 0);
+  const sample = extractSample(JSON.parse(rex.telemetry(60_000)));
+  expect(sample.gait).toBeTruthy();
+  expect(Object.keys(sample.values)).toEqual(expect.arrayContaining([
+    'battery', 'loopMs', 'rssi', 'temp.legs', 'current.legs', 'temp.tail',
+  ]));
+  expect(sample.values.battery).toBeLessThan(8.2);
+});
@@ -0,0 +1,19 @@
+// src/modules/transport/bleTransport.js
+// Transport over a BLE (Nordic UART) connection: the shared default client,
+// or one robot's createBleConnection() instance.
+
+import * as BLE from "../ble/bleClient";
+import { lineQueueHints } from "./writeQueue";
+
+/** @returns {import("./transport").Transport} */
+export function createBleTransport(client = BLE) {
+  return {
+    capabilities: { kind: "ble", rx: true, ack: true, reconnect: true },
+    sendLine: (line) => client.sendString(String(line).trim(), lineQueueHints(line)), // sendString adds "\n"
+    sendJson: (obj) => client.sendJson(obj),
+    request: (obj, opts) => client.request(obj, opts),
+    emergencyStop: () => client.emergencyStop(),
+    onMessage: (fn) => client.onMessage(fn),
+    close: () => client.disconnect(),
+  };
+}
@@ -0,0 +1,8 @@
+// src/modules/transport/debug.js
+// Link chatter for the browser console (connects, reconnects, every RX line).
+// Development only: production and test runs stay quiet, and the device log
+// (../log/deviceLog.js) keeps the record there. Failures still use console.warn.
+
+export function linkDebug(...args) {
+  if (process.env.NODE_ENV === "development") console.log(...args);
+}
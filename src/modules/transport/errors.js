@@ -0,0 +1,44 @@
+// src/modules/transport/errors.js
+// Typed errors surfaced by request()/ack handling on any transport.
+
+/** No ack/error line came back for request `id` within `timeoutMs`. */
+export class RexTimeoutError extends Error {
+  constructor(id, timeoutMs, packet) {
+    super(`No reply to request #${id} within ${timeoutMs} ms`);
+    this.name = "RexTimeoutError";
+    this.id = id;
+    this.timeoutMs = timeoutMs;
+    this.packet = packet;
+  }
+}
+
+/** Firmware answered request `id` with an error (e.g. unknown command). */
+export class RexCommandError extends Error {
+  constructor(id, reply, packet) {
+    super(`Firmware rejected request #${id}: ${reply?.error || "error"}`);
+    this.name = "RexCommandError";
+    this.id = id;
+    this.code = reply?.code;
+    this.reply = reply;
+    this.packet = packet;
+  }
+}
+
+/** The connected firmware said (in its hello reply) that it doesn't route `cmd`. */
+export class RexUnsupportedError extends Error {
+  constructor(cmd, version) {
+    super(`Firmware${version ? ` ${version}` : ""} does not support "${cmd}"`);
+    this.name = "RexUnsupportedError";
+    this.cmd = cmd;
+    this.version = version;
+  }
+}
+
+/** The link went away while request `id` was still pending. */
+export class RexDisconnectedError extends Error {
+  constructor(id) {
+    super(`Link closed before reply to request #${id}`);
+    this.name = "RexDisconnectedError";
+    this.id = id;
+  }
+}
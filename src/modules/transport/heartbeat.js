@@ -0,0 +1,40 @@
+// src/modules/transport/heartbeat.js
+// Dead-man heartbeat: while motion is active, send { cmd: "rex_heartbeat" }
+// every `intervalMs`. Firmware that supports it halts when beats stop arriving
+// (frozen tab, lost mouseup, dropped link). `ttl` tells it how long to wait.
+
+import { sendJson } from "./transport";
+
+export const DEFAULT_HEARTBEAT_MS = 250;
+
+/** createHeartbeat(transport) -> { start(), stop(), isRunning() } */
+export function createHeartbeat(transport, { intervalMs = DEFAULT_HEARTBEAT_MS } = {}) {
+  let timer = null;
+  let seq = 0;
+
+  function beat() {
+    const run = timer;
+    seq = (seq + 1) % 0x10000;
+    // Beats coalesce in the write queue, so a slow link never backs up on them.
+    sendJson(transport, { cmd: "rex_heartbeat", seq, ttl: intervalMs * 3 }).catch(() => {
+      // The link is down: stop rather than beat into it; the next hold starts afresh.
+      if (timer === run) stop();
+    });
+  }
+
+  function stop() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(beat, intervalMs);
+      beat();
+    },
+    stop,
+    isRunning: () => timer !== null,
+  };
+}
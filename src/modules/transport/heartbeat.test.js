@@ -0,0 +1,67 @@
+import { DEFAULT_HEARTBEAT_MS, createHeartbeat } from './heartbeat';
+import { fakeTransport } from '../../test-utils/fakeTransport';
+
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('beats at once and then every 250 ms with a ttl of three intervals', () => {
+  const t = fakeTransport();
+  const hb = createHeartbeat(t);
+  hb.start();
+  hb.start(); // already running: no second timer
+  expect(t.sent).toEqual([{ cmd: 'rex_heartbeat', seq: 1, ttl: 750 }]);
+
+  jest.advanceTimersByTime(DEFAULT_HEARTBEAT_MS - 1);
+  expect(t.sent).toHaveLength(1);
+  jest.advanceTimersByTime(1);
+  jest.advanceTimersByTime(2 * DEFAULT_HEARTBEAT_MS);
+  expect(t.sent.map((p) => p.seq)).toEqual([1, 2, 3, 4]);
+
+  hb.stop();
+  expect(hb.isRunning()).toBe(false);
+  jest.advanceTimersByTime(1000);
+  expect(t.sent).toHaveLength(4);
+});
+
+test('ttl follows a custom interval', () => {
+  const t = fakeTransport();
+  createHeartbeat(t, { intervalMs: 100 }).start();
+  jest.advanceTimersByTime(100);
+  expect(t.sent).toEqual([
+    { cmd: 'rex_heartbeat', seq: 1, ttl: 300 },
+    { cmd: 'rex_heartbeat', seq: 2, ttl: 300 },
+  ]);
+});
+
+test('seq wraps around after 0xffff', () => {
+  const t = fakeTransport();
+  const hb = createHeartbeat(t, { intervalMs: 1 });
+  hb.start();
+  jest.advanceTimersByTime(0xffff);
+  expect(t.sent.slice(-2).map((p) => p.seq)).toEqual([0xffff, 0]);
+  hb.stop();
+});
+
+test('stops itself when the link goes down', async () => {
+  const t = fakeTransport();
+  const hb = createHeartbeat(t);
+  hb.start();
+  const { sendJson } = t;
+  const failed = jest.fn(async () => { throw new Error('Not connected'); });
+  t.sendJson = failed;
+  jest.advanceTimersByTime(DEFAULT_HEARTBEAT_MS);
+  await flush();
+  expect(hb.isRunning()).toBe(false);
+  jest.advanceTimersByTime(1000);
+  expect(failed).toHaveBeenCalledTimes(1);
+
+  t.sendJson = sendJson;
+  hb.start(); // the next hold beats again
+  expect(hb.isRunning()).toBe(true);
+  expect(t.sent.slice(-1)).toEqual([{ cmd: 'rex_heartbeat', seq: 3, ttl: 750 }]);
+  hb.stop();
+});
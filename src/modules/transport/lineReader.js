@@ -0,0 +1,73 @@
+// src/modules/transport/lineReader.js
+// RX reassembly shared by every client: bytes/text in, one message per "\n" out.
+// Mirrors TX framing (sendString appends "\n"), so a JSON status longer than
+// one BLE notification / serial read / WS frame arrives as a single message.
+
+/**
+ * @typedef {Object} RxMessage
+ * @property {string}      raw         the line, trimmed, without its "\n"
+ * @property {object|null} json        parsed JSON when the line is a JSON value
+ * @property {number}      receivedAt  Date.now() when the line completed
+ */
+
+/** Wrap one complete line as an RxMessage. */
+export function toRxMessage(raw, receivedAt = Date.now()) {
+  let json = null;
+  const c = raw[0];
+  if (c === "{" || c === "[") {
+    try { json = JSON.parse(raw); } catch {}
+  }
+  return { raw, json, receivedAt };
+}
+
+/**
+ * createLineReader(onMessage, { idleFlushMs })
+ *   push(chunk)  feed a Uint8Array / DataView / string
+ *   reset()      drop any partial line (call on (re)connect)
+ *
+ * `idleFlushMs` (optional) emits a dangling partial line after that much
+ * silence, for older firmware that doesn't newline-terminate its output.
+ */
+export function createLineReader(onMessage, { idleFlushMs = 0 } = {}) {
+  let decoder = new TextDecoder();
+  let buf = "";
+  let idleTimer = null;
+
+  function emit(line) {
+    const raw = line.trim();
+    if (raw) onMessage(toRxMessage(raw));
+  }
+
+  function flush() {
+    idleTimer = null;
+    const rest = buf;
+    buf = "";
+    emit(rest);
+  }
+
+  function push(chunk) {
+    if (typeof chunk === "string") buf += chunk;
+    else if (chunk instanceof DataView) {
+      buf += decoder.decode(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength), { stream: true });
+    } else if (chunk) buf += decoder.decode(chunk, { stream: true });
+
+    let nl;
+    while ((nl = buf.indexOf("\n")) >= 0) {
+      const line = buf.slice(0, nl);
+      buf = buf.slice(nl + 1);
+      emit(line);
+    }
+
+    if (idleTimer) clearTimeout(idleTimer);
+    idleTimer = idleFlushMs > 0 && buf.trim() ? setTimeout(flush, idleFlushMs) : null;
+  }
+
+  function reset() {
+    if (idleTimer) clearTimeout(idleTimer);
+    idleTimer = null;
+    decoder = new TextDecoder();
+    buf = "";
+  }
+
+  return { push, reset };
+}
@@ -0,0 +1,38 @@
+import { createLineReader } from './lineReader';
+
+const enc = new TextEncoder();
+
+test('reassembles a JSON line split across notifications', () => {
+  const got = [];
+  const reader = createLineReader((m) => got.push(m));
+  const bytes = enc.encode('{"status":"ok","gait":"walk","battery":7.4}\n');
+  for (let i = 0; i < bytes.length; i += 18) {
+    const slice = bytes.slice(i, i + 18);
+    reader.push(new DataView(slice.buffer));
+  }
+  expect(got).toHaveLength(1);
+  expect(got[0].raw).toBe('{"status":"ok","gait":"walk","battery":7.4}');
+  expect(got[0].json).toEqual({ status: 'ok', gait: 'walk', battery: 7.4 });
+  expect(typeof got[0].receivedAt).toBe('number');
+});
+
+test('splits several lines in one chunk and keeps plain text as raw only', () => {
+  const got = [];
+  const reader = createLineReader((m) => got.push(m));
+  reader.push('rex ready\n{"id":3,"ok":true}\n{"partial":');
+  expect(got.map((m) => m.raw)).toEqual(['rex ready', '{"id":3,"ok":true}']);
+  expect(got[0].json).toBeNull();
+  reader.push('1}\n');
+  expect(got[2].json).toEqual({ partial: 1 });
+});
+
+test('idleFlushMs emits an unterminated line after silence', () => {
+  jest.useFakeTimers();
+  const got = [];
+  const reader = createLineReader((m) => got.push(m), { idleFlushMs: 250 });
+  reader.push('legacy status');
+  expect(got).toHaveLength(0);
+  jest.advanceTimersByTime(250);
+  expect(got.map((m) => m.raw)).toEqual(['legacy status']);
+  jest.useRealTimers();
+});
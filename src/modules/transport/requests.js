@@ -0,0 +1,77 @@
+// src/modules/transport/requests.js
+// Request/response correlation over a line-oriented RX stream.
+//
+// Outgoing:  { ...packet, id: 7 }
+// Replies:   { "id": 7, "ok": true, ... }                  -> resolves with the reply
+//            { "id": 7, "ok": false, "error": "unknown" }  -> RexCommandError
+//            (nothing within timeoutMs)                    -> RexTimeoutError
+
+import { RexCommandError, RexDisconnectedError, RexTimeoutError } from "./errors";
+
+export const DEFAULT_REQUEST_TIMEOUT_MS = 1500;
+
+/**
+ * One tracker per link. `send(packet)` performs the actual write;
+ * feed every RxMessage (see lineReader.js) to `handleMessage` so replies
+ * can settle their request.
+ */
+export function createRequestTracker(send) {
+  const pending = new Map(); // id -> { resolve, reject, timer, packet }
+  let lastId = 0;
+
+  function settle(id) {
+    const p = pending.get(id);
+    if (!p) return null;
+    clearTimeout(p.timer);
+    pending.delete(id);
+    return p;
+  }
+
+  /** Send `obj` tagged with a fresh id; resolves with the firmware's ack. */
+  async function request(obj, { timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+    lastId = (lastId % 0xffff) + 1;
+    const id = lastId;
+    const packet = { ...obj, id };
+
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (settle(id)) reject(new RexTimeoutError(id, timeoutMs, packet));
+      }, timeoutMs);
+      pending.set(id, { resolve, reject, timer, packet });
+    });
+
+    // The reply can time out while the write is still queued behind others:
+    // settle on whichever comes first, and keep the loser's rejection handled.
+    let sent;
+    try {
+      sent = Promise.resolve(send(packet));
+    } catch (err) {
+      sent = Promise.reject(err);
+    }
+    sent.catch(() => {});
+    try {
+      await Promise.race([sent, reply]);
+    } catch (err) {
+      settle(id);
+      throw err;
+    }
+    return reply;
+  }
+
+  /** Returns true if the RX message was a reply to a pending request. */
+  function handleMessage({ json: msg } = {}) {
+    if (!pending.size || !msg || msg.id === undefined || !pending.has(msg.id)) return false;
+
+    const p = settle(msg.id);
+    if (msg.ok === false || msg.error) p.reject(new RexCommandError(msg.id, msg, p.packet));
+    else p.resolve(msg);
+    return true;
+  }
+
+  /** Fail everything still waiting (link closed). */
+  function rejectAll() {
+    for (const id of [...pending.keys()]) settle(id).reject(new RexDisconnectedError(id));
+  }
+
+  return { request, handleMessage, rejectAll };
+}
@@ -0,0 +1,62 @@
+import { createRequestTracker } from './requests';
+import { toRxMessage } from './lineReader';
+import { RexCommandError, RexDisconnectedError, RexTimeoutError } from './errors';
+
+function setup() {
+  const sent = [];
+  const tracker = createRequestTracker(async (packet) => { sent.push(packet); });
+  return { sent, tracker };
+}
+
+test('resolves when the matching ack line arrives', async () => {
+  const { sent, tracker } = setup();
+  const p = tracker.request({ cmd: 'rex_pelvis_set', level: 0.4 });
+  await Promise.resolve();
+  expect(sent[0]).toEqual({ cmd: 'rex_pelvis_set', level: 0.4, id: 1 });
+
+  expect(tracker.handleMessage(toRxMessage('{"id":99,"ok":true}'))).toBe(false);
+  expect(tracker.handleMessage(toRxMessage('{"id":1,"ok":true}'))).toBe(true);
+  await expect(p).resolves.toEqual({ id: 1, ok: true });
+});
+
+test('rejects with RexCommandError on a firmware error reply', async () => {
+  const { tracker } = setup();
+  const p = tracker.request({ cmd: 'rex_head_up' });
+  await Promise.resolve();
+  tracker.handleMessage(toRxMessage('{"id":1,"ok":false,"error":"unknown command"}'));
+  await expect(p).rejects.toBeInstanceOf(RexCommandError);
+});
+
+test('rejects with RexTimeoutError when nothing comes back', async () => {
+  jest.useFakeTimers();
+  const { tracker } = setup();
+  const p = tracker.request({ cmd: 'rex_stop' }, { timeoutMs: 100 });
+  await Promise.resolve();
+  jest.advanceTimersByTime(100);
+  await expect(p).rejects.toBeInstanceOf(RexTimeoutError);
+  jest.useRealTimers();
+});
+
+test('rejectAll fails pending requests with RexDisconnectedError', async () => {
+  const { tracker } = setup();
+  const p = tracker.request({ cmd: 'rex_stop' });
+  await Promise.resolve();
+  tracker.rejectAll();
+  await expect(p).rejects.toBeInstanceOf(RexDisconnectedError);
+});
+
+test('times out while the write is still queued without an unhandled rejection', async () => {
+  jest.useFakeTimers();
+  const unhandled = jest.fn();
+  process.on('unhandledRejection', unhandled);
+  let finishWrite;
+  const tracker = createRequestTracker(() => new Promise((r) => { finishWrite = r; }));
+  const p = tracker.request({ cmd: 'rex_stop' }, { timeoutMs: 100 });
+  jest.advanceTimersByTime(100);
+  await expect(p).rejects.toBeInstanceOf(RexTimeoutError);
+  finishWrite();
+  jest.useRealTimers();
+  await new Promise((r) => setTimeout(r, 0));
+  process.off('unhandledRejection', unhandled);
+  expect(unhandled).not.toHaveBeenCalled();
+});
@@ -0,0 +1,18 @@
+// src/modules/transport/serialTransport.js
+// Transport over the shared Web Serial (USB) client.
+
+import * as Serial from "../serial/serialClient";
+import { lineQueueHints } from "./writeQueue";
+
+/** @returns {import("./transport").Transport} */
+export function createSerialTransport() {
+  return {
+    capabilities: { kind: "serial", rx: true, ack: true, reconnect: false },
+    sendLine: (line) => Serial.sendString(String(line).trim(), lineQueueHints(line)), // sendString adds "\n"
+    sendJson: (obj) => Serial.sendJson(obj),
+    request: (obj, opts) => Serial.request(obj, opts),
+    emergencyStop: () => Serial.emergencyStop(),
+    onMessage: (fn) => Serial.onMessage(fn),
+    close: () => Serial.disconnect(),
+  };
+}
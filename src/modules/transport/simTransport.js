@@ -0,0 +1,19 @@
+// src/modules/transport/simTransport.js
+// Transport over a simulated Rex: the shared default client, or one
+// createSimConnection() instance.
+
+import * as Sim from "../sim/simClient";
+import { lineQueueHints } from "./writeQueue";
+
+/** @returns {import("./transport").Transport} */
+export function createSimTransport(client = Sim) {
+  return {
+    capabilities: { kind: "sim", rx: true, ack: true, reconnect: false },
+    sendLine: (line) => client.sendString(String(line).trim(), lineQueueHints(line)), // sendString adds "\n"
+    sendJson: (obj) => client.sendJson(obj),
+    request: (obj, opts) => client.request(obj, opts),
+    emergencyStop: () => client.emergencyStop(),
+    onMessage: (fn) => client.onMessage(fn),
+    close: () => client.disconnect(),
+  };
+}
@@ -0,0 +1,35 @@
+// src/modules/transport/tap.js
+// Observe everything a Transport sends without touching the link clients:
+//
+//   const transport = tapTransport(createSimTransport(), (pkt) => pose.applyTx(pkt));
+//
+// `onTx` sees each outgoing packet as an object (plain lines become { cmd }),
+// before it is queued. Observer errors never reach the caller.
+
+import { ESTOP_PACKET } from "./writeQueue";
+
+function lineToPacket(line) {
+  const text = String(line).trim();
+  if (text[0] === "{") {
+    try { return JSON.parse(text); } catch {}
+  }
+  return { cmd: text };
+}
+
+/**
+ * @param {import("./transport").Transport} transport
+ * @param {(packet: object) => void} onTx
+ * @returns {import("./transport").Transport}
+ */
+export function tapTransport(transport, onTx) {
+  const tap = (pkt) => {
+    try { onTx(pkt); } catch (err) { console.warn("TX tap error:", err); }
+  };
+  return {
+    ...transport,
+    sendLine: (line) => { tap(lineToPacket(line)); return transport.sendLine(line); },
+    sendJson: (obj) => { tap(obj); return transport.sendJson(obj); },
+    request: (obj, opts) => { tap(obj); return transport.request(obj, opts); },
+    emergencyStop: () => { tap(ESTOP_PACKET); return transport.emergencyStop(); },
+  };
+}
@@ -0,0 +1,101 @@
+// src/modules/transport/transport.js
+// The one transport contract every body-part module talks to.
+//
+// A Transport is a plain object (see createBleTransport / createSerialTransport):
+//
+//   sendLine(line)   -> Promise   send one command line; the transport adds "\n"
+//   sendJson(obj)    -> Promise   send one JSON packet as a single line
+//   request(obj, { timeoutMs }) -> Promise<reply>   sendJson + wait for the ack line
+//   emergencyStop()  -> Promise   stop-all on the link's priority path (never throws when down)
+//   onMessage(fn)    -> unsubscribe   RX lines from the ESP32 as { raw, json, receivedAt }
+//   close()          -> Promise   release the underlying link
+//   capabilities     { kind, rx, ack, reconnect }
+//
+// Modules never sniff for port.send / port.writable themselves; they call
+// sendCommand (or sendLine/sendJson) below so framing fixes land in exactly
+// one place. In development every packet is checked against the command
+// registry (../commands/registry.js) on its way out.
+
+import { buildPacket, checkOutgoing, commandSpec } from "../commands/registry";
+import { commandLimits, getFirmwareCaps, supportsCommand } from "../commands/capabilities";
+import { RexUnsupportedError } from "./errors";
+
+/**
+ * @typedef {Object} TransportCapabilities
+ * @property {string}  kind       "ble" | "serial" | ...
+ * @property {boolean} rx         true if onMessage delivers device output
+ * @property {boolean} ack        true if request() can correlate firmware replies
+ * @property {boolean} reconnect  true if the link recovers on its own
+ */
+
+/**
+ * @typedef {Object} Transport
+ * @property {(line: string) => Promise<void>} sendLine
+ * @property {(obj: object) => Promise<void>} sendJson
+ * @property {(obj: object, opts?: { timeoutMs?: number }) => Promise<object>} request
+ * @property {() => Promise<boolean|void>} emergencyStop
+ * @property {(fn: (msg: import("./lineReader").RxMessage) => void) => (() => void)} onMessage
+ * @property {() => Promise<void>} close
+ * @property {TransportCapabilities} capabilities
+ */
+
+/** Normalize a command line to its on-wire form (single line, "\n"-terminated). */
+export function frameLine(line) {
+  return String(line).trim() + "\n";
+}
+
+function requireTransport(transport) {
+  if (!transport || typeof transport.sendLine !== "function") {
+    throw new Error("No transport. Connect first.");
+  }
+  return transport;
+}
+
+/**
+ * Per-command options accepted by every body-part function:
+ * @typedef {Object} SendOptions
+ * @property {boolean} [ack]       wait for the firmware's ack (uses transport.request)
+ * @property {number}  [timeoutMs] ack timeout, see requests.js for the default
+ */
+
+function requestVia(transport, obj, { timeoutMs } = {}) {
+  if (typeof transport.request !== "function") {
+    throw new Error(`Transport "${transport.capabilities?.kind}" cannot wait for acks.`);
+  }
+  return transport.request(obj, { timeoutMs });
+}
+
+/**
+ * Send a plain-string firmware command (e.g. "rex_roar").
+ * With `{ ack: true }` it goes out as { cmd: line, id } so the reply can be matched.
+ */
+export async function sendLine(transport, line, opts = {}) {
+  const t = requireTransport(transport);
+  const text = String(line).trim();
+  checkOutgoing(text);
+  if (opts.ack) return requestVia(t, { cmd: text }, opts);
+  return t.sendLine(text);
+}
+
+/** Send a JSON firmware command (e.g. { cmd: "rex_tail_set", level }). */
+export async function sendJson(transport, obj, opts = {}) {
+  const t = requireTransport(transport);
+  checkOutgoing(obj);
+  if (opts.ack) return requestVia(t, obj, opts);
+  return t.sendJson(obj);
+}
+
+/**
+ * Send a registered command, framed the way the registry says: line commands
+ * as plain strings, JSON commands as { cmd, ...params } with params clamped
+ * to their declared ranges and to the firmware's limits (hello handshake).
+ * Rejects with RexUnsupportedError if the firmware said it lacks `cmd`.
+ */
+export async function sendCommand(transport, cmd, params, opts) {
+  const spec = commandSpec(cmd);
+  if (!spec) throw new Error(`Unknown command "${cmd}".`);
+  const caps = getFirmwareCaps(transport);
+  if (!supportsCommand(caps, cmd)) throw new RexUnsupportedError(cmd, caps.version);
+  if (spec.kind === "line") return sendLine(transport, cmd, opts);
+  return sendJson(transport, buildPacket(cmd, params, commandLimits(caps, cmd)), opts);
+}
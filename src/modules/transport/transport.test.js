@@ -0,0 +1,67 @@
+import { frameLine, sendCommand, sendJson, sendLine } from './transport';
+import { createSerialTransport } from './serialTransport';
+import { createBleTransport } from './bleTransport';
+import { createWsTransport } from './wsTransport';
+import { createSimTransport } from './simTransport';
+import { fakeTransport } from '../../test-utils/fakeTransport';
+
+test('frames lines as one trimmed, newline-terminated command', () => {
+  expect(frameLine('  rex_roar \n')).toBe('rex_roar\n');
+  expect(frameLine(42)).toBe('42\n');
+});
+
+test('sendLine trims and sendJson passes the packet through', async () => {
+  const t = { sendLine: jest.fn(async () => {}), sendJson: jest.fn(async () => {}) };
+  await sendLine(t, ' rex_roar\n');
+  await sendJson(t, { cmd: 'rex_tail_set', level: 0.5 });
+  expect(t.sendLine).toHaveBeenCalledWith('rex_roar');
+  expect(t.sendJson).toHaveBeenCalledWith({ cmd: 'rex_tail_set', level: 0.5 });
+});
+
+test('sending without a transport rejects', async () => {
+  await expect(sendLine(null, 'rex_roar')).rejects.toThrow('No transport. Connect first.');
+  await expect(sendJson({}, { cmd: 'rex_roar' })).rejects.toThrow('No transport. Connect first.');
+});
+
+test('sendCommand frames by the registry and clamps params on the way out', async () => {
+  const t = fakeTransport();
+  await sendCommand(t, 'rex_roar');
+  await sendCommand(t, 'rex_walk_forward', { speed: 3 });
+  await sendCommand(t, 'rex_tail_set', { level: -0.5 });
+  await sendCommand(t, 'rex_gait', { speed: 0.5, mode: 'trot', stride: undefined });
+  expect(t.sent).toEqual([
+    'rex_roar',
+    { cmd: 'rex_walk_forward', speed: 1 },
+    { cmd: 'rex_tail_set', level: 0 },
+    { cmd: 'rex_gait', speed: 0.5, mode: 'trot' },
+  ]);
+  await expect(sendCommand(t, 'rex_fly')).rejects.toThrow('Unknown command "rex_fly".');
+  await expect(sendCommand(null, 'rex_roar')).rejects.toThrow('No transport. Connect first.');
+  expect(t.sent).toHaveLength(4);
+});
+
+test('{ ack: true } sends through request() with the line as its cmd', async () => {
+  const t = { sendLine: jest.fn(), sendJson: jest.fn(), request: jest.fn(async () => ({ ok: true })) };
+  await expect(sendLine(t, 'rex_roar', { ack: true, timeoutMs: 50 })).resolves.toEqual({ ok: true });
+  await sendJson(t, { cmd: 'rex_tail_set', level: 1 }, { ack: true });
+  expect(t.request.mock.calls).toEqual([
+    [{ cmd: 'rex_roar' }, { timeoutMs: 50 }],
+    [{ cmd: 'rex_tail_set', level: 1 }, { timeoutMs: undefined }],
+  ]);
+  expect(t.sendLine).not.toHaveBeenCalled();
+
+  const noAcks = { capabilities: { kind: 'serial' }, sendLine: jest.fn(), sendJson: jest.fn() };
+  await expect(sendLine(noAcks, 'rex_roar', { ack: true })).rejects.toThrow('Transport "serial" cannot wait for acks.');
+});
+
+test.each([
+  ['ble', createBleTransport],
+  ['serial', createSerialTransport],
+  ['ws', createWsTransport],
+  ['sim', createSimTransport],
+])('the %s transport rejects sends while the link is down', async (kind, create) => {
+  const t = create();
+  expect(t.capabilities.kind).toBe(kind);
+  await expect(t.sendLine('rex_roar')).rejects.toThrow('Not connected');
+  await expect(t.sendJson({ cmd: 'rex_roar' })).rejects.toThrow('Not connected');
+});
@@ -0,0 +1,143 @@
+// src/modules/transport/writeQueue.js
+// Serialized write queue with coalescing, priority preemption and depth limits.
+//
+// Prevents "GATT operation already in progress" (one write at a time) and
+// keeps a slow link from replaying stale commands after the operator lets go:
+//   - key:      a newer task with the same key replaces the pending one
+//   - priority: drops everything pending and runs next (stop / e-stop)
+//   - maxQueueDepth: oldest pending task is dropped when the queue is full
+//
+// enqueue() resolves with the task's result once it runs. A coalesced task
+// settles with its replacement; a dropped task resolves `false`.
+
+import { PRIORITY_COMMANDS } from "../commands/registry";
+
+const DEFAULTS = { maxQueueDepth: 32, maxInFlight: 1 };
+
+/** Global emergency stop understood by the firmware: halt every part. */
+export const ESTOP_PACKET = Object.freeze({ cmd: "rex_stop_all" });
+
+// Stop-class commands (flagged `priority` in the registry) preempt the queue.
+const PRIORITY_CMDS = new Set(PRIORITY_COMMANDS);
+
+/**
+ * Queue hints for an outgoing packet: same-target setpoints coalesce,
+ * stop-class commands get priority. Relative (delta) or correlated (id)
+ * packets are never coalesced.
+ */
+export function packetQueueHints(obj) {
+  if (!obj || typeof obj !== "object") return {};
+  if (obj.cmd) {
+    const priority = PRIORITY_CMDS.has(obj.cmd);
+    const coalesce = !priority && obj.delta === undefined && obj.id === undefined;
+    return { key: coalesce ? `cmd:${obj.cmd}` : undefined, priority };
+  }
+  if (obj.target && obj.part && obj.id === undefined) {
+    return { key: `ctl:${obj.target}/${obj.part}`, priority: obj.command === "stop" };
+  }
+  return {};
+}
+
+/** Queue hints for a plain line command ("rex_spine_up"): held arrows resend it, so it coalesces too. */
+export function lineQueueHints(line) {
+  return packetQueueHints({ cmd: String(line).trim() });
+}
+
+function freshMetrics() {
+  return { enqueued: 0, sent: 0, failed: 0, coalesced: 0, dropped: 0, preempted: 0, maxDepthSeen: 0 };
+}
+
+export class WriteQueue {
+  constructor(opts = {}) {
+    this._opts = { ...DEFAULTS, ...opts };
+    this._pending = [];
+    this._inFlight = 0;
+    this._metrics = freshMetrics();
+  }
+
+  /** Change limits at runtime: { maxQueueDepth, maxInFlight }. */
+  configure(opts = {}) {
+    this._opts = { ...this._opts, ...opts };
+    this._pump();
+  }
+
+  enqueue(task, { key, priority = false } = {}) {
+    const m = this._metrics;
+    m.enqueued++;
+
+    return new Promise((resolve, reject) => {
+      const item = { task, key, priority, resolve, reject };
+
+      if (priority) {
+        this._dropAll("preempted");
+        this._pending.push(item);
+      } else if (key !== undefined && this._coalesce(item)) {
+        return;
+      } else {
+        // Keep priority items; drop the oldest ordinary one when full.
+        while (this._pending.length >= this._opts.maxQueueDepth) {
+          const idx = this._pending.findIndex((p) => !p.priority);
+          if (idx < 0) break;
+          m.dropped++;
+          this._pending.splice(idx, 1)[0].resolve(false);
+        }
+        this._pending.push(item);
+      }
+
+      m.maxDepthSeen = Math.max(m.maxDepthSeen, this._pending.length);
+      this._pump();
+    });
+  }
+
+  /** Drop everything not yet started (e.g. on disconnect). */
+  clear() {
+    this._dropAll();
+  }
+
+  /** { enqueued, sent, failed, coalesced, dropped, preempted, maxDepthSeen, depth, inFlight } */
+  getMetrics() {
+    return { ...this._metrics, depth: this._pending.length, inFlight: this._inFlight };
+  }
+
+  resetMetrics() {
+    this._metrics = freshMetrics();
+  }
+
+  // --------------------------- internals ---------------------------
+
+  _coalesce(item) {
+    const idx = this._pending.findIndex((p) => p.key === item.key && !p.priority);
+    if (idx < 0) return false;
+    const old = this._pending[idx];
+    this._pending[idx] = item; // keeps the older item's place in line
+    this._metrics.coalesced++;
+    // The superseded caller settles when its replacement does.
+    const { resolve, reject } = item;
+    item.resolve = (v) => { old.resolve(v); resolve(v); };
+    item.reject = (e) => { old.reject(e); reject(e); };
+    return true;
+  }
+
+  _dropAll(counter = "dropped") {
+    const dropped = this._pending.splice(0);
+    this._metrics[counter] += dropped.length;
+    for (const p of dropped) p.resolve(false);
+  }
+
+  _pump() {
+    while (this._inFlight < this._opts.maxInFlight && this._pending.length) {
+      const item = this._pending.shift();
+      this._inFlight++;
+      Promise.resolve()
+        .then(item.task)
+        .then(
+          (v) => { this._metrics.sent++; item.resolve(v); },
+          (e) => { this._metrics.failed++; item.reject(e); }
+        )
+        .finally(() => {
+          this._inFlight--;
+          this._pump();
+        });
+    }
+  }
+}
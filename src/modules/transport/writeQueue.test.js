@@ -0,0 +1,79 @@
+import { WriteQueue, lineQueueHints, packetQueueHints } from './writeQueue';
+import { createSimConnection } from '../sim/simClient';
+import { createSimTransport } from './simTransport';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+test('runs tasks one at a time in order', async () => {
+  const q = new WriteQueue();
+  const order = [];
+  const gate = deferred();
+  q.enqueue(async () => { await gate.promise; order.push('a'); });
+  const b = q.enqueue(async () => { order.push('b'); });
+  expect(q.getMetrics().inFlight).toBe(1);
+  gate.resolve();
+  await b;
+  expect(order).toEqual(['a', 'b']);
+});
+
+test('coalesces pending tasks with the same key', async () => {
+  const q = new WriteQueue();
+  const gate = deferred();
+  const sent = [];
+  q.enqueue(() => gate.promise);
+  const first = q.enqueue(async () => sent.push(0.4), { key: 'cmd:rex_tail_set' });
+  const second = q.enqueue(async () => sent.push(0.9), { key: 'cmd:rex_tail_set' });
+  gate.resolve();
+  await Promise.all([first, second]);
+  expect(sent).toEqual([0.9]);
+  expect(q.getMetrics()).toMatchObject({ coalesced: 1, sent: 2 });
+});
+
+test('priority tasks drop everything pending', async () => {
+  const q = new WriteQueue();
+  const gate = deferred();
+  const sent = [];
+  q.enqueue(() => gate.promise);
+  const walk = q.enqueue(async () => sent.push('walk'));
+  const stop = q.enqueue(async () => sent.push('stop'), { priority: true });
+  gate.resolve();
+  await expect(walk).resolves.toBe(false);
+  await stop;
+  expect(sent).toEqual(['stop']);
+  expect(q.getMetrics().preempted).toBe(1);
+});
+
+test('maxQueueDepth drops the oldest pending task', async () => {
+  const q = new WriteQueue({ maxQueueDepth: 2 });
+  const gate = deferred();
+  q.enqueue(() => gate.promise);
+  const a = q.enqueue(async () => 'a');
+  q.enqueue(async () => 'b');
+  q.enqueue(async () => 'c');
+  gate.resolve();
+  await expect(a).resolves.toBe(false);
+  expect(q.getMetrics().dropped).toBe(1);
+});
+
+test('packetQueueHints', () => {
+  expect(packetQueueHints({ cmd: 'rex_tail_set', level: 0.2 })).toEqual({ key: 'cmd:rex_tail_set', priority: false });
+  expect(packetQueueHints({ cmd: 'rex_stop' })).toEqual({ key: undefined, priority: true });
+  expect(packetQueueHints({ cmd: 'rex_spine_nudge', delta: 0.05 }).key).toBeUndefined();
+  expect(packetQueueHints({ cmd: 'rex_pelvis_set', level: 0.5, id: 4 }).key).toBeUndefined();
+});
+
+test('line commands coalesce too, so held arrows do not pile up', async () => {
+  expect(lineQueueHints('rex_spine_up\n')).toEqual({ key: 'cmd:rex_spine_up', priority: false });
+  expect(lineQueueHints('rex_stop').priority).toBe(true);
+
+  const client = createSimConnection();
+  await client.connect({ latencyMs: 20, telemetryMs: 0 });
+  const t = createSimTransport(client);
+  await Promise.all([1, 2, 3, 4].map(() => t.sendLine('rex_spine_up')));
+  expect(client.getStats().queue).toMatchObject({ sent: 2, coalesced: 2 });
+  await client.disconnect();
+});
@@ -0,0 +1,18 @@
+// src/modules/transport/wsTransport.js
+// Transport over the shared WebSocket (Wi‑Fi bridge) client.
+
+import * as WS from "../ws/wsClient";
+import { lineQueueHints } from "./writeQueue";
+
+/** @returns {import("./transport").Transport} */
+export function createWsTransport() {
+  return {
+    capabilities: { kind: "ws", rx: true, ack: true, reconnect: true },
+    sendLine: (line) => WS.sendString(String(line).trim(), lineQueueHints(line)), // sendString adds "\n"
+    sendJson: (obj) => WS.sendJson(obj),
+    request: (obj, opts) => WS.request(obj, opts),
+    emergencyStop: () => WS.emergencyStop(),
+    onMessage: (fn) => WS.onMessage(fn),
+    close: () => WS.disconnect(),
+  };
+}
@@ -0,0 +1,235 @@
+// src/modules/ws/wsClient.js
+// WebSocket link to the ESP32-S3 Wi‑Fi bridge — same surface as ../ble/bleClient.js.
+// Speaks the same newline-delimited JSON as sendControl(): one packet per line.
+// socket.send() never blocks, so each write waits for the socket's send buffer
+// to drain before the next one goes: a slow Wi‑Fi link backs up in the write
+// queue, where setpoints coalesce and stop-class packets jump ahead, instead
+// of inside the browser.
+
+import { createLineReader } from "../transport/lineReader";
+import { createRequestTracker } from "../transport/requests";
+import { ESTOP_PACKET, WriteQueue, packetQueueHints } from "../transport/writeQueue";
+import { linkDebug } from "../transport/debug";
+
+const DEFAULT_URL = "ws://localhost:8765";
+const DRAIN_POLL_MS = 10;
+
+let socket;
+let urlInUse = DEFAULT_URL;
+const messageHandlers = new Set();
+const disconnectHandlers = new Set();
+const stateHandlers = new Set();
+const requests = createRequestTracker((packet) => sendJson(packet)); // request()/ack correlation
+const rxReader = createLineReader(dispatchMessage); // frames may carry partial or multiple lines
+const writeQueue = new WriteQueue({ maxInFlight: 1 });
+
+// Same state machine as bleClient:
+//   idle → connecting → connected ⇄ reconnecting → failed; disconnect() → idle
+const DEFAULT_RECONNECT = {
+  enabled: true,
+  maxAttempts: 8,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+};
+
+let reconnectOpts = { ...DEFAULT_RECONNECT };
+let reconnectToken = 0;
+let state = { status: "idle", attempt: 0, maxAttempts: reconnectOpts.maxAttempts, error: null };
+
+function setState(patch) {
+  state = { ...state, ...patch };
+  for (const fn of stateHandlers) {
+    try { fn(state); } catch {}
+  }
+}
+
+// -------------------------------------------------------------------------------
+
+/** Open a WebSocket to the bridge at `url` (e.g. "ws://robo-rex.local:81/"). */
+export async function connect({ url = DEFAULT_URL, reconnect = {} } = {}) {
+  if (typeof WebSocket === "undefined") throw new Error("WebSocket not supported in this environment.");
+
+  reconnectToken++;
+  reconnectOpts = { ...DEFAULT_RECONNECT, ...reconnect };
+  urlInUse = url;
+  setState({ status: "connecting", attempt: 0, maxAttempts: reconnectOpts.maxAttempts, error: null });
+
+  try {
+    socket = await openSocket();
+  } catch (err) {
+    setState({ status: "idle", error: String(err?.message || err) });
+    throw err;
+  }
+
+  setState({ status: "connected", attempt: 0, error: null });
+  linkDebug(`✅ WebSocket connected (${url})`);
+  return { socket };
+}
+
+export async function disconnect() {
+  reconnectToken++; // cancel any pending reconnect loop
+  const ws = socket;
+  socket = undefined;
+  try { ws?.close(1000, "client disconnect"); } catch {}
+  writeQueue.clear();
+  requests.rejectAll();
+  setState({ status: "idle", attempt: 0, error: null });
+  linkDebug("🔌 WebSocket disconnected");
+}
+
+export function isConnected() {
+  return !!(socket && socket.readyState === WebSocket.OPEN);
+}
+
+/** The bridge URL doubles as the device name (one robot per bridge). */
+export function getDeviceName() {
+  return state.status === "idle" ? null : urlInUse;
+}
+
+/** Current connection state: { status, attempt, maxAttempts, error }. */
+export function getState() {
+  return state;
+}
+
+/** Subscribe to connection state changes (called immediately); returns an unsubscribe function. */
+export function onStateChange(fn) {
+  stateHandlers.add(fn);
+  try { fn(state); } catch {}
+  return () => stateHandlers.delete(fn);
+}
+
+/** Subscribe to RX lines ({ raw, json, receivedAt }); returns an unsubscribe function. */
+export function onMessage(fn) {
+  messageHandlers.add(fn);
+  return () => messageHandlers.delete(fn);
+}
+
+/** Subscribe to disconnect event; returns an unsubscribe function. */
+export function onDisconnect(fn) {
+  disconnectHandlers.add(fn);
+  return () => disconnectHandlers.delete(fn);
+}
+
+/** Low-level line send with newline framing, serialized via queue (see writeQueue.js). */
+export async function sendString(line, hints) {
+  if (!isConnected()) throw new Error("Not connected");
+  const text = line.endsWith("\n") ? line : line + "\n";
+
+  return writeQueue.enqueue(async () => {
+    const ws = socket;
+    if (!ws || ws.readyState !== WebSocket.OPEN) throw new Error("Not connected");
+    ws.send(text);
+    await drained(ws);
+  }, hints);
+}
+
+export async function sendJson(obj) {
+  return sendString(JSON.stringify(obj), packetQueueHints(obj));
+}
+
+/** Stop-all packet that preempts everything queued; a no-op when not connected. */
+export async function emergencyStop() {
+  if (!isConnected()) return false;
+  return sendString(JSON.stringify(ESTOP_PACKET), { priority: true });
+}
+
+/** Write queue counters: { enqueued, sent, coalesced, dropped, preempted, depth, ... } */
+export function getStats() {
+  return { queue: writeQueue.getMetrics() };
+}
+
+/**
+ * Send `obj` with a request id and wait for the firmware's ack line.
+ * Rejects with RexTimeoutError / RexCommandError / RexDisconnectedError.
+ */
+export async function request(obj, { timeoutMs } = {}) {
+  if (!isConnected()) throw new Error("Not connected");
+  return requests.request(obj, { timeoutMs });
+}
+
+// --------------------------- internals ---------------------------
+
+/** Resolves once `ws` has handed everything to the network (or closed). */
+async function drained(ws) {
+  while (ws.bufferedAmount > 0 && ws.readyState === WebSocket.OPEN) {
+    await new Promise((r) => setTimeout(r, DRAIN_POLL_MS));
+  }
+}
+
+/** Resolves with the open socket; the caller adopts it as `socket`. */
+function openSocket() {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(urlInUse);
+    let opened = false;
+
+    ws.onopen = () => {
+      opened = true;
+      rxReader.reset();
+      resolve(ws);
+    };
+    ws.onmessage = (e) => {
+      if (ws === socket && typeof e.data === "string") rxReader.push(e.data);
+    };
+    ws.onerror = () => {
+      if (!opened) reject(new Error(`WebSocket error (${urlInUse})`));
+    };
+    ws.onclose = () => {
+      if (!opened) {
+        reject(new Error(`WebSocket closed before open (${urlInUse})`));
+        return;
+      }
+      if (ws === socket) handleDisconnected();
+    };
+  });
+}
+
+function dispatchMessage(msg) {
+  requests.handleMessage(msg);
+  for (const fn of messageHandlers) {
+    try { fn(msg); } catch {}
+  }
+  linkDebug("🦖 Rex → Web:", msg.raw);
+}
+
+function handleDisconnected() {
+  socket = undefined;
+  writeQueue.clear(); // stale motion must not replay after a reconnect
+  requests.rejectAll();
+  for (const fn of disconnectHandlers) {
+    try { fn(); } catch {}
+  }
+  if (state.status === "connected" && reconnectOpts.enabled) {
+    reconnectLoop();
+    return;
+  }
+  setState({ status: "idle", attempt: 0 });
+}
+
+async function reconnectLoop() {
+  const token = ++reconnectToken;
+  const { maxAttempts, baseDelayMs, maxDelayMs } = reconnectOpts;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    setState({ status: "reconnecting", attempt, maxAttempts });
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    await new Promise(r => setTimeout(r, delay));
+    if (token !== reconnectToken) return;
+
+    try {
+      const ws = await openSocket();
+      if (token !== reconnectToken) {
+        try { ws.close(); } catch {}
+        return;
+      }
+      socket = ws;
+      setState({ status: "connected", attempt: 0, error: null });
+      linkDebug(`✅ WebSocket reconnected (attempt ${attempt}/${maxAttempts})`);
+      return;
+    } catch (err) {
+      setState({ error: String(err?.message || err) });
+    }
+  }
+
+  if (token !== reconnectToken) return;
+  setState({ status: "failed" });
+}
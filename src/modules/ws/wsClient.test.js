@@ -0,0 +1,166 @@
+import * as WS from './wsClient';
+
+class FakeSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+  static all = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeSocket.CONNECTING;
+    this.bufferedAmount = 0;
+    this.sent = [];
+    FakeSocket.all.push(this);
+  }
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen?.();
+  }
+  send(text) {
+    this.sent.push(text);
+  }
+  close() {
+    this.readyState = FakeSocket.CLOSED;
+    this.onclose?.();
+  }
+  /** The bridge went away without the client asking. */
+  drop() {
+    this.readyState = FakeSocket.CLOSED;
+    this.onclose?.();
+  }
+  /** A frame from the bridge. */
+  receive(data) {
+    this.onmessage?.({ data });
+  }
+}
+
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+const latest = () => FakeSocket.all[FakeSocket.all.length - 1];
+
+async function connect(opts) {
+  const connecting = WS.connect({ url: 'ws://rex.test', ...opts });
+  latest().open();
+  await connecting;
+  return latest();
+}
+
+beforeEach(() => {
+  FakeSocket.all = [];
+  global.WebSocket = FakeSocket;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await WS.disconnect();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  delete global.WebSocket;
+});
+
+test('connects, frames writes and splits frames into lines', async () => {
+  const msgs = [];
+  WS.onMessage((m) => msgs.push(m.json || m.raw));
+  const ws = await connect();
+  expect(ws.url).toBe('ws://rex.test');
+  expect(WS.getDeviceName()).toBe('ws://rex.test');
+
+  await WS.sendString('rex_roar');
+  await WS.sendJson({ cmd: 'rex_tail_set', level: 0.5 });
+  expect(ws.sent).toEqual(['rex_roar\n', '{"cmd":"rex_tail_set","level":0.5}\n']);
+
+  ws.receive('{"type":"telemetry",');
+  ws.receive('"loopMs":4}\nbooted\n');
+  expect(msgs).toEqual([{ type: 'telemetry', loopMs: 4 }, 'booted']);
+});
+
+test('request() resolves with the matching ack', async () => {
+  const ws = await connect();
+  const reply = WS.request({ cmd: 'rex_hello' });
+  await flush();
+  const { id } = JSON.parse(ws.sent[0]);
+  ws.receive(`{"id":${id},"ok":true,"version":"1.2"}\n`);
+  await expect(reply).resolves.toMatchObject({ ok: true, version: '1.2' });
+});
+
+test('a connection that never opens rejects and stays idle', async () => {
+  const connecting = WS.connect({ url: 'ws://nobody.test' });
+  latest().onerror();
+  await expect(connecting).rejects.toThrow('WebSocket error (ws://nobody.test)');
+  expect(WS.getState()).toMatchObject({ status: 'idle', error: 'WebSocket error (ws://nobody.test)' });
+  await expect(WS.sendString('rex_roar')).rejects.toThrow('Not connected');
+});
+
+test('reconnects with backoff after the bridge drops, and gives up after maxAttempts', async () => {
+  jest.useFakeTimers();
+  const ws = await connect({ reconnect: { baseDelayMs: 100, maxDelayMs: 150, maxAttempts: 3 } });
+  const lost = jest.fn();
+  WS.onDisconnect(lost);
+  const pending = WS.request({ cmd: 'rex_hello' });
+
+  ws.drop();
+  await expect(pending).rejects.toThrow();
+  expect(lost).toHaveBeenCalledTimes(1);
+  expect(WS.getState()).toMatchObject({ status: 'reconnecting', attempt: 1 });
+
+  jest.advanceTimersByTime(100);
+  await flush();
+  latest().onclose(); // attempt 1 never opens
+  await flush();
+  expect(WS.getState()).toMatchObject({ status: 'reconnecting', attempt: 2 });
+  jest.advanceTimersByTime(149);
+  await flush();
+  expect(FakeSocket.all).toHaveLength(2); // capped at maxDelayMs
+  jest.advanceTimersByTime(1);
+  await flush();
+  expect(FakeSocket.all).toHaveLength(3);
+  latest().open(); // attempt 2 succeeds
+  await flush();
+  expect(WS.getState()).toMatchObject({ status: 'connected', attempt: 0 });
+  expect(WS.isConnected()).toBe(true);
+
+  latest().drop();
+  for (let i = 0; i < 3; i++) {
+    jest.advanceTimersByTime(150);
+    await flush();
+    latest().onclose();
+    await flush();
+  }
+  expect(WS.getState().status).toBe('failed');
+});
+
+test('waits for the send buffer to drain, coalescing setpoints and letting stop jump ahead', async () => {
+  jest.useFakeTimers();
+  const ws = await connect();
+  ws.send = (text) => {
+    ws.sent.push(text);
+    ws.bufferedAmount = text.length; // the network is slow
+  };
+
+  const first = WS.sendJson({ cmd: 'rex_tail_set', level: 0.1 });
+  await Promise.resolve();
+  WS.sendJson({ cmd: 'rex_tail_set', level: 0.2 });
+  WS.sendJson({ cmd: 'rex_tail_set', level: 0.3 });
+  expect(ws.sent).toEqual(['{"cmd":"rex_tail_set","level":0.1}\n']);
+
+  ws.bufferedAmount = 0;
+  jest.advanceTimersByTime(10);
+  await first;
+  await flush();
+  expect(ws.sent[1]).toBe('{"cmd":"rex_tail_set","level":0.3}\n');
+
+  WS.sendJson({ cmd: 'rex_tail_set', level: 0.4 });
+  WS.emergencyStop();
+  ws.bufferedAmount = 0;
+  jest.advanceTimersByTime(10);
+  await flush();
+  expect(ws.sent[2]).toBe('{"cmd":"rex_stop_all"}\n');
+  expect(WS.getStats().queue).toMatchObject({ coalesced: 1, preempted: 1 });
+
+  ws.bufferedAmount = 0; // let the last write finish before the timers go real again
+  jest.advanceTimersByTime(10);
+  await flush();
+});
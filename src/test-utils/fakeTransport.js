@@ -0,0 +1,26 @@
+// src/test-utils/fakeTransport.js
+// Test double for the Transport interface that records what it is asked to send:
+//
+//   const t = fakeTransport();
+//   await roar(t);
+//   expect(t.sent).toEqual(['rex_roar']);   // lines as strings, JSON as objects
+//   expect(t.cmds()).toEqual(['rex_roar']); // command names, heartbeats left out
+//
+// With `hold`, every send stays pending until release(), like a busy link.
+// Only tests import this module.
+
+export function fakeTransport({ hold = false } = {}) {
+  const sent = [];
+  const waiting = [];
+  const record = (packet) => {
+    sent.push(packet);
+    return hold ? new Promise((resolve) => waiting.push(resolve)) : Promise.resolve();
+  };
+  return {
+    sent,
+    cmds: () => sent.map((p) => (typeof p === 'string' ? p : p.cmd)).filter((c) => c !== 'rex_heartbeat'),
+    release: () => waiting.splice(0).forEach((resolve) => resolve()),
+    sendLine: (line) => record(line),
+    sendJson: (obj) => record(obj),
+  };
+}
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// tools/rex-ws-server.js
+// Stand-in for the ESP32-S3 Wi‑Fi bridge so the WebSocket transport can be
+// exercised without hardware.
+//
+//   npm run rex:ws-server            # ws://localhost:8765
+//   PORT=9000 npm run rex:ws-server
+//
+// Protocol mirrors the firmware's UART bridge: newline-delimited lines, each
+// either a plain "rex_*" command or a JSON packet ({ "cmd": ... } or the
+// { target, part, command, phase } control form). Every line is logged and
+// acknowledged on the same socket: { "type": "ack", "cmd", "ok": true, "id"? }.
+
+const WebSocket = require("ws");
+
+const PORT = Number(process.env.PORT || process.argv[2] || 8765);
+
+function parseLine(line) {
+  try {
+    const obj = JSON.parse(line);
+    if (obj && typeof obj === "object") return obj;
+  } catch {}
+  return { cmd: line };
+}
+
+// Packets carrying an "id" get it echoed back so request() can correlate.
+function replyFor(pkt) {
+  const cmd = pkt.cmd || pkt.command || pkt.type || "unknown";
+  const reply = { type: "ack", cmd, ok: true };
+  if (pkt.id !== undefined) reply.id = pkt.id;
+  return reply;
+}
+
+const wss = new WebSocket.Server({ port: PORT });
+
+wss.on("connection", (ws, req) => {
+  const peer = req.socket.remoteAddress;
+  console.log(`[rex-ws] client connected (${peer})`);
+  let buf = "";
+
+  ws.send(JSON.stringify({ type: "hello", name: "Robo_Rex_Sim", transport: "ws" }) + "\n");
+
+  ws.on("message", (data) => {
+    buf += data.toString();
+    let nl;
+    while ((nl = buf.indexOf("\n")) >= 0) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (!line) continue;
+      const pkt = parseLine(line);
+      console.log(`[rex-ws] ◀ ${line}`);
+      ws.send(JSON.stringify(replyFor(pkt)) + "\n");
+    }
+  });
+
+  ws.on("close", () => console.log(`[rex-ws] client disconnected (${peer})`));
+});
+
+wss.on("listening", () => console.log(`[rex-ws] listening on ws://localhost:${PORT}`));